@@ -0,0 +1,6 @@
+-- Adds platinum and palladium spot price columns to existing databases.
+-- New databases get these columns from schema.sql.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spot_price_platinum_gram_nzd DECIMAL(10, 4);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spot_price_palladium_gram_nzd DECIMAL(10, 4);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spot_price_platinum_ounce_nzd DECIMAL(10, 4);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spot_price_palladium_ounce_nzd DECIMAL(10, 4);
@@ -0,0 +1,7 @@
+-- Captures gross weight and purity per item; `weight` becomes the derived fine weight.
+-- Existing items were entered as fine weight, so their gross weight is their weight
+-- and their purity is 'fine'.
+ALTER TABLE quote_items ALTER COLUMN weight TYPE DECIMAL(10, 4);
+ALTER TABLE quote_items ADD COLUMN IF NOT EXISTS gross_weight DECIMAL(10, 4);
+ALTER TABLE quote_items ADD COLUMN IF NOT EXISTS purity VARCHAR(20) NOT NULL DEFAULT 'fine';
+UPDATE quote_items SET gross_weight = weight WHERE gross_weight IS NULL;
@@ -0,0 +1,68 @@
+-- Adds the product catalogue, replacing the weight types hard-coded in the item row and
+-- customer view. Existing items are linked to the matching product through their legacy
+-- weight_type value (Sovereign and Half Sovereign were stored as '0' and '0.0').
+-- Item weights are left as saved.
+CREATE TABLE IF NOT EXISTS products (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    metal_type VARCHAR(50), -- NULL for generic sizes usable with any metal
+    gross_weight DECIMAL(10, 4) NOT NULL,
+    purity VARCHAR(20) NOT NULL DEFAULT 'fine',
+    fine_weight DECIMAL(10, 4) NOT NULL,
+    default_percent DECIMAL(5, 2),
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO products (name, metal_type, gross_weight, purity, fine_weight, sort_order)
+SELECT * FROM (VALUES
+    ('1g', NULL, 1, 'fine', 1.0000, 10),
+    ('5g', NULL, 5, 'fine', 5.0000, 20),
+    ('10g', NULL, 10, 'fine', 10.0000, 30),
+    ('20g', NULL, 20, 'fine', 20.0000, 40),
+    ('50g', NULL, 50, 'fine', 50.0000, 50),
+    ('100g', NULL, 100, 'fine', 100.0000, 60),
+    ('500g', NULL, 500, 'fine', 500.0000, 70),
+    ('1 Kgs', NULL, 1000, 'fine', 1000.0000, 80),
+    ('1/20 oz', NULL, 1.5552, 'fine', 1.5552, 110),
+    ('1/10 oz', NULL, 3.1104, 'fine', 3.1104, 120),
+    ('1/4 oz', NULL, 7.7759, 'fine', 7.7759, 130),
+    ('1/2 oz', NULL, 15.5518, 'fine', 15.5518, 140),
+    ('1 oz', NULL, 31.1035, 'fine', 31.1035, 150),
+    ('2 oz', NULL, 62.207, 'fine', 62.2070, 160),
+    ('5 oz', NULL, 155.5175, 'fine', 155.5175, 170),
+    ('10 oz', NULL, 311.035, 'fine', 311.0350, 180),
+    ('Half Sovereign', 'Gold', 3.9940, '22ct', 3.6612, 210),
+    ('Sovereign', 'Gold', 7.9881, '22ct', 7.3225, 220)
+) AS seed(name, metal_type, gross_weight, purity, fine_weight, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM products);
+
+ALTER TABLE quote_items ADD COLUMN IF NOT EXISTS product_id UUID REFERENCES products(id) ON DELETE SET NULL;
+
+UPDATE quote_items qi
+SET product_id = p.id
+FROM (VALUES
+    ('1', '1g'),
+    ('5', '5g'),
+    ('10', '10g'),
+    ('20', '20g'),
+    ('50', '50g'),
+    ('100', '100g'),
+    ('500', '500g'),
+    ('1000', '1 Kgs'),
+    ('1.555175', '1/20 oz'),
+    ('3.11035', '1/10 oz'),
+    ('7.775869', '1/4 oz'),
+    ('15.55175', '1/2 oz'),
+    ('31.1035', '1 oz'),
+    ('62.207', '2 oz'),
+    ('155.5175', '5 oz'),
+    ('311.035', '10 oz'),
+    ('0.0', 'Half Sovereign'),
+    ('0', 'Sovereign')
+) AS legacy(weight_type, product_name)
+JOIN products p ON p.name = legacy.product_name
+WHERE qi.weight_type = legacy.weight_type AND qi.product_id IS NULL;
@@ -0,0 +1,13 @@
+-- Records every spot price fetch and adds the cache TTL setting used to limit provider calls.
+CREATE TABLE IF NOT EXISTS spot_price_history (
+    id BIGSERIAL PRIMARY KEY,
+    metal VARCHAR(20) NOT NULL,
+    raw_price_gram_nzd DECIMAL(12, 4) NOT NULL,
+    offset_percent DECIMAL(6, 3) NOT NULL,
+    normalised_price_gram_nzd DECIMAL(12, 4) NOT NULL,
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_spot_price_history_metal_fetched_at ON spot_price_history(metal, fetched_at);
+
+INSERT INTO settings (key, value) VALUES ('spot_price_cache_ttl_seconds', '60') ON CONFLICT (key) DO NOTHING;
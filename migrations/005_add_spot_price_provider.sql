@@ -0,0 +1,3 @@
+-- Records which spot price provider supplied each fetch and each quote's prices.
+ALTER TABLE spot_price_history ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spot_price_provider VARCHAR(50);
@@ -0,0 +1,4 @@
+-- Flags quotes priced from manually entered spot prices and adds the deviation limit for manual prices.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spot_price_is_manual BOOLEAN NOT NULL DEFAULT FALSE;
+
+INSERT INTO settings (key, value) VALUES ('spot_override_max_deviation_percent', '10') ON CONFLICT (key) DO NOTHING;
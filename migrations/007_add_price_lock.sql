@@ -0,0 +1,6 @@
+-- Adds the per-quote price lock window and the default window setting.
+-- Existing quotes have no lock (NULL) and keep showing without a countdown.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS price_lock_minutes INTEGER;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS price_locked_until TIMESTAMPTZ;
+
+INSERT INTO settings (key, value) VALUES ('price_lock_minutes', '30') ON CONFLICT (key) DO NOTHING;
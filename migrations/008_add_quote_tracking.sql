@@ -0,0 +1,4 @@
+-- Adds live-tracking quotes, which reprice from current spot on each customer visit.
+-- tracking_baseline holds the per-gram spot prices captured when tracking was switched on.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS is_tracking BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS tracking_baseline JSONB;
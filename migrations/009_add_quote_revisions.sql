@@ -0,0 +1,26 @@
+-- Adds quote revisions: an immutable snapshot of a quote recorded on every save or price refresh.
+-- Existing quotes start their history at their next save.
+CREATE TABLE IF NOT EXISTS quote_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    created_by VARCHAR(255),
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (quote_id, revision_number)
+);
+
+-- Revisions are immutable once written
+CREATE OR REPLACE FUNCTION prevent_quote_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'quote_revisions are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS quote_revisions_immutable ON quote_revisions;
+CREATE TRIGGER quote_revisions_immutable
+BEFORE UPDATE ON quote_revisions
+FOR EACH ROW
+EXECUTE PROCEDURE prevent_quote_revision_update();
@@ -0,0 +1,30 @@
+-- Adds the audit log: a persistent record of staff and customer actions (quote changes,
+-- settings changes and customer logins) with actor, IP, timestamp and before/after values.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    action VARCHAR(50) NOT NULL,
+    actor VARCHAR(255),
+    ip VARCHAR(64),
+    quote_id UUID, -- No foreign key: entries outlive the quotes they describe
+    before_values JSONB,
+    after_values JSONB,
+    details JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_quote_id ON audit_log(quote_id);
+
+-- Audit log entries are immutable once written
+CREATE OR REPLACE FUNCTION prevent_audit_log_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log entries are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_immutable ON audit_log;
+CREATE TRIGGER audit_log_immutable
+BEFORE UPDATE ON audit_log
+FOR EACH ROW
+EXECUTE PROCEDURE prevent_audit_log_update();
@@ -0,0 +1,16 @@
+-- Adds individual staff accounts with roles, replacing the shared basic-auth login.
+-- The first admin account is created at startup from ADMIN_USERNAME/ADMIN_PASSWORD
+-- (see staffUserService.ensureBootstrapAdmin), so existing installs can still log in.
+CREATE TABLE IF NOT EXISTS staff_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username VARCHAR(50) NOT NULL,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'dealer' CHECK (role IN ('dealer', 'manager', 'admin')),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Usernames are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_users_username ON staff_users(LOWER(username));
@@ -0,0 +1,13 @@
+-- Adds one-time login codes for customers, replacing login by typing the quote's mobile or email.
+CREATE TABLE IF NOT EXISTS customer_login_codes (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    channel VARCHAR(10) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_login_codes_quote_id ON customer_login_codes(quote_id, created_at);
@@ -0,0 +1,17 @@
+-- Adds customer login attempt tracking for rate limiting, progressive delays and lockout.
+CREATE TABLE IF NOT EXISTS customer_login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID REFERENCES quotes(id) ON DELETE CASCADE, -- NULL if the short ID was not found
+    short_id VARCHAR(50),
+    ip VARCHAR(64) NOT NULL,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- 'pending' while the attempt is being checked
+    lockout_alerted BOOLEAN NOT NULL DEFAULT FALSE, -- this failure locked the quote and alerted staff
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_login_attempts_ip ON customer_login_attempts(ip, created_at);
+CREATE INDEX IF NOT EXISTS idx_customer_login_attempts_quote_id ON customer_login_attempts(quote_id, created_at);
+
+-- Added after the table was first created
+ALTER TABLE customer_login_attempts ADD COLUMN IF NOT EXISTS lockout_alerted BOOLEAN NOT NULL DEFAULT FALSE;
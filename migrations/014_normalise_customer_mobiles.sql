@@ -0,0 +1,26 @@
+-- Normalises existing customer mobiles to E.164 (e.g., "021 123 4567" → "+64211234567"),
+-- using the same rules as src/shared/phone.js:
+-- - "+64..." / "0064..." / "64..." → drop a trunk 0 after the country code
+-- - "0..." and bare "2..." numbers are New Zealand mobiles
+-- - other "+..." / "00..." numbers are kept as international numbers
+-- Numbers that do not match (e.g., landlines or typos) are left as they are for staff to fix.
+WITH cleaned AS (
+    SELECT id, regexp_replace(customer_mobile, '[\s.()-]', '', 'g') AS mobile
+    FROM quotes
+    WHERE customer_mobile IS NOT NULL AND customer_mobile <> ''
+), normalised AS (
+    SELECT id,
+        CASE
+            WHEN mobile ~ '^(\+|00)?640?2[0-9]{7,9}$'
+                THEN '+64' || regexp_replace(mobile, '^(\+|00)?640?', '')
+            WHEN mobile ~ '^02[0-9]{7,9}$' THEN '+64' || substr(mobile, 2)
+            WHEN mobile ~ '^2[0-9]{7,9}$' THEN '+64' || mobile
+            WHEN mobile ~ '^\+[1-9][0-9]{7,14}$' AND mobile !~ '^\+64' THEN mobile
+            WHEN mobile ~ '^00[1-9][0-9]{7,14}$' AND mobile !~ '^0064' THEN '+' || substr(mobile, 3)
+        END AS e164
+    FROM cleaned
+)
+UPDATE quotes q
+SET customer_mobile = n.e164
+FROM normalised n
+WHERE q.id = n.id AND n.e164 IS NOT NULL AND q.customer_mobile <> n.e164;
@@ -0,0 +1,16 @@
+-- Adds a log of quote links sent to customers by SMS or email from the edit page.
+CREATE TABLE IF NOT EXISTS quote_messages (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    channel VARCHAR(10) NOT NULL, -- 'sms' or 'email'
+    recipient VARCHAR(255) NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL, -- 'sent' or 'failed'
+    sender VARCHAR(50), -- the message sender used (e.g., 'smtp')
+    error TEXT,
+    sent_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_messages_quote_id ON quote_messages(quote_id, created_at);
@@ -0,0 +1,7 @@
+-- Adds automatic customer reminders (see src/jobs/sendReminders.js): reminders are logged in
+-- quote_messages with their type, and each is sent (successfully) at most once per quote.
+ALTER TABLE quote_messages ADD COLUMN IF NOT EXISTS reminder_type VARCHAR(30);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quote_messages_reminder ON quote_messages(quote_id, reminder_type) WHERE reminder_type IS NOT NULL AND status = 'sent';
+
+INSERT INTO settings (key, value) VALUES ('expiry_reminder_days_before', '2') ON CONFLICT (key) DO NOTHING;
+INSERT INTO settings (key, value) VALUES ('unread_reminder_days_after', '3') ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,16 @@
+-- Adds Zoho CRM sync (see src/services/zohoSyncService.js): each quote with a zoho_id (the Zoho
+-- contact) gets its own deal, and the state of its sync is tracked here. Kept out of the quotes
+-- table so sync bookkeeping does not touch the quote's updated_at. Existing quotes are not
+-- synced until they next change.
+CREATE TABLE IF NOT EXISTS quote_zoho_sync (
+    quote_id UUID PRIMARY KEY REFERENCES quotes(id) ON DELETE CASCADE,
+    deal_id VARCHAR(255),
+    status VARCHAR(20), -- 'pending', 'synced' or 'failed'; NULL once the quote has no zoho_id
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    requested_at TIMESTAMPTZ,
+    next_sync_at TIMESTAMPTZ,
+    synced_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_zoho_sync_next_sync_at ON quote_zoho_sync(next_sync_at) WHERE status = 'pending';
@@ -0,0 +1,10 @@
+-- Adds customer accept/decline: the agreed price captured on acceptance (spot prices and totals),
+-- the decline reason, and when staff marked the response as handled. Quote status gains
+-- 'accepted' and 'declined'.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS agreed_price JSONB;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS decline_reason VARCHAR(30);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS decline_comment TEXT;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS response_acknowledged_at TIMESTAMPTZ;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS response_acknowledged_by VARCHAR(100);
+CREATE INDEX IF NOT EXISTS idx_quotes_unacknowledged_responses ON quotes(responded_at) WHERE responded_at IS NOT NULL AND response_acknowledged_at IS NULL;
@@ -0,0 +1,16 @@
+-- Adds the negotiation thread on a quote (see src/services/negotiationService.js): counter-offers
+-- and messages from the customer, and replies from staff (optionally with revised item percents).
+CREATE TABLE IF NOT EXISTS quote_negotiation_messages (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    author VARCHAR(10) NOT NULL CHECK (author IN ('customer', 'staff')),
+    staff_username VARCHAR(100), -- NULL for customer messages
+    message TEXT,
+    offer_total NUMERIC(12, 2), -- customer counter-offer for the whole quote
+    item_offers JSONB, -- customer counter-offer per item: [{ itemId, itemName, quotedTotal, total }]
+    revised_items JSONB, -- staff revised percents: [{ itemId, itemName, percent, previousPercent }]
+    quote_total NUMERIC(12, 2) NOT NULL, -- the quote's grand total once the message was posted
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_negotiation_messages_quote_id ON quote_negotiation_messages(quote_id, created_at);
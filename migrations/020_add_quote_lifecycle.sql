@@ -0,0 +1,32 @@
+-- Adds the full quote lifecycle (see src/services/quoteStatusService.js): draft → sent → viewed →
+-- negotiating → accepted → booked → completed, or declined, expired or cancelled. Every status
+-- change is recorded with who made it and when. New quotes start as drafts.
+--
+-- Existing 'active' quotes were already available to their customers, so they become
+-- 'negotiating' (if the customer has made an offer), 'viewed' or 'sent'.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+UPDATE quotes q
+SET status = CASE
+    WHEN EXISTS (SELECT 1 FROM quote_negotiation_messages m WHERE m.quote_id = q.id) THEN 'negotiating'
+    WHEN q.customer_viewed = 'read' THEN 'viewed'
+    ELSE 'sent'
+END
+WHERE q.status = 'active';
+
+ALTER TABLE quotes ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE quotes DROP CONSTRAINT IF EXISTS quotes_status_check;
+ALTER TABLE quotes ADD CONSTRAINT quotes_status_check CHECK (status IN (
+    'draft', 'sent', 'viewed', 'negotiating', 'accepted', 'booked', 'completed', 'declined', 'expired', 'cancelled'
+));
+
+CREATE TABLE IF NOT EXISTS quote_status_history (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    actor VARCHAR(100), -- staff username, 'customer' or 'system'
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_status_history_quote_id ON quote_status_history(quote_id, created_at);
@@ -0,0 +1,52 @@
+-- Gives each quote its own expiry date (staff can extend it from the edit page), and makes the
+-- quote validity and the data retention period settings (see src/jobs/expireQuotes.js and
+-- src/jobs/purgeData.js). Quotes were valid for 14 days from creation until now.
+--
+-- anonymised_at records when the retention job removed a quote's customer details. The job also
+-- redacts them from quote revisions and the audit log, so their triggers now allow that one kind
+-- of update.
+INSERT INTO settings (key, value) VALUES ('quote_valid_days', '14') ON CONFLICT (key) DO NOTHING;
+INSERT INTO settings (key, value) VALUES ('retention_days', '14') ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+UPDATE quotes SET expires_at = created_at + INTERVAL '14 days' WHERE expires_at IS NULL;
+ALTER TABLE quotes ALTER COLUMN expires_at SET NOT NULL;
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS anonymised_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_expires_at ON quotes(expires_at);
+
+-- Audit log entries are immutable once written, except that the retention job may redact
+-- their values (see src/services/retentionService.js); who did what, and when, never changes
+CREATE OR REPLACE FUNCTION prevent_audit_log_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.audit_redaction', true) = 'on'
+     AND NEW.id = OLD.id
+     AND NEW.action = OLD.action
+     AND NEW.actor IS NOT DISTINCT FROM OLD.actor
+     AND NEW.quote_id IS NOT DISTINCT FROM OLD.quote_id
+     AND NEW.created_at = OLD.created_at THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'audit_log entries are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Revisions are immutable once written, except that the retention job may redact the customer
+-- details in their snapshots (see src/services/retentionService.js)
+CREATE OR REPLACE FUNCTION prevent_quote_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.revision_redaction', true) = 'on'
+     AND NEW.id = OLD.id
+     AND NEW.quote_id = OLD.quote_id
+     AND NEW.revision_number = OLD.revision_number
+     AND NEW.reason = OLD.reason
+     AND NEW.created_by IS NOT DISTINCT FROM OLD.created_by
+     AND NEW.created_at = OLD.created_at THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'quote_revisions are immutable';
+END;
+$$ LANGUAGE plpgsql;
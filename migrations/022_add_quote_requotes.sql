@@ -0,0 +1,6 @@
+-- Adds re-quoting: a declined, expired or cancelled quote can be copied into a new quote at the
+-- current spot price. requoted_from links the new quote to the one it was made from, so the
+-- history (and negotiation) can be followed across quotes.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS requoted_from UUID REFERENCES quotes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_requoted_from ON quotes(requoted_from);
@@ -0,0 +1,14 @@
+-- Supports the server-side dashboard quote list (see quoteService.listQuotes), which pages
+-- through quotes newest first and filters them by status.
+CREATE INDEX IF NOT EXISTS idx_quotes_created_at ON quotes(created_at);
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+
+-- The quote list search matches any part of these columns (ILIKE '%...%'), which only trigram
+-- indexes can serve. The name is searched as the same expression that is indexed here.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_quotes_quote_number_trgm ON quotes USING GIN (quote_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_quotes_customer_name_trgm ON quotes
+    USING GIN ((COALESCE(customer_first_name, '') || ' ' || COALESCE(customer_surname, '')) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_quotes_customer_mobile_trgm ON quotes USING GIN (customer_mobile gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_quotes_customer_email_trgm ON quotes USING GIN (customer_email gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_quote_items_item_name_trgm ON quote_items USING GIN (item_name gin_trgm_ops);
@@ -0,0 +1,13 @@
+-- Adds staff login attempt tracking, so the staff login is throttled and locked out like the
+-- customer login (see loginThrottleService.beginStaffAttempt).
+CREATE TABLE IF NOT EXISTS staff_login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL, -- as submitted (lower-cased), whether or not an account has it
+    ip VARCHAR(64) NOT NULL,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- 'pending' while the attempt is being checked
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_login_attempts_ip ON staff_login_attempts(ip, created_at);
+CREATE INDEX IF NOT EXISTS idx_staff_login_attempts_username ON staff_login_attempts(username, created_at);
@@ -0,0 +1,14 @@
+-- Records who created each quote on the quote itself, so the dashboard quote list can filter by
+-- staff member without joining the quote's first revision. Existing quotes take it from their
+-- first revision, where they have one.
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+
+UPDATE quotes q
+SET created_by = r.created_by
+FROM quote_revisions r
+WHERE r.quote_id = q.id
+  AND r.revision_number = 1
+  AND r.created_by IS NOT NULL
+  AND q.created_by IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_created_by ON quotes(LOWER(created_by));
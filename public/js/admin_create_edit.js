@@ -11,8 +11,10 @@
  * -------------------------------------------------------------------------------------
  *
  * 1.  **Live Price Updates:**
- *     - Fetches and displays real-time gold and silver spot prices.
+ *     - Fetches and displays real-time gold, silver, platinum and palladium spot prices.
  *     - Allows manual price refreshes, which automatically recalculate all item values.
+ *     - Lets staff enter a manual spot price when the live feed is unavailable; quotes priced
+ *       this way are flagged with a "Manual Price" badge.
  *
  * 2.  **Dynamic Item Rows:**
  *     - Users can add or remove quote items on the fly.
@@ -23,8 +25,13 @@
  *     - Instantly calculates and displays the total price for each item row as the user
  *       inputs data (quantity, weight, etc.).
  *     - Automatically updates the grand total for the entire quote in real-time.
+ *     - All maths is delegated to the shared pricing engine (`window.Pricing`, loaded from
+ *       /js/shared/pricing.js), the same code the server uses to persist quote totals.
  *
- * 4.  **User Interface Feedback:**
+ * 4.  **Revision History (edit mode):**
+ *     - Compares any two saved revisions of the quote and shows what changed.
+ *
+ * 5.  **User Interface Feedback:**
  *     - Manages loading spinners and button states during asynchronous operations like
  *       fetching prices or submitting the form.
  *     - Provides simple UI enhancements like a "copy to clipboard" button for the quote URL.
@@ -44,53 +51,229 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * Handles the "Open URL" button functionality in edit mode.
-     * Opens the customer-facing URL in a new tab with an admin password for auto-login.
+     * Asks the server for a short-lived signed preview link and opens it in a new tab.
+     * The preview is read-only and does not mark the quote as viewed by the customer.
      */
     const openUrlBtn = document.getElementById('open-url-btn');
     if (openUrlBtn) {
-        openUrlBtn.addEventListener('click', () => {
-            const customerUrl = document.getElementById('customer-url').value;
-            const adminPassword = card.dataset.adminPassword;
-            
-            if (customerUrl && adminPassword) {
-                // Construct the URL for the login page, not the direct quote view,
-                // so the auto-login logic in the GET /login route can be triggered.
-                const loginUrl = `${customerUrl}/login?admin_password=${encodeURIComponent(adminPassword)}`;
-                window.open(loginUrl, '_blank');
-            } else {
-                alert('Could not open the URL. Customer URL or admin password not found.');
+        openUrlBtn.addEventListener('click', async () => {
+            // Open the tab straight away (inside the click) so it is not blocked as a popup
+            const previewWindow = window.open('', '_blank');
+            try {
+                const response = await fetch(`/admin/create-edit/${quoteId}/preview-link`, { method: 'POST' });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to create preview link');
+                }
+                previewWindow.location = result.url;
+            } catch (error) {
+                if (previewWindow) {
+                    previewWindow.close();
+                }
+                alert(`Could not open the preview: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Handles the "Send by SMS" / "Send by Email" buttons in edit mode.
+     * Opens the send dialog with the message filled in from the templates, lets staff edit it,
+     * then sends it through POST /admin/create-edit/:id/send and reloads to list the send.
+     */
+    const sendQuoteModalEl = document.getElementById('sendQuoteModal');
+    if (sendQuoteModalEl) {
+        const sendQuoteModal = new bootstrap.Modal(sendQuoteModalEl);
+        const subjectGroup = document.getElementById('send-quote-subject-group');
+        const subjectInput = document.getElementById('send-quote-subject');
+        const textInput = document.getElementById('send-quote-text');
+        const lengthSpan = document.getElementById('send-quote-length');
+        const resultDiv = document.getElementById('send-quote-result');
+        const confirmBtn = document.getElementById('send-quote-confirm');
+        const confirmSpinner = confirmBtn.querySelector('.spinner-border');
+        let sendChannel = null;
+
+        const updateLength = () => {
+            const length = textInput.value.length;
+            lengthSpan.textContent = sendChannel === 'sms'
+                ? `${length} characters (${Math.max(1, Math.ceil(length / 160))} SMS).`
+                : `${length} characters.`;
+        };
+
+        document.querySelectorAll('.send-quote-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                sendChannel = button.dataset.channel;
+                document.getElementById('sendQuoteModalLabel').textContent = sendChannel === 'sms' ? 'Send Quote by SMS' : 'Send Quote by Email';
+                document.getElementById('send-quote-to').textContent = button.dataset.to;
+                subjectGroup.classList.toggle('d-none', sendChannel !== 'email');
+                subjectInput.value = button.dataset.subject;
+                textInput.value = button.dataset.text;
+                resultDiv.innerHTML = '';
+                confirmBtn.disabled = false;
+                updateLength();
+                sendQuoteModal.show();
+            });
+        });
+
+        textInput.addEventListener('input', updateLength);
+
+        confirmBtn.addEventListener('click', async () => {
+            confirmBtn.disabled = true;
+            confirmSpinner.classList.remove('d-none');
+            resultDiv.innerHTML = '';
+
+            try {
+                const response = await fetch(`/admin/create-edit/${quoteId}/send`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ channel: sendChannel, subject: subjectInput.value, text: textInput.value })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error || 'Failed to send the quote.');
+                }
+                resultDiv.innerHTML = '<div class="alert alert-success mb-0">Sent. Reloading...</div>';
+                window.location.reload();
+            } catch (error) {
+                console.error('Error sending quote:', error);
+                const alertDiv = document.createElement('div');
+                alertDiv.className = 'alert alert-danger mb-0';
+                alertDiv.textContent = `Error: ${error.message}`;
+                resultDiv.appendChild(alertDiv);
+                confirmBtn.disabled = false;
+            } finally {
+                confirmSpinner.classList.add('d-none');
+            }
+        });
+    }
+
+    /**
+     * Handles the "Sync Now" button next to the Zoho CRM status in edit mode.
+     * Pushes the quote to its Zoho deal straight away and reloads to show the new status.
+     */
+    const zohoSyncBtn = document.getElementById('zoho-sync-btn');
+    if (zohoSyncBtn) {
+        const zohoSyncSpinner = zohoSyncBtn.querySelector('.spinner-border');
+        const zohoSyncResult = document.getElementById('zoho-sync-result');
+
+        zohoSyncBtn.addEventListener('click', async () => {
+            zohoSyncBtn.disabled = true;
+            zohoSyncSpinner.classList.remove('d-none');
+            zohoSyncResult.textContent = '';
+
+            try {
+                const response = await fetch(`/admin/create-edit/${quoteId}/zoho-sync`, { method: 'POST' });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error || 'Failed to sync the quote.');
+                }
+                window.location.reload();
+            } catch (error) {
+                console.error('Error syncing quote to Zoho:', error);
+                zohoSyncResult.textContent = `Zoho sync failed: ${error.message}`;
+                zohoSyncBtn.disabled = false;
+            } finally {
+                zohoSyncSpinner.classList.add('d-none');
+            }
+        });
+    }
+
+    /**
+     * Handles the "Find in Zoho" button next to the Zoho ID.
+     * Searches Zoho contacts by the mobile and email entered, lists the matches, and fills in
+     * the customer details from the one staff pick (blank fields in Zoho are left as they are).
+     */
+    const zohoFindBtn = document.getElementById('zoho-find-btn');
+    if (zohoFindBtn) {
+        const zohoFindSpinner = zohoFindBtn.querySelector('.spinner-border');
+        const zohoFindResult = document.getElementById('zoho-find-result');
+        const zohoContactsList = document.getElementById('zoho-contacts');
+
+        const showFindMessage = (message, className) => {
+            zohoFindResult.className = `small mb-2 ${className}`;
+            zohoFindResult.textContent = message;
+        };
+
+        const fillFromContact = (contact) => {
+            [['firstName', contact.firstName], ['surname', contact.surname], ['mobile', contact.mobile], ['email', contact.email], ['zohoId', contact.id]]
+                .forEach(([fieldId, value]) => {
+                    const input = document.getElementById(fieldId);
+                    if (value) {
+                        input.value = value;
+                        // Let the mobile formatting and validation run on the new value
+                        input.dispatchEvent(new Event('blur'));
+                    }
+                });
+            zohoContactsList.innerHTML = '';
+            showFindMessage(`Filled in from Zoho contact ${contact.id}.`, 'text-success');
+        };
+
+        zohoFindBtn.addEventListener('click', async () => {
+            const params = new URLSearchParams({
+                mobile: document.getElementById('mobile').value,
+                email: document.getElementById('email').value
+            });
+
+            zohoFindBtn.disabled = true;
+            zohoFindSpinner.classList.remove('d-none');
+            zohoContactsList.innerHTML = '';
+            showFindMessage('', '');
+
+            try {
+                const response = await fetch(`/admin/create-edit/zoho/contacts?${params}`);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to search Zoho.');
+                }
+                if (data.contacts.length === 0) {
+                    showFindMessage('No Zoho contact has this mobile or email.', 'text-muted');
+                    return;
+                }
+
+                showFindMessage('Pick the contact to use:', 'text-muted');
+                data.contacts.forEach(contact => {
+                    const item = document.createElement('button');
+                    item.type = 'button';
+                    item.className = 'list-group-item list-group-item-action';
+                    item.textContent = [`${contact.firstName} ${contact.surname}`.trim() || '(no name)', contact.mobile, contact.email]
+                        .filter(Boolean).join(' · ');
+                    item.addEventListener('click', () => fillFromContact(contact));
+                    zohoContactsList.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error searching Zoho contacts:', error);
+                showFindMessage(`Error: ${error.message}`, 'text-danger');
+            } finally {
+                zohoFindBtn.disabled = false;
+                zohoFindSpinner.classList.add('d-none');
             }
         });
     }
 
     /**
-     * Handles the "Mark as Expired" form submission in edit mode.
-     * - Shows a confirmation dialog before proceeding.
+     * Handles the status button forms in edit mode ("Mark as Sent", "Mark as Expired", etc.).
+     * - Shows the form's confirmation dialog (data-confirm), if it has one, before proceeding.
      * - Prevents submission if the user cancels.
      * - Manages the loading spinner and button state.
      */
-    const expireForm = document.getElementById('expire-form');
-    if (expireForm) {
-        const expireButton = expireForm.querySelector('button[type="submit"]');
-        const expireSpinner = expireButton.querySelector('.spinner-border');
+    document.querySelectorAll('.status-form').forEach(statusForm => {
+        const statusButton = statusForm.querySelector('button[type="submit"]');
+        const statusSpinner = statusButton.querySelector('.spinner-border');
 
-        expireForm.addEventListener('submit', (event) => {
-            const isConfirmed = confirm('Are you sure you want to mark this quote as expired?');
-            
-            if (!isConfirmed) {
+        statusForm.addEventListener('submit', (event) => {
+            if (statusForm.dataset.confirm && !confirm(statusForm.dataset.confirm)) {
                 event.preventDefault();
                 return;
             }
 
-            if (expireButton.disabled) {
+            if (statusButton.disabled) {
                 event.preventDefault();
                 return;
             }
 
-            expireSpinner.classList.remove('d-none');
-            expireButton.disabled = true;
+            statusSpinner.classList.remove('d-none');
+            statusButton.disabled = true;
         });
-    }
+    });
 
     /**
      * Handles the main form submission.
@@ -100,11 +283,74 @@ document.addEventListener('DOMContentLoaded', () => {
     form.addEventListener('submit', () => {
         document.getElementById('hidden-gold-gram-nzd').value = card.dataset.goldGramNzd || 0;
         document.getElementById('hidden-silver-gram-nzd').value = card.dataset.silverGramNzd || 0;
+        document.getElementById('hidden-platinum-gram-nzd').value = card.dataset.platinumGramNzd || 0;
+        document.getElementById('hidden-palladium-gram-nzd').value = card.dataset.palladiumGramNzd || 0;
+        document.getElementById('hidden-spot-price-provider').value = card.dataset.spotPriceProvider || '';
 
         spinner.classList.remove('d-none');
         submitButton.disabled = true;
     });
 
+    // =====================================================================================
+    // REVISION HISTORY (EDIT mode only)
+    // =====================================================================================
+    const revisionDiffBtn = document.getElementById('revision-diff-btn');
+
+    /**
+     * Escapes a value for display in the diff table.
+     * @param {*} value - The value from a revision snapshot.
+     * @returns {string} The escaped text, or "-" for empty values.
+     */
+    const formatDiffValue = (value) => {
+        if (value === null || value === undefined || value === '') {
+            return '-';
+        }
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    };
+
+    if (revisionDiffBtn) {
+        revisionDiffBtn.addEventListener('click', async () => {
+            const from = document.getElementById('revision-from').value;
+            const to = document.getElementById('revision-to').value;
+            const resultDiv = document.getElementById('revision-diff-result');
+            resultDiv.innerHTML = '';
+
+            try {
+                const response = await fetch(`/admin/create-edit/${quoteId}/revisions/diff?from=${from}&to=${to}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to compare revisions.');
+                }
+
+                const rows = [];
+                data.diff.quote.forEach(change => {
+                    rows.push(`<tr><td>Quote</td><td>${change.label}</td><td>${formatDiffValue(change.from)}</td><td>${formatDiffValue(change.to)}</td></tr>`);
+                });
+                data.diff.items.forEach(item => {
+                    item.fields.forEach(change => {
+                        rows.push(`<tr><td>Item ${item.position} (${item.change})</td><td>${change.label}</td><td>${formatDiffValue(change.from)}</td><td>${formatDiffValue(change.to)}</td></tr>`);
+                    });
+                });
+
+                if (rows.length === 0) {
+                    resultDiv.innerHTML = `<span class="text-muted">No differences between revision #${data.from.revision_number} and #${data.to.revision_number}.</span>`;
+                    return;
+                }
+
+                resultDiv.innerHTML = `
+                    <table class="table table-sm">
+                        <thead><tr><th></th><th>Field</th><th>#${data.from.revision_number}</th><th>#${data.to.revision_number}</th></tr></thead>
+                        <tbody>${rows.join('')}</tbody>
+                    </table>`;
+            } catch (error) {
+                resultDiv.innerHTML = `<span class="text-danger">Error: ${error.message}</span>`;
+            }
+        });
+    }
+
     // =====================================================================================
     // LIVE PRICE MANAGEMENT
     // =====================================================================================
@@ -112,6 +358,48 @@ document.addEventListener('DOMContentLoaded', () => {
     const getLivePriceBtn = document.getElementById('get-live-price-btn');
     const priceErrorDiv = document.getElementById('price-error');
 
+    /**
+     * Displays spot prices returned by the server and stores them for calculations.
+     * @param {object} data - A saved quote (`spot_price_*` column names) or a live price object.
+     */
+    const displaySpotPrices = (data) => {
+        // Normalize the keys from the server response, as they differ between modes
+        // (a saved quote uses `spot_price_*` column names, live prices do not).
+        const metals = ['gold', 'silver', 'platinum', 'palladium'];
+        metals.forEach(metal => {
+            const gramPrice = data[`spot_price_${metal}_gram_nzd`] || data[`${metal}_gram_nzd`];
+            const ouncePrice = data[`spot_price_${metal}_ounce_nzd`] || data[`${metal}_ounce_nzd`];
+
+            // Update the UI with the new prices.
+            document.getElementById(`${metal}-oz-price`).textContent = Number(ouncePrice).toFixed(2);
+            document.getElementById(`${metal}-g-price`).textContent = Number(gramPrice).toFixed(2);
+
+            // Store the raw gram values in the card's dataset for calculations
+            // (e.g., data-gold-gram-nzd is exposed as dataset.goldGramNzd).
+            card.dataset[`${metal}GramNzd`] = gramPrice;
+        });
+        document.getElementById('last-updated').textContent = new Date().toLocaleString('en-NZ');
+
+        // Record which provider supplied the prices so it is saved with the quote.
+        card.dataset.spotPriceProvider = data.spot_price_provider || data.provider || '';
+        document.getElementById('spot-price-provider').textContent = card.dataset.spotPriceProvider || '-';
+
+        // Flag manually entered prices (per quote, or from a global override).
+        const isManual = !!(data.spot_price_is_manual || data.manual);
+        card.dataset.spotPriceManual = isManual;
+        document.getElementById('manual-price-badge').classList.toggle('d-none', !isManual);
+
+        // A saved quote's price lock restarts when its prices are updated (edit mode only).
+        const priceLockStatus = document.getElementById('price-lock-status');
+        if (priceLockStatus && data.price_locked_until) {
+            priceLockStatus.dataset.priceLockedUntil = data.price_locked_until;
+            priceLockStatus.classList.remove('d-none');
+        }
+
+        // Recalculate all item prices with the new spot values.
+        updateAllItemPrices();
+    };
+
     /**
      * A single, reusable function to fetch, display, and store live spot prices.
      * This function handles the logic for both "create" and "edit" modes.
@@ -135,37 +423,59 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(data.error || 'Failed to fetch latest prices from the server.');
             }
 
-            // Normalize the keys from the server response, as they differ between modes.
-            const prices = {
-                gold_oz: Number(data.spot_price_gold_ounce_nzd || data.gold_ounce_nzd).toFixed(2),
-                gold_g: Number(data.spot_price_gold_gram_nzd || data.gold_gram_nzd).toFixed(2),
-                silver_oz: Number(data.spot_price_silver_ounce_nzd || data.silver_ounce_nzd).toFixed(2),
-                silver_g: Number(data.spot_price_silver_gram_nzd || data.silver_gram_nzd).toFixed(2),
-                gold_g_raw: data.spot_price_gold_gram_nzd || data.gold_gram_nzd,
-                silver_g_raw: data.spot_price_silver_gram_nzd || data.silver_gram_nzd
-            };
+            displaySpotPrices(data);
 
-            // Update the UI with the new prices.
-            document.getElementById('gold-oz-price').textContent = prices.gold_oz;
-            document.getElementById('gold-g-price').textContent = prices.gold_g;
-            document.getElementById('silver-oz-price').textContent = prices.silver_oz;
-            document.getElementById('silver-g-price').textContent = prices.silver_g;
-            document.getElementById('last-updated').textContent = new Date().toLocaleString('en-NZ');
+        } catch (error) {
+            priceErrorDiv.textContent = `Error: ${error.message}. You can enter a manual price below.`;
+            bootstrap.Collapse.getOrCreateInstance(document.getElementById('manualPriceCollapse')).show();
+        } finally {
+            button.disabled = false;
+            spinner.classList.add('d-none');
+        }
+    };
+
+    /**
+     * Validates the manually entered prices on the server and displays them.
+     * In edit mode the prices are saved to the quote straight away (like a live refresh);
+     * in create mode they are saved when the quote is created.
+     */
+    const manualPriceBtn = document.getElementById('manual-price-btn');
+    const manualPriceErrorDiv = document.getElementById('manual-price-error');
+
+    manualPriceBtn.addEventListener('click', async () => {
+        const spinner = manualPriceBtn.querySelector('.spinner-border');
+        manualPriceBtn.disabled = true;
+        spinner.classList.remove('d-none');
+        manualPriceErrorDiv.textContent = '';
+
+        const body = {};
+        document.querySelectorAll('.manual-price-input').forEach(input => {
+            body[`${input.dataset.metal}_gram_nzd`] = input.value;
+        });
 
-            // Store the raw gram values in the card's dataset for calculations.
-            card.dataset.goldGramNzd = prices.gold_g_raw;
-            card.dataset.silverGramNzd = prices.silver_g_raw;
+        const url = isEditMode ? `/quote/edit/${quoteId}/manual-price` : '/quote/manual-prices';
 
-            // Recalculate all item prices with the new spot values.
-            updateAllItemPrices();
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
 
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to apply manual prices.');
+            }
+
+            displaySpotPrices(data);
+            priceErrorDiv.textContent = '';
         } catch (error) {
-            priceErrorDiv.textContent = `Error: ${error.message}`;
+            manualPriceErrorDiv.textContent = `Error: ${error.message}`;
         } finally {
-            button.disabled = false;
+            manualPriceBtn.disabled = false;
             spinner.classList.add('d-none');
         }
-    };
+    });
 
     // Attach the event listener to the "refresh" button if it exists (edit mode).
     if (refreshPriceBtn) {
@@ -258,22 +568,42 @@ document.addEventListener('DOMContentLoaded', () => {
             calculateItemPrice(row);
         });
 
-        // Weight type dropdown: When a pre-defined weight is selected (e.g., "1 oz"),
-        // it auto-fills the "Metal Weight (g)" input with the gram equivalent.
-        const weightTypeSelect = row.querySelector('.weight-type-select');
-        weightTypeSelect.addEventListener('change', (e) => {
-            const weightInput = row.querySelector('.weight-input');
-            const weightTypeHidden = row.querySelector('.weight-type-hidden');
-            
-            const selectedWeight = e.target.value;
-            weightInput.value = selectedWeight; // Auto-fill the weight input
-            weightTypeHidden.value = selectedWeight; // Update hidden field for submission
+        // Product dropdown: When a catalogue product is selected (e.g., "Sovereign"),
+        // it auto-fills the gross weight and purity, the metal type (unless the product is a
+        // generic size), the percent (if the product has a default and none is entered yet)
+        // and the item name (if still blank).
+        const productSelect = row.querySelector('.product-select');
+        productSelect.addEventListener('change', (e) => {
+            const option = e.target.selectedOptions[0];
+            if (!option || !option.value) {
+                calculateItemPrice(row);
+                return;
+            }
+
+            row.querySelector('.gross-weight-input').value = option.dataset.grossWeight;
+            row.querySelector('.purity-select').value = option.dataset.purity;
+
+            if (option.dataset.metalType) {
+                metalTypeSelect.value = option.dataset.metalType;
+                row.dataset.metalType = option.dataset.metalType;
+            }
+
+            const percentInput = row.querySelector('.percent-input');
+            if (option.dataset.defaultPercent && !percentInput.value) {
+                percentInput.value = option.dataset.defaultPercent;
+            }
+
+            const nameInput = row.querySelector('.item-name-input');
+            if (!nameInput.value.trim()) {
+                nameInput.value = option.textContent.trim();
+            }
             
             calculateItemPrice(row);
         });
 
-        // All other inputs (weight, quantity, percent) trigger a price recalculation on change.
-        row.querySelector('.weight-input').addEventListener('input', () => calculateItemPrice(row));
+        // All other inputs (weight, purity, quantity, percent) trigger a price recalculation on change.
+        row.querySelector('.gross-weight-input').addEventListener('input', () => calculateItemPrice(row));
+        row.querySelector('.purity-select').addEventListener('change', () => calculateItemPrice(row));
         row.querySelector('.quantity-input').addEventListener('input', () => calculateItemPrice(row));
         row.querySelector('.percent-input').addEventListener('input', () => calculateItemPrice(row));
     }
@@ -318,43 +648,34 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (input.name) {
                     input.name = input.name.replace(/\[\d+\]/, `[${newIndex}]`);
                 }
-                if (input.id && input.id.includes('weightTypeHidden')) {
-                    input.id = `weightTypeHidden${newIndex}`;
-                }
             });
-            
-            const weightTypeSelect = row.querySelector('.weight-type-select');
-            if (weightTypeSelect) {
-                weightTypeSelect.dataset.index = newIndex;
-            }
         });
     }
 
     /**
      * Calculates the live price for a single item row based on its inputs.
-     * Formula: (Weight * GramPrice * Quantity) * (1 - PercentDiscount)
+     * Uses the shared pricing engine so the preview matches the totals saved on the server.
      * @param {HTMLElement} row - The item row to calculate the price for.
      */
     function calculateItemPrice(row) {
-        const metalType = row.dataset.metalType;
-        const weight = parseFloat(row.querySelector('.weight-input').value) || 0;
-        const quantity = parseInt(row.querySelector('.quantity-input').value) || 1;
-        const percent = parseFloat(row.querySelector('.percent-input').value) || 0;
-        
-        const goldGramPrice = parseFloat(card.dataset.goldGramNzd) || 0;
-        const silverGramPrice = parseFloat(card.dataset.silverGramNzd) || 0;
-        
-        let basePrice = 0;
-        if (metalType === 'Gold') {
-            basePrice = weight * goldGramPrice * quantity;
-        } else if (metalType === 'Silver') {
-            basePrice = weight * silverGramPrice * quantity;
-        }
-        
-        let finalPrice = basePrice * (1 - (percent / 100));
-        finalPrice = Math.max(0, finalPrice); // Ensure price is not negative
+        const item = {
+            metalType: row.dataset.metalType,
+            grossWeight: row.querySelector('.gross-weight-input').value,
+            purity: row.querySelector('.purity-select').value,
+            quantity: row.querySelector('.quantity-input').value,
+            percent: row.querySelector('.percent-input').value,
+        };
+        const spotPrices = {
+            gold_gram_nzd: card.dataset.goldGramNzd,
+            silver_gram_nzd: card.dataset.silverGramNzd,
+            platinum_gram_nzd: card.dataset.platinumGramNzd,
+            palladium_gram_nzd: card.dataset.palladiumGramNzd,
+        };
+
+        const itemPrice = Pricing.calculateItemPrice(item, spotPrices);
         
-        row.querySelector('.live-price').textContent = finalPrice.toFixed(2);
+        row.querySelector('.fine-weight').textContent = itemPrice.weight.toFixed(4);
+        row.querySelector('.live-price').textContent = itemPrice.total.toFixed(2);
         updateGrandTotal(); // Trigger a grand total update after each item calculation.
     }
 
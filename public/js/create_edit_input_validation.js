@@ -2,7 +2,9 @@
  * @file Client-side validation for the admin create/edit quote form.
  * @description This script ensures that the form is not submitted unless key validation rules are met.
  *              It checks for the following:
- *              1. At least one contact method (mobile or email) is provided for the customer.
+ *              1. At least one contact method (mobile or email) is provided for the customer,
+ *                 and the mobile (if any) is a valid number. It is reformatted to E.164 on blur
+ *                 using the shared normaliser (window.Phone, from /js/shared/phone.js).
  *              2. For each item row that is partially filled, all fields in that row must be completed.
  *              If validation fails, the form submission is prevented, and appropriate error messages are displayed.
  */
@@ -15,6 +17,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const mobileError = document.getElementById('mobile-error');
     const emailError = document.getElementById('email-error');
 
+    // Show the number as it will be saved once staff leave the field
+    mobileInput.addEventListener('blur', () => {
+        const { e164, error } = Phone.normaliseMobile(mobileInput.value);
+        if (e164) {
+            mobileInput.value = e164;
+        }
+        mobileInput.classList.toggle('is-invalid', Boolean(error));
+        mobileError.textContent = error || '';
+    });
+
     form.addEventListener('submit', (event) => {
         let isContactValid = validateContactInfo();
         let areItemsValid = validateItems();
@@ -46,6 +58,14 @@ document.addEventListener('DOMContentLoaded', () => {
             emailError.textContent = 'Please provide at least one contact method';
             return false;
         }
+
+        const { e164, error } = Phone.normaliseMobile(mobile);
+        if (error) {
+            mobileInput.classList.add('is-invalid');
+            mobileError.textContent = error;
+            return false;
+        }
+        mobileInput.value = e164 || '';
         return true;
     }
 
@@ -57,16 +77,14 @@ document.addEventListener('DOMContentLoaded', () => {
         itemRows.forEach((row) => {
             const itemNameInput = row.querySelector('.item-name-input');
             const quantityInput = row.querySelector('.quantity-input');
-            const weightTypeSelect = row.querySelector('.weight-type-select');
-            const weightInput = row.querySelector('.weight-input');
+            const weightInput = row.querySelector('.gross-weight-input');
             const percentInput = row.querySelector('.percent-input');
 
-            const isPartiallyFilled = [itemNameInput.value, quantityInput.value, weightTypeSelect.value, weightInput.value, percentInput.value].some(value => value && value.trim() !== '');
+            const isPartiallyFilled = [itemNameInput.value, quantityInput.value, weightInput.value, percentInput.value].some(value => value && value.trim() !== '');
 
             if (isPartiallyFilled) {
                 if (!validateField(itemNameInput, 'Item Name is required.')) isValid = false;
                 if (!validateField(quantityInput, 'Quantity is required.')) isValid = false;
-                if (!validateField(weightTypeSelect, 'Weight Type is required.')) isValid = false;
                 if (!validateField(weightInput, 'Weight is required.')) isValid = false;
             }
         });
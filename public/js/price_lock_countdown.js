@@ -0,0 +1,70 @@
+/**
+ * =====================================================================================
+ * PRICE LOCK COUNTDOWN - Shared by the customer quote page and the staff edit page
+ * =====================================================================================
+ *
+ * Every element with a `data-price-locked-until` attribute (an ISO timestamp) gets a live
+ * countdown written into its `.price-lock-countdown` child. The element carries the class
+ * `price-lock-active` while the price is honoured and `price-lock-expired` once it elapses;
+ * children marked `data-price-lock-show="active"` or `data-price-lock-show="expired"` are
+ * shown only in the matching state.
+ *
+ * Other scripts can restart a countdown (e.g., after a price refresh) by updating the
+ * element's `data-price-locked-until` attribute; the next tick picks it up.
+ *
+ * =====================================================================================
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const lockElements = document.querySelectorAll('[data-price-locked-until]');
+    if (lockElements.length === 0) {
+        return;
+    }
+
+    /**
+     * Formats a number of milliseconds as "1h 05m 09s", "05m 09s" or "09s".
+     * @param {number} ms - The remaining time in milliseconds.
+     * @returns {string} The formatted countdown.
+     */
+    const formatRemaining = (ms) => {
+        const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (value) => String(value).padStart(2, '0');
+
+        if (hours > 0) {
+            return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+        }
+        if (minutes > 0) {
+            return `${pad(minutes)}m ${pad(seconds)}s`;
+        }
+        return `${pad(seconds)}s`;
+    };
+
+    /**
+     * Updates one element's countdown text and active/expired state.
+     * @param {HTMLElement} element - The element with a `data-price-locked-until` attribute.
+     */
+    const updateLock = (element) => {
+        const lockedUntil = new Date(element.dataset.priceLockedUntil);
+        if (isNaN(lockedUntil.getTime())) {
+            return;
+        }
+
+        const remaining = lockedUntil.getTime() - Date.now();
+        const isExpired = remaining <= 0;
+
+        element.classList.toggle('price-lock-active', !isExpired);
+        element.classList.toggle('price-lock-expired', isExpired);
+        element.querySelectorAll('.price-lock-countdown').forEach(countdown => {
+            countdown.textContent = formatRemaining(remaining);
+        });
+        element.querySelectorAll('[data-price-lock-show]').forEach(child => {
+            child.classList.toggle('d-none', child.dataset.priceLockShow !== (isExpired ? 'expired' : 'active'));
+        });
+    };
+
+    const tick = () => lockElements.forEach(updateLock);
+    tick();
+    setInterval(tick, 1000);
+});
@@ -1,9 +1,21 @@
 -- Drop existing tables in reverse order of dependency to avoid errors
 -- Drop existing tables in reverse order of dependency to avoid errors
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS staff_login_attempts;
+DROP TABLE IF EXISTS staff_users;
+DROP TABLE IF EXISTS quote_status_history;
+DROP TABLE IF EXISTS quote_negotiation_messages;
+DROP TABLE IF EXISTS quote_zoho_sync;
+DROP TABLE IF EXISTS quote_messages;
+DROP TABLE IF EXISTS customer_login_attempts;
+DROP TABLE IF EXISTS customer_login_codes;
+DROP TABLE IF EXISTS quote_revisions;
 DROP TABLE IF EXISTS quote_items;
 DROP TABLE IF EXISTS quotes;
+DROP TABLE IF EXISTS products;
 DROP TABLE IF EXISTS sequences;
 DROP TABLE IF EXISTS settings;
+DROP TABLE IF EXISTS spot_price_history;
 DROP TABLE IF EXISTS "session";
 
 -- The rest of the schema will be sourced from schema.sql
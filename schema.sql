@@ -1,6 +1,9 @@
 -- Set timezone to New Zealand
 SET TIMEZONE='Pacific/Auckland';
 
+-- Trigram matching, for the indexes behind the dashboard quote search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Create the quotes table
 CREATE TABLE quotes (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -15,16 +18,85 @@ CREATE TABLE quotes (
     spot_price_silver_gram_nzd DECIMAL(10, 4),
     spot_price_gold_ounce_nzd DECIMAL(10, 4),
     spot_price_silver_ounce_nzd DECIMAL(10, 4),
+    spot_price_platinum_gram_nzd DECIMAL(10, 4),
+    spot_price_palladium_gram_nzd DECIMAL(10, 4),
+    spot_price_platinum_ounce_nzd DECIMAL(10, 4),
+    spot_price_palladium_ounce_nzd DECIMAL(10, 4),
     spot_price_updated_at TIMESTAMPTZ,
+    spot_price_provider VARCHAR(50),
+    spot_price_is_manual BOOLEAN NOT NULL DEFAULT FALSE,
+    price_lock_minutes INTEGER,
+    price_locked_until TIMESTAMPTZ,
+    is_tracking BOOLEAN NOT NULL DEFAULT FALSE,
+    tracking_baseline JSONB,
     totals JSONB,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     show_quoted_rate BOOLEAN DEFAULT FALSE,
-    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    -- Lifecycle status; the allowed changes between them are in src/services/quoteStatusService.js
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN (
+        'draft', 'sent', 'viewed', 'negotiating', 'accepted', 'booked', 'completed', 'declined', 'expired', 'cancelled'
+    )),
+    status_changed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL, -- set from the quote_valid_days setting; staff can extend it
     customer_viewed VARCHAR(20) DEFAULT 'unread',
-    customer_viewed_at TIMESTAMPTZ
+    customer_viewed_at TIMESTAMPTZ,
+    -- Customer response (accept/decline); agreed_price holds the spot prices and totals accepted
+    agreed_price JSONB,
+    responded_at TIMESTAMPTZ,
+    decline_reason VARCHAR(30),
+    decline_comment TEXT,
+    response_acknowledged_at TIMESTAMPTZ,
+    response_acknowledged_by VARCHAR(100),
+    anonymised_at TIMESTAMPTZ, -- when the retention job removed the customer details (see src/jobs/purgeData.js)
+    requoted_from UUID REFERENCES quotes(id) ON DELETE SET NULL, -- the quote this one re-quotes, if any
+    created_by VARCHAR(255) -- the staff member who created the quote
+);
+
+CREATE INDEX idx_quotes_created_at ON quotes(created_at);
+CREATE INDEX idx_quotes_status ON quotes(status);
+CREATE INDEX idx_quotes_expires_at ON quotes(expires_at);
+CREATE INDEX idx_quotes_requoted_from ON quotes(requoted_from);
+CREATE INDEX idx_quotes_created_by ON quotes(LOWER(created_by));
+CREATE INDEX idx_quotes_unacknowledged_responses ON quotes(responded_at) WHERE responded_at IS NOT NULL AND response_acknowledged_at IS NULL;
+
+-- Create the products table (catalogue of coins, bars and generic sizes)
+CREATE TABLE products (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    metal_type VARCHAR(50), -- NULL for generic sizes usable with any metal
+    gross_weight DECIMAL(10, 4) NOT NULL,
+    purity VARCHAR(20) NOT NULL DEFAULT 'fine',
+    fine_weight DECIMAL(10, 4) NOT NULL,
+    default_percent DECIMAL(5, 2),
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Seed the catalogue with the standard sizes and coins
+INSERT INTO products (name, metal_type, gross_weight, purity, fine_weight, sort_order) VALUES
+    ('1g', NULL, 1, 'fine', 1.0000, 10),
+    ('5g', NULL, 5, 'fine', 5.0000, 20),
+    ('10g', NULL, 10, 'fine', 10.0000, 30),
+    ('20g', NULL, 20, 'fine', 20.0000, 40),
+    ('50g', NULL, 50, 'fine', 50.0000, 50),
+    ('100g', NULL, 100, 'fine', 100.0000, 60),
+    ('500g', NULL, 500, 'fine', 500.0000, 70),
+    ('1 Kgs', NULL, 1000, 'fine', 1000.0000, 80),
+    ('1/20 oz', NULL, 1.5552, 'fine', 1.5552, 110),
+    ('1/10 oz', NULL, 3.1104, 'fine', 3.1104, 120),
+    ('1/4 oz', NULL, 7.7759, 'fine', 7.7759, 130),
+    ('1/2 oz', NULL, 15.5518, 'fine', 15.5518, 140),
+    ('1 oz', NULL, 31.1035, 'fine', 31.1035, 150),
+    ('2 oz', NULL, 62.207, 'fine', 62.2070, 160),
+    ('5 oz', NULL, 155.5175, 'fine', 155.5175, 170),
+    ('10 oz', NULL, 311.035, 'fine', 311.0350, 180),
+    ('Half Sovereign', 'Gold', 3.9940, '22ct', 3.6612, 210),
+    ('Sovereign', 'Gold', 7.9881, '22ct', 7.3225, 220);
+
 -- Create the quote_items table
 CREATE TABLE quote_items (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -32,9 +104,12 @@ CREATE TABLE quote_items (
     item_name TEXT,
     metal_type VARCHAR(50),
     percent DECIMAL(5, 2),
-    weight DECIMAL(10, 2),
-    weight_type VARCHAR(50),
-    quantity INTEGER NOT NULL DEFAULT 1
+    weight DECIMAL(10, 4), -- Fine (pure metal) weight in grams, derived from gross_weight and purity
+    weight_type VARCHAR(50), -- Legacy hard-coded weight type, superseded by product_id
+    quantity INTEGER NOT NULL DEFAULT 1,
+    gross_weight DECIMAL(10, 4),
+    purity VARCHAR(20) NOT NULL DEFAULT 'fine',
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL
 );
 
 -- Create the sequences table for quote numbers
@@ -71,6 +146,228 @@ CREATE TABLE settings (
 -- Initialize the spot normalisation offset setting (default 0.25%)
 INSERT INTO settings (key, value) VALUES ('spot_normalisation_offset', '0.25');
 
+-- Initialize the spot price cache TTL setting (seconds between provider calls)
+INSERT INTO settings (key, value) VALUES ('spot_price_cache_ttl_seconds', '60');
+
+-- Initialize the maximum % a manual spot price may differ from the last live price
+INSERT INTO settings (key, value) VALUES ('spot_override_max_deviation_percent', '10');
+
+-- Initialize the default price lock window (minutes a quote's prices are honoured)
+INSERT INTO settings (key, value) VALUES ('price_lock_minutes', '30');
+
+-- Initialize the customer reminder timing (days before expiry / days unread after sending; 0 = off)
+INSERT INTO settings (key, value) VALUES ('expiry_reminder_days_before', '2');
+INSERT INTO settings (key, value) VALUES ('unread_reminder_days_after', '3');
+
+-- Initialize how long quotes are valid for, and how long customer details are kept once a quote is closed (days)
+INSERT INTO settings (key, value) VALUES ('quote_valid_days', '14');
+INSERT INTO settings (key, value) VALUES ('retention_days', '14');
+
+-- Create the spot price history table (one row per metal per provider fetch)
+CREATE TABLE spot_price_history (
+    id BIGSERIAL PRIMARY KEY,
+    metal VARCHAR(20) NOT NULL,
+    raw_price_gram_nzd DECIMAL(12, 4) NOT NULL,
+    offset_percent DECIMAL(6, 3) NOT NULL,
+    normalised_price_gram_nzd DECIMAL(12, 4) NOT NULL,
+    provider VARCHAR(50),
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_spot_price_history_metal_fetched_at ON spot_price_history(metal, fetched_at);
+
+-- Create the quote revisions table (an immutable snapshot per save or price refresh)
+CREATE TABLE quote_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    created_by VARCHAR(255),
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (quote_id, revision_number)
+);
+
+-- Revisions are immutable once written, except that the retention job may redact the customer
+-- details in their snapshots (see src/services/retentionService.js)
+CREATE OR REPLACE FUNCTION prevent_quote_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.revision_redaction', true) = 'on'
+     AND NEW.id = OLD.id
+     AND NEW.quote_id = OLD.quote_id
+     AND NEW.revision_number = OLD.revision_number
+     AND NEW.reason = OLD.reason
+     AND NEW.created_by IS NOT DISTINCT FROM OLD.created_by
+     AND NEW.created_at = OLD.created_at THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'quote_revisions are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER quote_revisions_immutable
+BEFORE UPDATE ON quote_revisions
+FOR EACH ROW
+EXECUTE PROCEDURE prevent_quote_revision_update();
+
+-- Create the audit log (who did what, from where and when; before/after values as JSON)
+CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    action VARCHAR(50) NOT NULL,
+    actor VARCHAR(255),
+    ip VARCHAR(64),
+    quote_id UUID, -- No foreign key: entries outlive the quotes they describe
+    before_values JSONB,
+    after_values JSONB,
+    details JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX idx_audit_log_quote_id ON audit_log(quote_id);
+
+-- Audit log entries are immutable once written, except that the retention job may redact
+-- their values (see src/services/retentionService.js); who did what, and when, never changes
+CREATE OR REPLACE FUNCTION prevent_audit_log_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.audit_redaction', true) = 'on'
+     AND NEW.id = OLD.id
+     AND NEW.action = OLD.action
+     AND NEW.actor IS NOT DISTINCT FROM OLD.actor
+     AND NEW.quote_id IS NOT DISTINCT FROM OLD.quote_id
+     AND NEW.created_at = OLD.created_at THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'audit_log entries are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_immutable
+BEFORE UPDATE ON audit_log
+FOR EACH ROW
+EXECUTE PROCEDURE prevent_audit_log_update();
+
+-- Create the staff users table (individual logins; role is dealer, manager or admin)
+CREATE TABLE staff_users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username VARCHAR(50) NOT NULL,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'dealer' CHECK (role IN ('dealer', 'manager', 'admin')),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Usernames are unique regardless of case
+CREATE UNIQUE INDEX idx_staff_users_username ON staff_users(LOWER(username));
+
+-- Create the staff login attempts table (for rate limiting and lockout of the staff login)
+CREATE TABLE staff_login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL, -- as submitted (lower-cased), whether or not an account has it
+    ip VARCHAR(64) NOT NULL,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- 'pending' while the attempt is being checked
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_staff_login_attempts_ip ON staff_login_attempts(ip, created_at);
+CREATE INDEX idx_staff_login_attempts_username ON staff_login_attempts(username, created_at);
+
+-- Create the customer login codes table (one-time codes sent to the mobile or email on a quote)
+CREATE TABLE customer_login_codes (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    channel VARCHAR(10) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_customer_login_codes_quote_id ON customer_login_codes(quote_id, created_at);
+
+-- Create the customer login attempts table (for rate limiting and lockout of the quote login)
+CREATE TABLE customer_login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID REFERENCES quotes(id) ON DELETE CASCADE, -- NULL if the short ID was not found
+    short_id VARCHAR(50),
+    ip VARCHAR(64) NOT NULL,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- 'pending' while the attempt is being checked
+    lockout_alerted BOOLEAN NOT NULL DEFAULT FALSE, -- this failure locked the quote and alerted staff
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_customer_login_attempts_ip ON customer_login_attempts(ip, created_at);
+CREATE INDEX idx_customer_login_attempts_quote_id ON customer_login_attempts(quote_id, created_at);
+
+-- Create the quote messages table (quote links sent to customers by SMS or email from the edit page)
+CREATE TABLE quote_messages (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    channel VARCHAR(10) NOT NULL, -- 'sms' or 'email'
+    recipient VARCHAR(255) NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL, -- 'sent' or 'failed'
+    sender VARCHAR(50), -- the message sender used (e.g., 'smtp')
+    error TEXT,
+    sent_by VARCHAR(100) NOT NULL, -- 'system' for automatic reminders
+    reminder_type VARCHAR(30), -- 'expiry_reminder' or 'unread_reminder'; NULL for quotes sent by staff
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_quote_messages_quote_id ON quote_messages(quote_id, created_at);
+-- Each reminder is sent (successfully) at most once per quote
+CREATE UNIQUE INDEX idx_quote_messages_reminder ON quote_messages(quote_id, reminder_type) WHERE reminder_type IS NOT NULL AND status = 'sent';
+
+-- Create the Zoho sync table (the Zoho deal of each quote with a zoho_id, and the state of its sync)
+CREATE TABLE quote_zoho_sync (
+    quote_id UUID PRIMARY KEY REFERENCES quotes(id) ON DELETE CASCADE,
+    deal_id VARCHAR(255),
+    status VARCHAR(20), -- 'pending', 'synced' or 'failed'; NULL once the quote has no zoho_id
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    requested_at TIMESTAMPTZ,
+    next_sync_at TIMESTAMPTZ,
+    synced_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_quote_zoho_sync_next_sync_at ON quote_zoho_sync(next_sync_at) WHERE status = 'pending';
+
+-- Create the negotiation thread table (customer counter-offers and staff replies on a quote)
+CREATE TABLE quote_negotiation_messages (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    author VARCHAR(10) NOT NULL CHECK (author IN ('customer', 'staff')),
+    staff_username VARCHAR(100), -- NULL for customer messages
+    message TEXT,
+    offer_total NUMERIC(12, 2), -- customer counter-offer for the whole quote
+    item_offers JSONB, -- customer counter-offer per item: [{ itemId, itemName, quotedTotal, total }]
+    revised_items JSONB, -- staff revised percents: [{ itemId, itemName, percent, previousPercent }]
+    quote_total NUMERIC(12, 2) NOT NULL, -- the quote's grand total once the message was posted
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_quote_negotiation_messages_quote_id ON quote_negotiation_messages(quote_id, created_at);
+
+-- Create the status history table (every change of a quote's lifecycle status)
+CREATE TABLE quote_status_history (
+    id BIGSERIAL PRIMARY KEY,
+    quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    actor VARCHAR(100), -- staff username, 'customer' or 'system'
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_quote_status_history_quote_id ON quote_status_history(quote_id, created_at);
+
 -- Create the session table for connect-pg-simple
 CREATE TABLE "session" (
   "sid" varchar NOT NULL COLLATE "default",
@@ -86,3 +383,11 @@ CREATE INDEX "IDX_session_expire" ON "session" ("expire");
 -- Add indexes for performance
 CREATE INDEX idx_quotes_customer_mobile ON quotes(customer_mobile);
 CREATE INDEX idx_quote_items_quote_id ON quote_items(quote_id);
+
+-- Trigram indexes for the dashboard quote search (see quoteService.listQuotes)
+CREATE INDEX idx_quotes_quote_number_trgm ON quotes USING GIN (quote_number gin_trgm_ops);
+CREATE INDEX idx_quotes_customer_name_trgm ON quotes
+    USING GIN ((COALESCE(customer_first_name, '') || ' ' || COALESCE(customer_surname, '')) gin_trgm_ops);
+CREATE INDEX idx_quotes_customer_mobile_trgm ON quotes USING GIN (customer_mobile gin_trgm_ops);
+CREATE INDEX idx_quotes_customer_email_trgm ON quotes USING GIN (customer_email gin_trgm_ops);
+CREATE INDEX idx_quote_items_item_name_trgm ON quote_items USING GIN (item_name gin_trgm_ops);
@@ -12,14 +12,20 @@
  * - / → Splash page (splash.ejs)
  * - /quote → Customer routes (quoteRoutes.js) - login, view quotes
  * - /admin/create-edit → Unified quote management (createEditRoutes.js)
+ * - /admin/products → Product catalogue management (productRoutes.js)
+ * - /admin/audit → Audit log of staff and customer actions (auditRoutes.js)
+ * - /admin/users → Staff account management (userRoutes.js)
+ * - /admin/login, /admin/logout → Staff login (loginRoutes.js)
  * - /admin → Dashboard and settings (adminRoutes.js)
  * 
  * MIDDLEWARE APPLIED:
  * - express.static → Serves CSS, JS, images from /public
+ * - express.static → Serves shared server/browser modules (src/shared) at /js/shared
  * - express.urlencoded → Parses form data
  * - express.json → Parses JSON requests
- * - express-session → Manages customer authentication sessions
- * - staffAuth → Protects admin routes (applied at mount point)
+ * - express-session → Manages customer and staff authentication sessions
+ * - staffAuth → Protects admin routes with a staff login (applied at mount point)
+ * - requireRole → Restricts routes to managers or admins (at mount point or per route)
  * 
  * IMPORTANT: Route order matters! More specific routes (/admin/create-edit) must be
  * mounted BEFORE generic routes (/admin/:id) to prevent incorrect matching.
@@ -46,6 +52,7 @@ app.set('views', path.join(__dirname, 'views'));
 
 // Middleware
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/js/shared', express.static(path.join(__dirname, 'src', 'shared')));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
@@ -63,7 +70,7 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production',  // Use secure cookies in production
     httpOnly: true,
     sameSite: 'lax',  // Allow cookies to be sent on same-site navigations and top-level navigations
-    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days (staff logins are shortened, see loginRoutes.js)
   }
 }));
 
@@ -71,7 +78,12 @@ app.use(session({
 const quoteRoutes = require('./src/routes/quoteRoutes');
 const adminRoutes = require('./src/routes/admin/adminRoutes');
 const createEditRoutes = require('./src/routes/admin/createEditRoutes');
-const { staffAuth } = require('./src/middleware/auth');
+const productRoutes = require('./src/routes/admin/productRoutes');
+const auditRoutes = require('./src/routes/admin/auditRoutes');
+const userRoutes = require('./src/routes/admin/userRoutes');
+const loginRoutes = require('./src/routes/admin/loginRoutes');
+const { staffAuth, requireRole } = require('./src/middleware/auth');
+const staffUserService = require('./src/services/staffUserService');
 
 // Root route - displays splash page and redirects
 app.get('/', (req, res) => {
@@ -82,8 +94,15 @@ app.get('/', (req, res) => {
 // Authentication is handled internally within the quote router
 app.use('/quote', quoteRoutes);
 
-// Admin routes - mount create-edit routes BEFORE generic admin routes
+// Staff login/logout - public, so mounted BEFORE the protected admin routes
+app.use('/admin', loginRoutes);
+
+// Admin routes - mount create-edit, product, audit and user routes BEFORE generic admin routes
+// Any staff role (dealer and above) can quote; managers manage products; admins manage users
 app.use('/admin/create-edit', staffAuth, createEditRoutes);
+app.use('/admin/products', staffAuth, requireRole('manager'), productRoutes);
+app.use('/admin/audit', staffAuth, requireRole('manager'), auditRoutes);
+app.use('/admin/users', staffAuth, requireRole('admin'), userRoutes);
 app.use('/admin', staffAuth, adminRoutes);
 
 // Request logging middleware
@@ -103,3 +122,8 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT}`);
 });
+
+// Create the first admin account from ADMIN_USERNAME/ADMIN_PASSWORD if there are no staff accounts yet
+staffUserService.ensureBootstrapAdmin().catch((error) => {
+  logger.error('Error creating the bootstrap admin account', { error: error.message });
+});
@@ -1,27 +1,22 @@
 require('dotenv').config();
-const { Pool } = require('pg');
+const pool = require('../config/database');
+const quoteStatusService = require('../services/quoteStatusService');
+const zohoSyncService = require('../services/zohoSyncService');
 const logger = require('../utils/logger');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
-
 async function expireOldQuotes() {
-  const client = await pool.connect();
   try {
-    const fourteenDaysAgo = new Date();
-    fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
+    // Each quote expires on its own date (set from the quote_valid_days setting, and extendable by staff).
+    // Only open quotes are expired: accepted, booked and completed quotes are kept as they are
+    const expiredIds = await quoteStatusService.expireDueQuotes();
 
-    const result = await client.query(
-      "UPDATE quotes SET status = 'expired' WHERE created_at < $1 AND status = 'active'",
-      [fourteenDaysAgo]
-    );
+    logger.info(`Expired ${expiredIds.length} old quotes.`);
 
-    logger.info(`Expired ${result.rowCount} old quotes.`);
+    // The status change reaches Zoho on the next run of the sync job
+    await zohoSyncService.queueSync(expiredIds, 'expired', { syncNow: false });
   } catch (err) {
     logger.error('Error expiring old quotes:', err);
   } finally {
-    client.release();
     pool.end();
   }
 }
@@ -0,0 +1,35 @@
+/**
+ * Anonymises quotes that have been closed for longer than the retention period and deletes old
+ * customer login data (see src/services/retentionService.js), then reports what it touched.
+ * Run it on a schedule, e.g. daily from cron: `npm run purge-data`.
+ * Add `-- --dry-run` to report what would be purged without changing anything.
+ */
+require('dotenv').config();
+const pool = require('../config/database');
+const retentionService = require('../services/retentionService');
+const logger = require('../utils/logger');
+
+async function purgeData() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const report = await retentionService.purgeExpiredData({ dryRun: dryRun });
+    if (!report) {
+      return;
+    }
+
+    const prefix = dryRun ? 'Dry run (nothing changed): would have' : 'Data purge:';
+    logger.info(`${prefix} anonymised ${report.quotes.length} quotes closed before ${report.cutoff.toISOString()} (retention ${report.retentionDays} days).`);
+    report.quotes.forEach(quote => {
+      logger.info(`  ${quote.quote_number} (${quote.status}, closed ${new Date(quote.closed_at).toISOString()})`);
+    });
+    logger.info(`  Deleted: ${report.deleted.messages} customer messages, ${report.deleted.loginCodes} login codes, ${report.deleted.loginAttempts} login attempts.`);
+    logger.info(`  Redacted: ${report.redacted.negotiationMessages} negotiation messages, ${report.redacted.revisions} revisions, ${report.redacted.auditEntries} audit entries.`);
+  } catch (err) {
+    logger.error('Error purging customer data:', err);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+}
+
+purgeData();
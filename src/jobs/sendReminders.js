@@ -0,0 +1,33 @@
+/**
+ * Sends the automatic customer reminders that are due: expiry reminders and reminders for
+ * quotes that are still unread (see src/services/reminderService.js).
+ * Run it on a schedule, e.g. hourly from cron: `npm run send-reminders`.
+ * Requires APP_BASE_URL (the public address of the site) to build the quote links.
+ */
+require('dotenv').config();
+const pool = require('../config/database');
+const reminderService = require('../services/reminderService');
+const logger = require('../utils/logger');
+
+async function sendReminders() {
+  try {
+    if (!process.env.APP_BASE_URL) {
+      logger.error('APP_BASE_URL is not set; cannot build quote links for reminders.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const { sent, failed, skipped } = await reminderService.sendDueReminders(process.env.APP_BASE_URL);
+    logger.info(`Reminders: ${sent} sent, ${failed} failed, ${skipped} skipped (no mobile or email).`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    logger.error('Error sending reminders:', err);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+}
+
+sendReminders();
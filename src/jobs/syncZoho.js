@@ -0,0 +1,32 @@
+/**
+ * Retries the Zoho CRM pushes that are due: quotes whose last push failed, and quotes queued by
+ * other jobs (see src/services/zohoSyncService.js).
+ * Run it on a schedule, e.g. every 5 minutes from cron: `npm run sync-zoho`.
+ * Does nothing unless the Zoho credentials are configured.
+ */
+require('dotenv').config();
+const pool = require('../config/database');
+const zohoSyncService = require('../services/zohoSyncService');
+const logger = require('../utils/logger');
+
+async function syncZoho() {
+  try {
+    if (!zohoSyncService.isEnabled()) {
+      logger.info('Zoho CRM is not configured; nothing to sync.');
+      return;
+    }
+
+    const { synced, failed } = await zohoSyncService.syncDue();
+    logger.info(`Zoho sync: ${synced} quotes synced, ${failed} failed.`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    logger.error('Error syncing quotes to Zoho:', err);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+}
+
+syncZoho();
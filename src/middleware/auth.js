@@ -1,18 +1,64 @@
-const basicAuth = require('express-basic-auth');
+const staffUserService = require('../services/staffUserService');
+const logger = require('../utils/logger');
 
-// A custom authorizer function that gets users from environment variables
-const adminAuthorizer = (username, password) => {
-    const userMatches = basicAuth.safeCompare(username, process.env.ADMIN_USERNAME || 'admin');
-    const passwordMatches = basicAuth.safeCompare(password, process.env.ADMIN_PASSWORD || 'password');
-    return userMatches & passwordMatches;
+// Responds to a request that needs a staff login: page loads are redirected to the login
+// page (and back afterwards); API calls from the admin pages get a JSON 401.
+const denyUnauthenticated = (req, res) => {
+    const wantsPage = req.method === 'GET' && (req.get('Accept') || '').includes('text/html');
+    if (wantsPage) {
+        return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.status(401).json({ success: false, error: 'Staff login required. Please log in and try again.' });
 };
 
-const staffAuth = basicAuth({
-    authorizer: adminAuthorizer,
-    challenge: true,
-    realm: 'ChchGoldAdmin',
-});
+// Requires a logged-in, active staff user (any role). The user is re-read on every request,
+// so deactivating an account or changing its role takes effect immediately.
+// Sets req.staffUser, and res.locals.staffUser / res.locals.hasRole for the views.
+const staffAuth = async (req, res, next) => {
+    try {
+        const sessionUser = req.session && req.session.staffUser;
+        const user = sessionUser ? await staffUserService.getUserById(sessionUser.id) : null;
+
+        if (!user || !user.active) {
+            if (sessionUser) {
+                delete req.session.staffUser;
+            }
+            return denyUnauthenticated(req, res);
+        }
+
+        req.staffUser = user;
+        res.locals.staffUser = user;
+        res.locals.hasRole = (role) => staffUserService.roleAtLeast(user.role, role);
+        next();
+    } catch (error) {
+        logger.error('Error checking staff session', { error: error.message });
+        res.status(500).send('Server error');
+    }
+};
+
+// Requires the logged-in staff user to hold at least the given role (dealer < manager < admin).
+// Must be used after staffAuth.
+const requireRole = (role) => (req, res, next) => {
+    if (req.staffUser && staffUserService.roleAtLeast(req.staffUser.role, role)) {
+        return next();
+    }
+    logger.warn(`Staff user ${req.staffUser ? req.staffUser.username : '(none)'} denied ${req.method} ${req.originalUrl} (requires ${role})`);
+    if (req.method === 'GET' && (req.get('Accept') || '').includes('text/html')) {
+        return res.status(403).send(`Forbidden: this page requires the ${staffUserService.ROLES[role]} role.`);
+    }
+    return res.status(403).json({ success: false, error: `This action requires the ${staffUserService.ROLES[role]} role.` });
+};
+
+// Returns who is making a request, for quote revisions and logs:
+// the staff username for requests behind staffAuth, otherwise 'customer'.
+const getActor = (req) => (req.staffUser && req.staffUser.username) || 'customer';
+
+// Returns who is making a request and from where, for the audit log (see auditService).
+const getAuditContext = (req) => ({ actor: getActor(req), ip: req.ip });
 
 module.exports = {
     staffAuth,
+    requireRole,
+    getActor,
+    getAuditContext,
 };
@@ -4,53 +4,160 @@
  * This file handles the core admin functionality:
  * 
  * KEY FUNCTIONS:
- * 1. Dashboard Display - Shows list of all quotes with search functionality
- * 2. Settings Management - Updates spot normalisation offset for pricing
+ * 1. Dashboard Display - Shows a page of quotes (filtered, searched and sorted on the server), their Zoho CRM sync
+ *    status, alerts for quotes whose customer login is being guessed (many failed attempts in the last hour),
+ *    customer accepts/declines not yet handled by staff, and counter-offers awaiting a staff reply.
+ *    Declined, expired and cancelled quotes can be re-quoted from the list (see createEditRoutes.js)
+ * 2. Settings Management - Updates spot normalisation offset, spot price cache TTL, default price lock,
+ *    the timing of automatic customer reminders (see reminderService.js), how long new quotes are valid
+ *    and how long closed quotes keep their customer details (see retentionService.js)
+ * 3. Spot Price History - JSON history for the dashboard chart and "price at" lookups
+ * 4. Spot Price Override - Sets or clears a temporary global manual spot price
+ * 5. Message Templates - Updates the SMS and email templates used to send quotes and reminders to customers
+ * 6. Audit - Settings and override changes are written to the audit log (see auditRoutes.js)
+ * 
+ * ROLES:
+ * - Any staff user (dealer and above) can view the dashboard and spot price history
+ * - Settings, message templates and the spot price override require the manager role
  * 
  * WORKFLOW:
- * - Admin accesses /admin → Displays dashboard with all quotes
+ * - Admin accesses /admin → Displays dashboard with the newest quotes
+ * - Admin filters, searches, sorts or pages the list → GET /admin?q=smith&status=sent&sort=total&page=2
+ *   (the filters are all in the query string, so a filtered view can be bookmarked)
  * - Admin clicks "View" on quote → Redirects to /admin/create-edit/:id (handled by createEditRoutes.js)
  * - Admin updates settings → POST /admin/settings/update → Updates database → Returns JSON response
+ * - Dashboard chart loads → GET /admin/spot-price-history?metal=gold&days=7 → Returns JSON history
+ * - Admin looks up a moment → GET /admin/spot-price-history?at=<ISO date> → Returns prices in effect then
+ * - Live feed is down → POST /admin/spot-price-override → Manual prices used for all quotes until expiry
+ * - Live feed is back → POST /admin/spot-price-override/clear → Live prices used again
+ * - Admin edits a message template → POST /admin/message-templates → Used for the next sends
+ * - The quotes list shows the last SMS/email sent for each quote (see notificationService)
  * 
- * NOTE: Individual quote operations (create/edit/expire) are handled by createEditRoutes.js
+ * NOTE: Individual quote operations (create/edit/status changes) are handled by createEditRoutes.js
  */
 
 const express = require('express');
 const router = express.Router();
-const pool = require('../../config/database');
 const quoteService = require('../../services/quoteService');
 const settingsService = require('../../services/settingsService');
+const spotPriceHistoryService = require('../../services/spotPriceHistoryService');
+const spotPriceOverrideService = require('../../services/spotPriceOverrideService');
+const auditService = require('../../services/auditService');
+const loginThrottleService = require('../../services/loginThrottleService');
+const notificationService = require('../../services/notificationService');
+const zohoSyncService = require('../../services/zohoSyncService');
+const negotiationService = require('../../services/negotiationService');
+const quoteStatusService = require('../../services/quoteStatusService');
+const staffUserService = require('../../services/staffUserService');
+const { requireRole, getAuditContext } = require('../../middleware/auth');
+const { METALS } = require('../../services/metalsService');
 const logger = require('../../utils/logger');
 
-// GET /admin - Displays a list of all quotes
+/**
+ * Sorts that list the largest or newest first unless another direction is asked for.
+ */
+const DESCENDING_SORTS = ['created', 'total', 'viewed'];
+
+/**
+ * Reads a single text value from the query string.
+ * @param {*} value - The query value (an array if the parameter is repeated).
+ * @returns {string} The trimmed text, or '' if missing or repeated.
+ */
+function queryText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Parses an amount filter (e.g., "1,250") from the query string.
+ * @param {*} value - The query value.
+ * @returns {string} The amount as entered (without "$" and ","), or '' if missing or not an amount.
+ */
+function parseAmountFilter(value) {
+    const text = queryText(value).replace(/[$,]/g, '');
+    return text !== '' && Number.isFinite(Number(text)) && Number(text) >= 0 ? text : '';
+}
+
+// GET /admin - Displays a page of quotes, filtered and sorted by the query string, e.g.
+// /admin?q=smith&status=sent&status=viewed&metal=gold&from=2025-01-01&sort=total&dir=desc&page=2
 router.get('/', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        q.id, 
-        q.quote_number, 
-        q.customer_first_name, 
-        q.customer_surname,
-        q.customer_mobile,
-        q.customer_email,
-        q.created_at,
-        q.status,
-        q.customer_viewed,
-        q.customer_viewed_at,
-        STRING_AGG(qi.item_name, ', ') AS items
-      FROM quotes q
-      LEFT JOIN quote_items qi ON q.id = qi.quote_id
-      GROUP BY q.id, q.customer_mobile, q.customer_email, q.status
-      ORDER BY q.created_at DESC;
-    `;
-    const result = await pool.query(query);
+    const sort = Object.prototype.hasOwnProperty.call(quoteService.QUOTE_LIST_SORTS, req.query.sort) ? req.query.sort : 'created';
+    const filters = {
+      q: queryText(req.query.q).slice(0, 100),
+      status: [].concat(req.query.status || []).filter(status => Object.prototype.hasOwnProperty.call(quoteStatusService.STATUSES, status)),
+      viewed: ['read', 'unread'].includes(req.query.viewed) ? req.query.viewed : '',
+      from: queryText(req.query.from),
+      to: queryText(req.query.to),
+      metal: METALS.includes(req.query.metal) ? req.query.metal : '',
+      minTotal: parseAmountFilter(req.query.minTotal),
+      maxTotal: parseAmountFilter(req.query.maxTotal),
+      staff: queryText(req.query.staff),
+      sort: sort === 'created' ? '' : sort,
+      dir: ['asc', 'desc'].includes(req.query.dir) ? req.query.dir : '',
+      pageSize: quoteService.QUOTE_LIST_PAGE_SIZES.includes(Number(req.query.pageSize)) ? Number(req.query.pageSize) : '',
+    };
+    const direction = filters.dir || (DESCENDING_SORTS.includes(sort) ? 'desc' : 'asc');
+
+    const quoteList = await quoteService.listQuotes({
+      search: filters.q,
+      statuses: filters.status,
+      viewed: filters.viewed,
+      from: filters.from,
+      to: filters.to,
+      metal: filters.metal,
+      minTotal: filters.minTotal === '' ? null : Number(filters.minTotal),
+      maxTotal: filters.maxTotal === '' ? null : Number(filters.maxTotal),
+      staff: filters.staff,
+      sort: sort,
+      direction: direction,
+      page: req.query.page,
+      pageSize: filters.pageSize || quoteService.DEFAULT_QUOTE_LIST_PAGE_SIZE,
+    });
+    const staffUsers = await staffUserService.getUsers();
     
     // Get current settings
     const spotOffset = await settingsService.getSetting('spot_normalisation_offset');
+    const spotPriceCacheTtl = await settingsService.getSpotPriceCacheTtl();
+    const spotPriceOverride = await spotPriceOverrideService.getActiveOverride();
+    const priceLockMinutes = await settingsService.getPriceLockMinutes();
+    const quotesUnderAttack = await loginThrottleService.getQuotesUnderAttack();
+    const messageTemplates = await notificationService.getTemplates();
+    const expiryReminderDaysBefore = await settingsService.getExpiryReminderDaysBefore();
+    const unreadReminderDaysAfter = await settingsService.getUnreadReminderDaysAfter();
+    const quoteValidDays = await settingsService.getQuoteValidDays();
+    const retentionDays = await settingsService.getRetentionDays();
+    const customerResponses = await quoteService.getUnacknowledgedResponses();
+    const awaitingReply = await negotiationService.getAwaitingReply();
     
     res.render('admin_dashboard', { 
-      quotes: result.rows,
-      spotNormalisationOffset: spotOffset || '0.25'
+      quotes: quoteList.quotes,
+      quoteList: quoteList,
+      filters: filters,
+      listSort: sort,
+      listDirection: direction,
+      quoteListPageSizes: quoteService.QUOTE_LIST_PAGE_SIZES,
+      defaultQuoteListPageSize: quoteService.DEFAULT_QUOTE_LIST_PAGE_SIZE,
+      staffUsernames: staffUsers.map(user => user.username),
+      metals: METALS,
+      spotNormalisationOffset: spotOffset || '0.25',
+      spotPriceCacheTtl: spotPriceCacheTtl,
+      spotPriceOverride: spotPriceOverride,
+      priceLockMinutes: priceLockMinutes,
+      quotesUnderAttack: quotesUnderAttack,
+      customerResponses: customerResponses,
+      declineReasons: quoteService.DECLINE_REASONS,
+      awaitingReply: awaitingReply,
+      negotiationStaleAfterHours: negotiationService.STALE_AFTER_HOURS,
+      messageTemplates: messageTemplates,
+      messageTemplateFields: notificationService.MERGE_FIELDS,
+      messageTemplateInfo: notificationService.TEMPLATES,
+      expiryReminderDaysBefore: expiryReminderDaysBefore,
+      unreadReminderDaysAfter: unreadReminderDaysAfter,
+      quoteValidDays: quoteValidDays,
+      retentionDays: retentionDays,
+      zohoSyncStatuses: zohoSyncService.SYNC_STATUSES,
+      statusLabels: quoteStatusService.STATUSES,
+      requoteStatuses: quoteStatusService.REQUOTE_STATUSES
     });
   } catch (error) {
     logger.error('Error fetching quotes for admin dashboard', { error: error.message });
@@ -59,28 +166,169 @@ router.get('/', async (req, res) => {
 });
 
 // POST /admin/settings/update - Handles updating settings
-router.post('/settings/update', async (req, res) => {
+// Accepts any of: spot_normalisation_offset, spot_price_cache_ttl_seconds, price_lock_minutes,
+// expiry_reminder_days_before, unread_reminder_days_after, quote_valid_days, retention_days
+router.post('/settings/update', requireRole('manager'), async (req, res) => {
   try {
-    const { spot_normalisation_offset } = req.body;
-    
-    // Validate the input
-    const offset = parseFloat(spot_normalisation_offset);
-    if (isNaN(offset) || offset < 0 || offset > 100) {
+    const { spot_normalisation_offset, spot_price_cache_ttl_seconds, price_lock_minutes, expiry_reminder_days_before, unread_reminder_days_after,
+      quote_valid_days, retention_days } = req.body;
+
+    if (spot_normalisation_offset === undefined && spot_price_cache_ttl_seconds === undefined && price_lock_minutes === undefined &&
+        expiry_reminder_days_before === undefined && unread_reminder_days_after === undefined &&
+        quote_valid_days === undefined && retention_days === undefined) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Invalid offset value. Must be between 0 and 100.' 
+        error: 'No settings provided.' 
       });
     }
     
-    await settingsService.updateSetting('spot_normalisation_offset', spot_normalisation_offset);
-    logger.info(`Spot normalisation offset updated to ${spot_normalisation_offset}%`);
+    // Validate the input
+    if (spot_normalisation_offset !== undefined) {
+      const offset = parseFloat(spot_normalisation_offset);
+      if (isNaN(offset) || offset < 0 || offset > 100) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid offset value. Must be between 0 and 100.' 
+        });
+      }
+    }
+
+    if (spot_price_cache_ttl_seconds !== undefined) {
+      const ttl = Number(spot_price_cache_ttl_seconds);
+      if (!Number.isInteger(ttl) || ttl < 0 || ttl > 86400) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid cache duration. Must be a whole number of seconds between 0 and 86400.' 
+        });
+      }
+    }
+
+    if (price_lock_minutes !== undefined) {
+      const minutes = Number(price_lock_minutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 10080) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid price lock. Must be a whole number of minutes between 1 and 10080 (7 days).' 
+        });
+      }
+    }
+    
+    for (const days of [expiry_reminder_days_before, unread_reminder_days_after]) {
+      if (days !== undefined && (!Number.isInteger(Number(days)) || Number(days) < 0 || Number(days) > 364)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid reminder timing. Must be a whole number of days between 0 (off) and 364.' 
+        });
+      }
+    }
+    
+    if (quote_valid_days !== undefined) {
+      const days = Number(quote_valid_days);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid quote validity. Must be a whole number of days between 1 and 365.' 
+        });
+      }
+    }
+
+    // Reminders must fall within a quote's validity (an expiry reminder as long as the validity
+    // would go out the day a quote is created), whichever of them is being changed
+    if (expiry_reminder_days_before !== undefined || unread_reminder_days_after !== undefined || quote_valid_days !== undefined) {
+      const validDays = quote_valid_days !== undefined ? Number(quote_valid_days) : await settingsService.getQuoteValidDays();
+      const reminderDays = [
+        expiry_reminder_days_before !== undefined ? Number(expiry_reminder_days_before) : await settingsService.getExpiryReminderDaysBefore(),
+        unread_reminder_days_after !== undefined ? Number(unread_reminder_days_after) : await settingsService.getUnreadReminderDaysAfter(),
+      ];
+      if (reminderDays.some(days => days >= validDays)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Invalid reminder timing. Reminders must be fewer days than quotes are valid for (${validDays} days).` 
+        });
+      }
+    }
+
+    if (retention_days !== undefined) {
+      const days = Number(retention_days);
+      if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid retention period. Must be a whole number of days between 1 and 3650 (10 years).' 
+        });
+      }
+    }
+    
+    // Record the submitted values and the values they replace for the audit log
+    const changes = {};
+    if (spot_normalisation_offset !== undefined) {
+      changes.spot_normalisation_offset = String(spot_normalisation_offset);
+    }
+    if (spot_price_cache_ttl_seconds !== undefined) {
+      changes.spot_price_cache_ttl_seconds = String(spot_price_cache_ttl_seconds);
+    }
+    if (price_lock_minutes !== undefined) {
+      changes.price_lock_minutes = String(price_lock_minutes);
+    }
+    if (expiry_reminder_days_before !== undefined) {
+      changes.expiry_reminder_days_before = String(expiry_reminder_days_before);
+    }
+    if (unread_reminder_days_after !== undefined) {
+      changes.unread_reminder_days_after = String(unread_reminder_days_after);
+    }
+    if (quote_valid_days !== undefined) {
+      changes.quote_valid_days = String(quote_valid_days);
+    }
+    if (retention_days !== undefined) {
+      changes.retention_days = String(retention_days);
+    }
+    const before = {};
+    for (const key of Object.keys(changes)) {
+      before[key] = await settingsService.getSetting(key);
+    }
+
+    if (spot_normalisation_offset !== undefined) {
+      await settingsService.updateSetting('spot_normalisation_offset', spot_normalisation_offset);
+      logger.info(`Spot normalisation offset updated to ${spot_normalisation_offset}%`);
+    }
+
+    if (spot_price_cache_ttl_seconds !== undefined) {
+      await settingsService.updateSetting('spot_price_cache_ttl_seconds', String(spot_price_cache_ttl_seconds));
+      logger.info(`Spot price cache TTL updated to ${spot_price_cache_ttl_seconds}s`);
+    }
+
+    if (price_lock_minutes !== undefined) {
+      await settingsService.updateSetting('price_lock_minutes', String(price_lock_minutes));
+      logger.info(`Default price lock updated to ${price_lock_minutes} minutes`);
+    }
+
+    if (expiry_reminder_days_before !== undefined) {
+      await settingsService.updateSetting('expiry_reminder_days_before', String(expiry_reminder_days_before));
+      logger.info(`Expiry reminder updated to ${expiry_reminder_days_before} days before expiry`);
+    }
+
+    if (unread_reminder_days_after !== undefined) {
+      await settingsService.updateSetting('unread_reminder_days_after', String(unread_reminder_days_after));
+      logger.info(`Unread reminder updated to ${unread_reminder_days_after} days after sending`);
+    }
+
+    if (quote_valid_days !== undefined) {
+      await settingsService.updateSetting('quote_valid_days', String(quote_valid_days));
+      logger.info(`New quotes now valid for ${quote_valid_days} days`);
+    }
+
+    if (retention_days !== undefined) {
+      await settingsService.updateSetting('retention_days', String(retention_days));
+      logger.info(`Retention period updated to ${retention_days} days`);
+    }
+
+    await auditService.record(getAuditContext(req), 'settings_updated', { before: before, after: changes });
     
     res.json({ 
       success: true, 
-      message: 'Spot normalisation offset updated successfully.' 
+      message: 'Settings updated successfully.' 
     });
   } catch (error) {
-    logger.error('Error updating spot normalisation offset', { error: error.message });
+    logger.error('Error updating settings', { error: error.message });
     res.status(500).json({ 
       success: false, 
       error: 'Failed to update settings.' 
@@ -88,4 +336,123 @@ router.post('/settings/update', async (req, res) => {
   }
 });
 
+// POST /admin/message-templates - Updates the templates used to send quotes and reminders to customers
+// Accepts any of the notificationService.TEMPLATES names (sms, emailSubject, email, expirySms, ...)
+router.post('/message-templates', requireRole('manager'), async (req, res) => {
+  try {
+    const { error, templates } = notificationService.validateTemplates(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error });
+    }
+
+    // Record the submitted templates and the ones they replace for the audit log
+    const current = await notificationService.getTemplates();
+    const before = {};
+    const after = {};
+    for (const name of Object.keys(templates)) {
+      before[notificationService.TEMPLATES[name].key] = current[name];
+      after[notificationService.TEMPLATES[name].key] = templates[name];
+    }
+
+    await notificationService.saveTemplates(templates);
+    await auditService.record(getAuditContext(req), 'settings_updated', { before: before, after: after });
+
+    res.json({
+      success: true,
+      message: 'Templates updated successfully.'
+    });
+  } catch (error) {
+    logger.error('Error updating message templates', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update templates.'
+    });
+  }
+});
+
+// GET /admin/spot-price-history - Returns spot price history as JSON
+// ?metal=gold&days=7 → history for one metal (for the dashboard chart)
+// ?at=<ISO date>     → the prices that were in effect at that moment (for customer disputes)
+router.get('/spot-price-history', async (req, res) => {
+  try {
+    if (req.query.at) {
+      const at = new Date(req.query.at);
+      if (isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'Invalid date.' });
+      }
+      const prices = await spotPriceHistoryService.getPricesAt(at);
+      return res.json({ at: at, prices: prices });
+    }
+
+    const metal = req.query.metal || 'gold';
+    if (!METALS.includes(metal)) {
+      return res.status(400).json({ error: 'Unknown metal.' });
+    }
+
+    const days = Math.min(Math.max(parseFloat(req.query.days) || 7, 0.01), 366);
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const history = await spotPriceHistoryService.getHistory(metal, from);
+    res.json({ metal: metal, from: from, history: history });
+  } catch (error) {
+    logger.error('Error fetching spot price history', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch spot price history' });
+  }
+});
+
+// POST /admin/spot-price-override - Sets a temporary global manual spot price
+// Body: gold_gram_nzd, silver_gram_nzd, optional platinum_gram_nzd/palladium_gram_nzd, expires_in_hours
+router.post('/spot-price-override', requireRole('manager'), async (req, res) => {
+  try {
+    const hours = parseFloat(req.body.expires_in_hours);
+    if (isNaN(hours) || hours <= 0 || hours > 72) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid expiry. Must be between 0 and 72 hours.' 
+      });
+    }
+
+    const { error, prices } = await spotPriceOverrideService.validateManualPrices(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error 
+      });
+    }
+
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    const previous = await spotPriceOverrideService.getActiveOverride();
+    const override = await spotPriceOverrideService.setGlobalOverride(prices, expiresAt);
+    await auditService.record(getAuditContext(req), 'spot_override_set', { before: previous, after: override });
+    logger.info(`Manual spot price override set until ${override.expires_at}`);
+
+    res.json({ 
+      success: true, 
+      override: override 
+    });
+  } catch (error) {
+    logger.error('Error setting spot price override', { error: error.message });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to set spot price override.' 
+    });
+  }
+});
+
+// POST /admin/spot-price-override/clear - Clears the global manual spot price
+router.post('/spot-price-override/clear', requireRole('manager'), async (req, res) => {
+  try {
+    const previous = await spotPriceOverrideService.getActiveOverride();
+    await spotPriceOverrideService.clearGlobalOverride();
+    await auditService.record(getAuditContext(req), 'spot_override_cleared', { before: previous });
+    logger.info('Manual spot price override cleared');
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error clearing spot price override', { error: error.message });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to clear spot price override.' 
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * AUDIT ROUTES - Audit Log Viewer
+ *
+ * This file handles the staff view of the audit log (written by auditService):
+ *
+ * KEY FUNCTIONS:
+ * 1. List - Shows audit log entries (newest first) with who, what, when, IP and before/after values
+ * 2. Filter - Narrows the list by action, actor, quote number and date range
+ *
+ * WORKFLOW:
+ * - Admin clicks "Audit Log" in the navigation → GET /admin/audit → Lists the latest entries
+ * - Admin submits the filter form → GET /admin/audit?action=quote_edited&actor=admin&from=2025-01-01
+ *
+ * NOTE: The per-quote timeline on the edit page is rendered by createEditRoutes.js
+ * NOTE: This route file is mounted at /admin/audit in server.js
+ * NOTE: All routes require staffAuth and requireRole('manager') applied at mount point
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditService = require('../../services/auditService');
+const logger = require('../../utils/logger');
+
+/**
+ * Parses a date filter (YYYY-MM-DD) as the start of that day in local time.
+ * @param {string} value - The submitted date.
+ * @param {number} [addDays=0] - Days to add (1 makes an inclusive "to" date exclusive).
+ * @returns {Date|null} The date, or null if missing or invalid.
+ */
+function parseDateFilter(value, addDays = 0) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00`);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    date.setDate(date.getDate() + addDays);
+    return date;
+}
+
+// GET /admin/audit - Lists audit log entries, filtered by the query string
+router.get('/', async (req, res) => {
+    try {
+        const filters = {
+            action: auditService.AUDIT_ACTIONS[req.query.action] ? req.query.action : '',
+            actor: (req.query.actor || '').trim(),
+            quoteNumber: (req.query.quote || '').trim(),
+            from: req.query.from || '',
+            to: req.query.to || '',
+        };
+
+        const entries = await auditService.getEntries({
+            action: filters.action,
+            actor: filters.actor,
+            quoteNumber: filters.quoteNumber,
+            from: parseDateFilter(filters.from),
+            to: parseDateFilter(filters.to, 1),
+            limit: auditService.MAX_ENTRIES,
+        });
+
+        res.render('admin_audit', {
+            entries: entries,
+            filters: filters,
+            auditActions: auditService.AUDIT_ACTIONS,
+            maxEntries: auditService.MAX_ENTRIES,
+        });
+    } catch (error) {
+        logger.error('Error rendering audit log', { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
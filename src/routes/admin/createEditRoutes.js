@@ -6,12 +6,21 @@
  * KEY FUNCTIONS:
  * 1. CREATE Mode - Create new quotes with customer details, prices, and items
  * 2. EDIT Mode - View and update existing quotes
- * 3. Expire - Mark quotes as expired
+ * 3. Status - Move the quote through its lifecycle (sent, booked, purchased, expired, cancelled), and extend its expiry date
+ * 4. Revisions - List a quote's saved revisions and diff any two of them
+ * 5. Activity - Show the quote's audit log timeline; every create/edit/status change is audited
+ * 6. Login Attempts - Show the customer's failed login attempts and whether the login is locked
+ * 7. Preview - Create a short-lived signed link to preview the quote as the customer sees it
+ * 8. Send - Send the quote link to the customer by SMS or email, and list what has been sent
+ * 9. Zoho CRM - Push quote changes to the customer's Zoho deal, and find Zoho contacts for the form
+ * 10. Customer Response - Show the customer's accept (with the agreed price) or decline, and mark it as handled
+ * 11. Negotiation - Show the customer's counter-offers and reply with a message and/or revised item percents
+ * 12. Re-quote - Copy a declined, expired or cancelled quote into a new quote at the current spot price
  * 
  * WORKFLOW:
  * CREATE:
  * - Admin clicks "Create New Quote" → GET /admin/create-edit → Renders empty form
- * - Admin fills details, gets live prices, adds items → POST /admin/create-edit
+ * - Admin fills details, gets live prices (or enters a manual price), adds items → POST /admin/create-edit
  * - Creates quote → Redirects to /admin/create-edit/:id?new=true with success message
  * 
  * EDIT:
@@ -19,21 +28,84 @@
  * - Admin modifies quote → POST /admin/create-edit/:id → Updates quote
  * - Redirects to /admin/create-edit/:id?updated=true with success message
  * 
- * EXPIRE:
- * - Admin clicks "Mark as Expired" → POST /admin/create-edit/:id/expire
- * - Updates status → Redirects with updated=true flag
+ * REVISIONS:
+ * - Edit page lists every revision (each save or price refresh records one in quoteService)
+ * - Admin picks two revisions → GET /admin/create-edit/:id/revisions/diff?from=1&to=3 → Returns JSON diff
  * 
- * DATA FLOW for Weight Options:
- * - Reads the master list of weight options from `../../config/weightOptions`.
- * - Passes this list to the `admin_create_edit.ejs` template during render.
+ * PREVIEW:
+ * - Admin clicks "Open" next to the customer URL → POST /admin/create-edit/:id/preview-link
+ * - Returns a signed /quote/:shortId/preview?token=... URL (see previewTokenService) → Opened in a new tab
+ * - The preview is read-only: it does not log in to the quote or mark it as viewed
  * 
+ * SEND:
+ * - Edit page shows "Send by SMS" / "Send by Email" with the message filled in from the templates
+ *   (editable on the dashboard; see notificationService) → Admin adjusts it if needed
+ * - POST /admin/create-edit/:id/send → Sends through the configured message sender
+ * - Every send (sent or failed) is logged against the quote, listed on the edit page and audited
+ * 
+ * STATUS (see quoteStatusService):
+ * - New quotes are drafts, not shown to the customer until sent
+ * - Edit page shows a button for each change staff can make from the current status, e.g. "Mark as Sent",
+ *   "Mark as Booked", "Mark as Purchased", "Mark as Expired", "Cancel Quote"
+ * - POST /admin/create-edit/:id/status with { status } → Refused unless the lifecycle allows it
+ * - Sending a draft to the customer by SMS or email marks it as sent
+ * - Every change is timestamped in the status history shown on the edit page
+ * 
+ * EXPIRY:
+ * - New quotes expire after the quote_valid_days setting (expired by src/jobs/expireQuotes.js)
+ * - Admin picks a later date → POST /admin/create-edit/:id/expiry with { expiresOn: 'YYYY-MM-DD' }
+ * - Only quotes that can still expire can be extended; the change is audited and pushed to Zoho (closing date)
+ * 
+ * CUSTOMER RESPONSE:
+ * - The customer accepts or declines on the quote page (see quoteRoutes) → Listed on the dashboard
+ * - Edit page shows the response → Admin clicks "Mark as Handled" → POST /admin/create-edit/:id/acknowledge-response
+ * - Clears it from the dashboard → Redirects with updated=true flag
+ * 
+ * NEGOTIATION (see negotiationService):
+ * - Edit page shows the quote's thread of counter-offers and replies
+ * - Admin enters a message and/or new percents for some items → POST /admin/create-edit/:id/negotiation
+ * - New percents reprice the quote (recording a revision) → Reply added to the thread → Redirects back to it
+ * 
+ * RE-QUOTE:
+ * - Edit page (or dashboard) shows "Re-quote" on declined, expired and cancelled quotes → POST /admin/create-edit/:id/requote
+ * - Creates a new draft quote (new number and short ID) with the same customer details and items, priced at
+ *   the current spot price and linked to the original → Redirects to the new quote with new=true flag
+ * - Edit page lists the linked quotes, and the negotiation on earlier quotes, so the history can be followed
+ * 
+ * ZOHO CRM (when configured; see zohoSyncService):
+ * - Create, edit and status changes queue the quote for a push to its Zoho deal (quotes with a Zoho ID only)
+ * - Edit page shows the sync status → "Sync Now" → POST /admin/create-edit/:id/zoho-sync
+ * - Admin clicks "Find in Zoho" on the form → GET /admin/create-edit/zoho/contacts?mobile=...&email=...
+ *   → Returns matching contacts as JSON → Admin picks one to fill in the customer details
+ * 
+ * DATA FLOW for Products and Purity Options:
+ * - Reads the active products (coins, bars, sizes) from the catalogue via productService.
+ * - Reads the master list of purities (9ct, 22ct, .999, etc.) from the shared pricing engine.
+ * - Passes both lists to the `admin_create_edit.ejs` template during render for the item rows.
+ * 
+ * NOTE: Customer mobiles are normalised to E.164 on create and edit (see shared/phone.js)
  * NOTE: This route file is mounted at /admin/create-edit in server.js
- * NOTE: All routes require staffAuth middleware applied at mount point
+ * NOTE: All routes require staffAuth middleware applied at mount point (any staff role can quote)
  */
 
 const express = require('express');
 const router = express.Router();
 const quoteService = require('../../services/quoteService');
+const productService = require('../../services/productService');
+const spotPriceOverrideService = require('../../services/spotPriceOverrideService');
+const settingsService = require('../../services/settingsService');
+const quoteRevisionService = require('../../services/quoteRevisionService');
+const auditService = require('../../services/auditService');
+const loginThrottleService = require('../../services/loginThrottleService');
+const previewTokenService = require('../../services/previewTokenService');
+const negotiationService = require('../../services/negotiationService');
+const quoteStatusService = require('../../services/quoteStatusService');
+const notificationService = require('../../services/notificationService');
+const zohoSyncService = require('../../services/zohoSyncService');
+const { getSpotPrices } = require('../../services/metalsService');
+const { getActor, getAuditContext } = require('../../middleware/auth');
+const { PURITY_OPTIONS } = require('../../shared/pricing');
+const { normaliseMobile } = require('../../shared/phone');
 const logger = require('../../utils/logger');
 
 /**
@@ -57,16 +129,112 @@ function parseCustomerDetails(body) {
     };
 }
 
+/**
+ * Normalises the customer's mobile number to E.164 in place (see shared/phone.js), so it matches
+ * however it was typed and can be texted. A blank mobile is stored as an empty string.
+ * @param {object} details - The customer details from parseCustomerDetails().
+ * @returns {string|null} An error message if the mobile is not a valid number, otherwise null.
+ */
+function normaliseCustomerMobile(details) {
+    const { e164, error } = normaliseMobile(details.mobile);
+    if (error) {
+        return error;
+    }
+    details.mobile = e164 || '';
+    return null;
+}
+
+/**
+ * Builds the customer URL of a quote (the link staff copy or send to the customer).
+ * @param {object} req - The Express request (for the host).
+ * @param {object} quote - The quote record.
+ * @returns {string} The absolute URL, using the quote's short_id.
+ */
+function getCustomerUrl(req, quote) {
+    const protocol = process.env.NODE_ENV === 'production' ? 'https' : req.protocol;
+    return `${protocol}://${req.get('host')}/quote/${quote.short_id}`;
+}
+
+/**
+ * Parses the price lock window (in minutes) from the settings panel.
+ * Values outside 1 minute to 7 days are ignored, keeping the default (create) or current value (edit).
+ * @param {string} value - The submitted value.
+ * @returns {number|null} The number of minutes, or null if missing or invalid.
+ */
+function parsePriceLockMinutes(value) {
+    const minutes = Number(value);
+    if (!value || !Number.isInteger(minutes) || minutes < 1 || minutes > 10080) {
+        return null;
+    }
+    return minutes;
+}
+
+/**
+ * Moves a quote to a new lifecycle status on behalf of the staff user, then audits it and queues
+ * the change for Zoho.
+ * @param {object} req - The Express request (for the staff user and IP).
+ * @param {object} quote - The quote record before the change.
+ * @param {string} status - The new status.
+ * @returns {Promise<string|null>} A quoteStatusService.STATUS_ERRORS key if the change is not allowed, otherwise null.
+ */
+async function changeStatus(req, quote, status) {
+    const { error } = await quoteService.updateQuoteStatus(quote.id, status, req.staffUser.username);
+    if (error) {
+        return error;
+    }
+    // Expiries keep their own audit action, so existing filters on it still find them
+    await auditService.record(getAuditContext(req), status === 'expired' ? 'quote_expired' : 'quote_status_changed', {
+        quoteId: quote.id,
+        before: { status: quote.status },
+        after: { status: status }
+    });
+    await zohoSyncService.queueSync(quote.id, status);
+    return null;
+}
+
 // GET /admin/create-edit - Renders the unified create/edit page in CREATE mode
 router.get('/', async (req, res) => {
   try {
+    const products = await productService.getProducts();
+    const defaultPriceLockMinutes = await settingsService.getPriceLockMinutes();
     res.render('admin_create_edit', {
       isEditMode: false,
       isNewQuote: false,
       isUpdated: false,
       quote: {},
       items: [],
-      customerUrl: ''
+      customerUrl: '',
+      products: products,
+      purityOptions: PURITY_OPTIONS,
+      defaultPriceLockMinutes: defaultPriceLockMinutes,
+      revisions: [],
+      revisionReasons: quoteRevisionService.REVISION_REASONS,
+      auditEntries: [],
+      auditActions: auditService.AUDIT_ACTIONS,
+      loginFailures: { failures: [], last24Hours: 0, lockedUntil: null },
+      loginLimits: loginThrottleService.LIMITS,
+      messageDrafts: { sms: null, email: null },
+      quoteMessages: [],
+      messageTypes: notificationService.MESSAGE_TYPES,
+      maxMessageLength: notificationService.MAX_MESSAGE_LENGTH,
+      zohoEnabled: zohoSyncService.isEnabled(),
+      zohoSync: null,
+      zohoSyncStatuses: zohoSyncService.SYNC_STATUSES,
+      declineReasons: quoteService.DECLINE_REASONS,
+      negotiation: [],
+      negotiationError: null,
+      maxNegotiationMessageLength: negotiationService.MAX_MESSAGE_LENGTH,
+      statusLabels: quoteStatusService.STATUSES,
+      statusHistory: [],
+      staffActions: [],
+      statusError: null,
+      expiryError: null,
+      canExtendExpiry: false,
+      requoteChain: [],
+      earlierNegotiations: [],
+      requoteError: null,
+      canRequote: false,
+      isOpen: false
     });
   } catch (error) {
     logger.error('Error rendering create-edit page', { error: error.message });
@@ -74,6 +242,27 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /admin/create-edit/zoho/contacts?mobile=...&email=... - Finds Zoho contacts to fill in the form (JSON)
+router.get('/zoho/contacts', async (req, res) => {
+  try {
+    if (!zohoSyncService.isEnabled()) {
+      return res.status(400).json({ error: 'Zoho CRM is not configured.' });
+    }
+
+    const { e164 } = normaliseMobile(req.query.mobile);
+    const email = String(req.query.email || '').trim();
+    if (!e164 && !email) {
+      return res.status(400).json({ error: 'Enter a mobile or email to search for.' });
+    }
+
+    const contacts = await zohoSyncService.findContacts({ mobile: e164, email: email });
+    res.json({ contacts: contacts });
+  } catch (error) {
+    logger.error('Error searching Zoho contacts', { error: error.message });
+    res.status(502).json({ error: 'Could not search Zoho. Please try again.' });
+  }
+});
+
 // GET /admin/create-edit/:id - Renders the unified create/edit page in EDIT mode
 router.get('/:id', async (req, res) => {
   try {
@@ -81,10 +270,28 @@ router.get('/:id', async (req, res) => {
     if (!quoteData) {
       return res.status(404).send('Quote not found');
     }
+    const products = await productService.getProducts();
+    const revisions = await quoteRevisionService.getRevisions(req.params.id);
+    const auditEntries = await auditService.getEntries({ quoteId: req.params.id });
+    const loginFailures = await loginThrottleService.getQuoteFailures(req.params.id);
+    const quoteMessages = await notificationService.getQuoteMessages(req.params.id);
+    const zohoSync = await zohoSyncService.getSyncState(req.params.id);
+    const negotiation = await negotiationService.getThread(req.params.id);
+    const statusHistory = await quoteStatusService.getHistory(req.params.id);
+    const requoteChain = await quoteService.getRequoteChain(req.params.id);
+
+    // The negotiation on the quotes this one was re-quoted from, oldest first
+    const linkedQuotes = new Map(requoteChain.map(linked => [linked.id, linked]));
+    const earlierNegotiations = [];
+    for (let earlier = linkedQuotes.get(quoteData.quote.requoted_from); earlier; earlier = linkedQuotes.get(earlier.requoted_from)) {
+      if (earlier.negotiation_messages > 0) {
+        earlierNegotiations.unshift({ quote: earlier, thread: await negotiationService.getThread(earlier.id) });
+      }
+    }
     
     // Use short_id for customer URL
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : req.protocol;
-    const customerUrl = `${protocol}://${req.get('host')}/quote/${quoteData.quote.short_id}`;
+    const customerUrl = getCustomerUrl(req, quoteData.quote);
+    const messageDrafts = await notificationService.buildDrafts(quoteData.quote, customerUrl);
     
     // Check if this is a newly created quote or updated
     const isNewQuote = req.query.new === 'true';
@@ -96,7 +303,38 @@ router.get('/:id', async (req, res) => {
       isUpdated: isUpdated,
       quote: quoteData.quote,
       items: quoteData.items,
-      customerUrl: customerUrl
+      customerUrl: customerUrl,
+      products: products,
+      purityOptions: PURITY_OPTIONS,
+      defaultPriceLockMinutes: quoteData.quote.price_lock_minutes,
+      revisions: revisions,
+      revisionReasons: quoteRevisionService.REVISION_REASONS,
+      auditEntries: auditEntries,
+      auditActions: auditService.AUDIT_ACTIONS,
+      loginFailures: loginFailures,
+      loginLimits: loginThrottleService.LIMITS,
+      messageDrafts: messageDrafts,
+      quoteMessages: quoteMessages,
+      messageTypes: notificationService.MESSAGE_TYPES,
+      maxMessageLength: notificationService.MAX_MESSAGE_LENGTH,
+      zohoEnabled: zohoSyncService.isEnabled(),
+      zohoSync: zohoSync,
+      zohoSyncStatuses: zohoSyncService.SYNC_STATUSES,
+      declineReasons: quoteService.DECLINE_REASONS,
+      negotiation: negotiation,
+      negotiationError: negotiationService.NEGOTIATION_ERRORS[req.query.negotiationError] || null,
+      maxNegotiationMessageLength: negotiationService.MAX_MESSAGE_LENGTH,
+      statusLabels: quoteStatusService.STATUSES,
+      statusHistory: statusHistory,
+      staffActions: quoteStatusService.getStaffActions(quoteData.quote.status),
+      statusError: quoteStatusService.STATUS_ERRORS[req.query.statusError] || null,
+      expiryError: quoteService.EXPIRY_ERRORS[req.query.expiryError] || null,
+      canExtendExpiry: quoteStatusService.canTransition(quoteData.quote.status, 'expired'),
+      requoteChain: requoteChain,
+      earlierNegotiations: earlierNegotiations,
+      requoteError: quoteService.REQUOTE_ERRORS[req.query.requoteError] || null,
+      canRequote: quoteStatusService.canRequote(quoteData.quote.status) && !quoteData.quote.anonymised_at,
+      isOpen: quoteStatusService.isOpenToCustomer(quoteData.quote.status)
     });
   } catch (error) {
     logger.error(`Error fetching quote for create-edit view (ID: ${req.params.id})`, { error: error.message });
@@ -107,22 +345,42 @@ router.get('/:id', async (req, res) => {
 // POST /admin/create-edit - Handles form submission for creating a new quote
 router.post('/', async (req, res) => {
   try {
-    const { items, showQuotedRate, spotPrices } = req.body;
+    const { items, showQuotedRate, spotPrices, priceLockMinutes, isTracking } = req.body;
     
     // Use the helper to get consistent customer details
     const details = parseCustomerDetails(req.body);
+    const mobileError = normaliseCustomerMobile(details);
+    if (mobileError) {
+      return res.status(400).send(mobileError);
+    }
     
     // Filter out empty items
     const filledItems = (items || []).filter(item => item && item.name && item.name.trim() !== '');
     
     // Prepare spot prices, ensuring they are numbers
-    const prices = {
+    let prices = {
       gold_gram_nzd: parseFloat(spotPrices.gold_gram_nzd) || 0,
       silver_gram_nzd: parseFloat(spotPrices.silver_gram_nzd) || 0,
+      platinum_gram_nzd: parseFloat(spotPrices.platinum_gram_nzd) || 0,
+      palladium_gram_nzd: parseFloat(spotPrices.palladium_gram_nzd) || 0,
+      provider: spotPrices.provider || null,
     };
 
+    // Manually entered prices are re-validated against the last live price before saving
+    if (prices.provider === spotPriceOverrideService.MANUAL_PROVIDER) {
+      const { error, prices: manualPrices } = await spotPriceOverrideService.validateManualPrices(spotPrices);
+      if (error) {
+        return res.status(400).send(error);
+      }
+      prices = manualPrices;
+    }
+
     // Create the quote
-    const newQuote = await quoteService.createQuote(details, filledItems, prices);
+    const newQuote = await quoteService.createQuote(details, filledItems, prices, {
+      priceLockMinutes: parsePriceLockMinutes(priceLockMinutes),
+      isTracking: isTracking === 'on',
+      actor: getActor(req)
+    });
     
     // Update settings if needed
     if (showQuotedRate !== undefined) {
@@ -131,6 +389,13 @@ router.post('/', async (req, res) => {
       };
       await quoteService.updateQuoteSettings(newQuote.id, settings);
     }
+
+    const createdQuote = await quoteService.getQuoteById(newQuote.id);
+    await auditService.record(getAuditContext(req), 'quote_created', {
+      quoteId: newQuote.id,
+      after: auditService.quoteState(createdQuote)
+    });
+    await zohoSyncService.queueSync(newQuote.id, 'created');
     
     res.redirect(`/admin/create-edit/${newQuote.id}?new=true`);
   } catch (error) {
@@ -142,20 +407,38 @@ router.post('/', async (req, res) => {
 // POST /admin/create-edit/:id - Handles form submission for updating a quote
 router.post('/:id', async (req, res) => {
   try {
-    const { items, showQuotedRate } = req.body;
+    const { items, showQuotedRate, priceLockMinutes, isTracking } = req.body;
     
     // Use the helper to get consistent customer details
     const details = parseCustomerDetails(req.body);
+    const mobileError = normaliseCustomerMobile(details);
+    if (mobileError) {
+      return res.status(400).send(mobileError);
+    }
+
+    const before = await quoteService.getQuoteById(req.params.id);
+    if (!before) {
+      return res.status(404).send('Quote not found');
+    }
     
     const settings = {
-      showQuotedRate: showQuotedRate === 'on'
+      showQuotedRate: showQuotedRate === 'on',
+      priceLockMinutes: parsePriceLockMinutes(priceLockMinutes),
+      isTracking: isTracking === 'on'
     };
 
     await Promise.all([
-      quoteService.updateQuoteDetails(req.params.id, details, items),
+      quoteService.updateQuoteDetails(req.params.id, details, items, getActor(req)),
       quoteService.updateQuoteSettings(req.params.id, settings)
     ]);
 
+    const after = await quoteService.getQuoteById(req.params.id);
+    await auditService.record(getAuditContext(req), 'quote_edited', {
+      quoteId: req.params.id,
+      ...auditService.changedValues(auditService.quoteState(before), auditService.quoteState(after))
+    });
+    await zohoSyncService.queueSync(req.params.id, 'edited');
+
     res.redirect(`/admin/create-edit/${req.params.id}?updated=true`);
   } catch (error) {
     logger.error(`Error updating quote ${req.params.id} via create-edit`, { error: error.message });
@@ -163,14 +446,251 @@ router.post('/:id', async (req, res) => {
   }
 });
 
-// POST /admin/create-edit/:id/expire - Marks a quote as expired (from create-edit page)
-router.post('/:id/expire', async (req, res) => {
+// GET /admin/create-edit/:id/revisions/diff?from=1&to=3 - Returns what changed between two revisions as JSON
+router.get('/:id/revisions/diff', async (req, res) => {
+  try {
+    const fromNumber = parseInt(req.query.from, 10);
+    const toNumber = parseInt(req.query.to, 10);
+    if (isNaN(fromNumber) || isNaN(toNumber)) {
+      return res.status(400).json({ error: 'Choose two revisions to compare.' });
+    }
+
+    const [from, to] = await Promise.all([
+      quoteRevisionService.getRevision(req.params.id, Math.min(fromNumber, toNumber)),
+      quoteRevisionService.getRevision(req.params.id, Math.max(fromNumber, toNumber))
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found.' });
+    }
+
+    res.json({
+      from: { revision_number: from.revision_number, created_at: from.created_at, created_by: from.created_by },
+      to: { revision_number: to.revision_number, created_at: to.created_at, created_by: to.created_by },
+      diff: quoteRevisionService.diffRevisions(from, to)
+    });
+  } catch (error) {
+    logger.error(`Error diffing revisions for quote ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// POST /admin/create-edit/:id/preview-link - Returns a short-lived signed link to preview the quote as JSON
+router.post('/:id/preview-link', async (req, res) => {
+  try {
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const { token, expiresAt } = previewTokenService.createToken(quoteData.quote.id, req.staffUser.username);
+    await auditService.record(getAuditContext(req), 'quote_preview_link', {
+      quoteId: quoteData.quote.id,
+      details: { expiresAt: expiresAt }
+    });
+    res.json({
+      url: `/quote/${quoteData.quote.short_id}/preview?token=${encodeURIComponent(token)}`,
+      expiresAt: expiresAt
+    });
+  } catch (error) {
+    logger.error(`Error creating preview link for quote ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to create preview link' });
+  }
+});
+
+// POST /admin/create-edit/:id/send - Sends the quote link to the customer by SMS or email (JSON)
+// Body: { channel: 'sms' | 'email', subject (email only), text }
+router.post('/:id/send', async (req, res) => {
+  try {
+    const { channel, subject, text } = req.body;
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+
+    const result = await notificationService.sendQuote(quoteData.quote, { channel, subject, text }, req.staffUser.username);
+    if (!result.message) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await auditService.record(getAuditContext(req), 'quote_sent', {
+      quoteId: quoteData.quote.id,
+      details: { channel: channel, to: result.message.recipient, status: result.message.status, messageId: result.message.id }
+    });
+    if (result.success && quoteData.quote.status === 'draft') {
+      await changeStatus(req, quoteData.quote, 'sent');
+    }
+    logger.info(`Quote ${quoteData.quote.quote_number} ${result.message.status} by ${channel} to ${result.message.recipient}`);
+    res.status(result.success ? 200 : 502).json({ success: result.success, error: result.error, message: result.message });
+  } catch (error) {
+    logger.error(`Error sending quote ${req.params.id}`, { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to send the quote' });
+  }
+});
+
+// POST /admin/create-edit/:id/zoho-sync - Pushes the quote to its Zoho deal now (JSON)
+router.post('/:id/zoho-sync', async (req, res) => {
+  try {
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+    if (!zohoSyncService.isEnabled() || !(quoteData.quote.zoho_id || '').trim()) {
+      return res.status(400).json({ success: false, error: 'This quote has no Zoho ID, or Zoho CRM is not configured.' });
+    }
+
+    await zohoSyncService.queueSync(req.params.id, 'manual', { syncNow: false });
+    const success = await zohoSyncService.syncQuote(req.params.id);
+    const state = await zohoSyncService.getSyncState(req.params.id);
+    // Without an error the quote was skipped because a push for it was already running
+    const error = success ? null : (state && state.error) || 'A sync for this quote is already running. Please try again shortly.';
+    res.status(success ? 200 : 502).json({ success: success, error: error, state: state });
+  } catch (error) {
+    logger.error(`Error syncing quote ${req.params.id} to Zoho`, { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to sync the quote' });
+  }
+});
+
+// POST /admin/create-edit/:id/acknowledge-response - Marks the customer's accept/decline as handled
+router.post('/:id/acknowledge-response', async (req, res) => {
+  try {
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+    const acknowledged = await quoteService.acknowledgeResponse(req.params.id, req.staffUser.username);
+    if (acknowledged) {
+      await auditService.record(getAuditContext(req), 'quote_response_acknowledged', {
+        quoteId: req.params.id,
+        details: { status: quoteData.quote.status }
+      });
+    }
+    res.redirect(`/admin/create-edit/${req.params.id}?updated=true&t=${Date.now()}`);
+  } catch (error) {
+    logger.error(`Error acknowledging the customer response for quote ${req.params.id}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// POST /admin/create-edit/:id/negotiation - Replies to the customer's counter-offer
+router.post('/:id/negotiation', async (req, res) => {
+  try {
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+
+    const { message, percents } = req.body;
+    const { entry, quote, error } = await negotiationService.addStaffReply(quoteData, { message, percents }, req.staffUser.username);
+    if (error) {
+      return res.redirect(`/admin/create-edit/${req.params.id}?negotiationError=${error}#negotiation`);
+    }
+
+    const repriced = Boolean(entry.revised_items);
+    await auditService.record(getAuditContext(req), 'quote_negotiation_reply', {
+      quoteId: req.params.id,
+      before: repriced ? { grand_total: quoteData.quote.totals.grandTotal } : null,
+      after: repriced ? { grand_total: quote.totals.grandTotal } : null,
+      details: { message: entry.message, revised_items: entry.revised_items }
+    });
+    if (repriced) {
+      await zohoSyncService.queueSync(req.params.id, 'negotiation');
+    }
+    res.redirect(`/admin/create-edit/${req.params.id}?t=${Date.now()}#negotiation`);
+  } catch (error) {
+    logger.error(`Error replying to the negotiation on quote ${req.params.id}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// POST /admin/create-edit/:id/status - Moves a quote to a new lifecycle status (from create-edit page)
+// Body: { status } - one of the changes staff can make (see quoteStatusService.STAFF_ACTIONS)
+router.post('/:id/status', async (req, res) => {
   try {
-    await quoteService.updateQuoteStatus(req.params.id, 'expired');
-    logger.info(`Quote ${req.params.id} marked as expired by admin via create-edit.`);
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+    const allowed = quoteStatusService.getStaffActions(quoteData.quote.status).some(action => action.status === req.body.status);
+    const error = allowed ? await changeStatus(req, quoteData.quote, req.body.status) : 'not_allowed';
+    if (error) {
+      return res.redirect(`/admin/create-edit/${req.params.id}?statusError=${error}`);
+    }
+    logger.info(`Quote ${req.params.id} marked as ${req.body.status} by admin via create-edit.`);
     res.redirect(`/admin/create-edit/${req.params.id}?updated=true&t=${Date.now()}`);
   } catch (error) {
-    logger.error(`Error expiring quote ${req.params.id} via create-edit`, { error: error.message });
+    logger.error(`Error changing the status of quote ${req.params.id} via create-edit`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// POST /admin/create-edit/:id/expiry - Extends a quote's expiry date (from create-edit page)
+// Body: { expiresOn } - the new expiry day, as YYYY-MM-DD (the quote expires at the end of it)
+router.post('/:id/expiry', async (req, res) => {
+  try {
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+    const { quote, previousExpiry, error } = await quoteService.extendQuoteExpiry(req.params.id, req.body.expiresOn);
+    if (error) {
+      return res.redirect(`/admin/create-edit/${req.params.id}?expiryError=${error}`);
+    }
+    await auditService.record(getAuditContext(req), 'quote_expiry_extended', {
+      quoteId: req.params.id,
+      before: { expires_at: previousExpiry },
+      after: { expires_at: quote.expires_at }
+    });
+    await zohoSyncService.queueSync(req.params.id, 'expiry');
+    res.redirect(`/admin/create-edit/${req.params.id}?updated=true&t=${Date.now()}`);
+  } catch (error) {
+    logger.error(`Error extending the expiry of quote ${req.params.id}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// POST /admin/create-edit/:id/requote - Copies a declined, expired or cancelled quote into a new quote
+// priced at the current spot price (from the create-edit page or the dashboard)
+router.post('/:id/requote', async (req, res) => {
+  try {
+    const quoteData = await quoteService.getQuoteById(req.params.id);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+    if (!quoteStatusService.canRequote(quoteData.quote.status)) {
+      return res.redirect(`/admin/create-edit/${req.params.id}?requoteError=not_closed`);
+    }
+    if (quoteData.quote.anonymised_at) {
+      return res.redirect(`/admin/create-edit/${req.params.id}?requoteError=anonymised`);
+    }
+
+    let spotPrices;
+    try {
+      spotPrices = await getSpotPrices();
+    } catch (error) {
+      logger.warn(`Could not get spot prices to re-quote quote ${req.params.id}`, { error: error.message });
+      return res.redirect(`/admin/create-edit/${req.params.id}?requoteError=prices`);
+    }
+
+    const { quote: newQuote, error } = await quoteService.requoteQuote(quoteData, spotPrices, getActor(req));
+    if (error) {
+      return res.redirect(`/admin/create-edit/${req.params.id}?requoteError=${error}`);
+    }
+
+    const createdQuote = await quoteService.getQuoteById(newQuote.id);
+    await auditService.record(getAuditContext(req), 'quote_created', {
+      quoteId: newQuote.id,
+      after: auditService.quoteState(createdQuote),
+      details: { requotedFrom: quoteData.quote.quote_number }
+    });
+    await auditService.record(getAuditContext(req), 'quote_requoted', {
+      quoteId: req.params.id,
+      details: { requotedAs: newQuote.quote_number }
+    });
+    await zohoSyncService.queueSync(newQuote.id, 'created');
+
+    res.redirect(`/admin/create-edit/${newQuote.id}?new=true`);
+  } catch (error) {
+    logger.error(`Error re-quoting quote ${req.params.id}`, { error: error.message });
     res.status(500).send('Server error');
   }
 });
@@ -0,0 +1,129 @@
+/**
+ * LOGIN ROUTES - Staff Login & Logout
+ *
+ * This file handles session-based login for individual staff accounts (see staffUserService):
+ *
+ * KEY FUNCTIONS:
+ * 1. Login - Checks a staff username/password and stores the user in the session
+ * 2. Logout - Removes the staff user from the session
+ *
+ * WORKFLOW:
+ * - Staff opens any /admin page without a session → staffAuth redirects to /admin/login?next=/admin/...
+ * - Staff submits username/password → POST /admin/login → Session regenerated → Redirects to `next`
+ * - Repeated failures from an IP or on a username are delayed, then locked out (see loginThrottleService)
+ * - The staff session lasts STAFF_SESSION_HOURS, then staff must log in again
+ * - Staff clicks "Log Out" → POST /admin/logout → Redirects to /admin/login
+ *
+ * NOTE: This route file is mounted at /admin in server.js BEFORE staffAuth, so these pages are public
+ * NOTE: Logins (successful and failed) and logouts are written to the audit log
+ */
+
+const express = require('express');
+const router = express.Router();
+const staffUserService = require('../../services/staffUserService');
+const auditService = require('../../services/auditService');
+const loginThrottleService = require('../../services/loginThrottleService');
+const logger = require('../../utils/logger');
+
+/**
+ * How long a staff login lasts. Customer sessions keep the longer default set in server.js.
+ */
+const STAFF_SESSION_HOURS = 8;
+
+/**
+ * Returns a safe page to return to after login: only paths within the admin area.
+ * @param {string} next - The requested return path.
+ * @returns {string} The return path, or /admin.
+ */
+function safeReturnPath(next) {
+    return typeof next === 'string' && /^\/admin(\/|$|\?)/.test(next) && !next.startsWith('/admin/login') ? next : '/admin';
+}
+
+// GET /admin/login - Renders the staff login page
+router.get('/login', (req, res) => {
+    if (req.session.staffUser) {
+        return res.redirect(safeReturnPath(req.query.next));
+    }
+    res.render('admin_login', {
+        next: safeReturnPath(req.query.next),
+        username: '',
+        error: null,
+    });
+});
+
+// POST /admin/login - Checks the credentials and starts a staff session
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+    const next = safeReturnPath(req.body.next);
+    const context = { actor: (username || '').trim() || null, ip: req.ip };
+
+    try {
+        // The attempt is counted before the password is checked, so parallel guesses cannot skip the throttle
+        const attempt = await loginThrottleService.beginStaffAttempt({ username: username, ip: req.ip });
+        if (!attempt.allowed) {
+            await auditService.record(context, 'staff_login_blocked', {
+                details: { reason: attempt.reason, retryAfterSeconds: attempt.retryAfterSeconds }
+            });
+            res.set('Retry-After', String(attempt.retryAfterSeconds));
+            return res.status(429).render('admin_login', {
+                next: next,
+                username: username || '',
+                error: loginThrottleService.blockedMessage(attempt),
+            });
+        }
+
+        const user = await staffUserService.authenticate(username, password);
+        await loginThrottleService.recordStaffAttempt({
+            attemptId: attempt.attemptId,
+            success: Boolean(user),
+            reason: 'invalid_credentials',
+        });
+        if (!user) {
+            await auditService.record(context, 'staff_login_failed');
+            return res.status(401).render('admin_login', {
+                next: next,
+                username: username || '',
+                error: 'Invalid username or password.',
+            });
+        }
+
+        // Regenerate the session on login to prevent session fixation
+        req.session.regenerate((err) => {
+            if (err) {
+                logger.error('Error regenerating session for staff login', { error: err.message });
+                return res.status(500).send('Session error during login.');
+            }
+            req.session.staffUser = { id: user.id, username: user.username };
+            req.session.cookie.maxAge = STAFF_SESSION_HOURS * 60 * 60 * 1000;
+            req.session.save(async (saveErr) => {
+                if (saveErr) {
+                    logger.error('Error saving session for staff login', { error: saveErr.message });
+                    return res.status(500).send('Session error during login.');
+                }
+                await auditService.record({ actor: user.username, ip: req.ip }, 'staff_login');
+                logger.info(`Staff user ${user.username} logged in.`);
+                res.redirect(next);
+            });
+        });
+    } catch (error) {
+        logger.error('Error during staff login', { error: error.message });
+        res.status(500).send('Server error during login.');
+    }
+});
+
+// POST /admin/logout - Ends the staff session
+router.post('/logout', async (req, res) => {
+    const sessionUser = req.session.staffUser;
+    if (sessionUser) {
+        await auditService.record({ actor: sessionUser.username, ip: req.ip }, 'staff_logout');
+    }
+    delete req.session.staffUser;
+    req.session.save((err) => {
+        if (err) {
+            logger.error('Error saving session for staff logout', { error: err.message });
+        }
+        res.redirect('/admin/login');
+    });
+});
+
+module.exports = router;
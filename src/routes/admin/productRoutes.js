@@ -0,0 +1,137 @@
+/**
+ * PRODUCT ROUTES - Product Catalogue Management
+ *
+ * This file handles the product catalogue used by the item rows on the create/edit page:
+ *
+ * KEY FUNCTIONS:
+ * 1. List - Shows every product (active and inactive) with an add/edit form
+ * 2. Create/Update - Saves a product's name, metal, gross weight, purity, default margin and image
+ * 3. Activate/Deactivate - Hides a product from new quotes without breaking existing ones
+ *
+ * WORKFLOW:
+ * - Admin accesses /admin/products → Lists products with an empty "Add Product" form
+ * - Admin clicks "Edit" → GET /admin/products/:id → Same page with the form prefilled
+ * - Admin submits form → POST /admin/products or /admin/products/:id → Redirects with saved=true
+ * - Admin clicks "Deactivate"/"Activate" → POST /admin/products/:id/active
+ *
+ * NOTE: This route file is mounted at /admin/products in server.js
+ * NOTE: All routes require staffAuth and requireRole('manager') applied at mount point
+ */
+
+const express = require('express');
+const router = express.Router();
+const productService = require('../../services/productService');
+const { PURITY_OPTIONS } = require('../../shared/pricing');
+const logger = require('../../utils/logger');
+
+/**
+ * Validates the product form. Returns an error message, or null if valid.
+ * @param {object} body - The request body from Express.
+ * @returns {string|null} The validation error, if any.
+ */
+function validateProduct(body) {
+    if (!body.name || body.name.trim() === '') {
+        return 'Product name is required.';
+    }
+    const grossWeight = parseFloat(body.grossWeight);
+    if (isNaN(grossWeight) || grossWeight <= 0) {
+        return 'Gross weight must be greater than zero.';
+    }
+    const defaultPercent = parseFloat(body.defaultPercent);
+    if (body.defaultPercent && (isNaN(defaultPercent) || defaultPercent < 0 || defaultPercent > 100)) {
+        return 'Default margin must be between 0 and 100.';
+    }
+    return null;
+}
+
+/**
+ * Renders the product catalogue page.
+ * @param {object} res - The Express response.
+ * @param {object} options - The product being edited, form values and any error to show.
+ */
+async function renderProductsPage(res, { product = null, error = null, isSaved = false, status = 200 } = {}) {
+    const products = await productService.getProducts({ includeInactive: true });
+    res.status(status).render('admin_products', {
+        products: products,
+        product: product,
+        purityOptions: PURITY_OPTIONS,
+        error: error,
+        isSaved: isSaved,
+    });
+}
+
+// GET /admin/products - Lists the product catalogue with an empty "Add Product" form
+router.get('/', async (req, res) => {
+    try {
+        await renderProductsPage(res, { isSaved: req.query.saved === 'true' });
+    } catch (error) {
+        logger.error('Error rendering product catalogue', { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// GET /admin/products/:id - Lists the product catalogue with the form prefilled for editing
+router.get('/:id', async (req, res) => {
+    try {
+        const product = await productService.getProductById(req.params.id);
+        if (!product) {
+            return res.status(404).send('Product not found');
+        }
+        await renderProductsPage(res, { product: product });
+    } catch (error) {
+        logger.error(`Error rendering product ${req.params.id}`, { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// POST /admin/products - Creates a new product
+router.post('/', async (req, res) => {
+    try {
+        const validationError = validateProduct(req.body);
+        if (validationError) {
+            return await renderProductsPage(res, { error: validationError, status: 400 });
+        }
+
+        await productService.createProduct(req.body);
+        res.redirect('/admin/products?saved=true');
+    } catch (error) {
+        logger.error('Error creating product', { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// POST /admin/products/:id - Updates an existing product
+router.post('/:id', async (req, res) => {
+    try {
+        const product = await productService.getProductById(req.params.id);
+        if (!product) {
+            return res.status(404).send('Product not found');
+        }
+
+        const validationError = validateProduct(req.body);
+        if (validationError) {
+            return await renderProductsPage(res, { product: product, error: validationError, status: 400 });
+        }
+
+        await productService.updateProduct(req.params.id, req.body);
+        res.redirect('/admin/products?saved=true');
+    } catch (error) {
+        logger.error(`Error updating product ${req.params.id}`, { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// POST /admin/products/:id/active - Activates or deactivates a product
+router.post('/:id/active', async (req, res) => {
+    try {
+        const active = req.body.active === 'true';
+        await productService.setProductActive(req.params.id, active);
+        logger.info(`Product ${req.params.id} ${active ? 'activated' : 'deactivated'}.`);
+        res.redirect('/admin/products?saved=true');
+    } catch (error) {
+        logger.error(`Error changing active state for product ${req.params.id}`, { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
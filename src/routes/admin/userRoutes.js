@@ -0,0 +1,128 @@
+/**
+ * USER ROUTES - Staff Account Management
+ *
+ * This file handles the staff accounts used to log in to the admin area (admin role only):
+ *
+ * KEY FUNCTIONS:
+ * 1. List - Shows every staff account (active and inactive) with an add/edit form
+ * 2. Create/Update - Saves a user's role, active flag and (optionally) a new password
+ *
+ * WORKFLOW:
+ * - Admin accesses /admin/users → Lists users with an empty "Add User" form
+ * - Admin clicks a username → GET /admin/users/:id → Same page with the form prefilled
+ * - Admin submits form → POST /admin/users or /admin/users/:id → Redirects with saved=true
+ *
+ * NOTE: The last active admin cannot be demoted or deactivated, so the admin area is never locked out
+ * NOTE: This route file is mounted at /admin/users in server.js
+ * NOTE: All routes require staffAuth and requireRole('admin') applied at mount point
+ */
+
+const express = require('express');
+const router = express.Router();
+const staffUserService = require('../../services/staffUserService');
+const auditService = require('../../services/auditService');
+const { getAuditContext } = require('../../middleware/auth');
+const logger = require('../../utils/logger');
+
+/**
+ * Renders the staff accounts page.
+ * @param {object} res - The Express response.
+ * @param {object} options - The user being edited, any error to show and the response status.
+ */
+async function renderUsersPage(res, { user = null, error = null, isSaved = false, status = 200 } = {}) {
+    const users = await staffUserService.getUsers();
+    res.status(status).render('admin_users', {
+        users: users,
+        user: user,
+        roles: staffUserService.ROLES,
+        minPasswordLength: staffUserService.MIN_PASSWORD_LENGTH,
+        error: error,
+        isSaved: isSaved,
+    });
+}
+
+// GET /admin/users - Lists staff accounts with an empty "Add User" form
+router.get('/', async (req, res) => {
+    try {
+        await renderUsersPage(res, { isSaved: req.query.saved === 'true' });
+    } catch (error) {
+        logger.error('Error rendering staff users', { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// GET /admin/users/:id - Lists staff accounts with the form prefilled for editing
+router.get('/:id', async (req, res) => {
+    try {
+        const user = await staffUserService.getUserById(req.params.id);
+        if (!user) {
+            return res.status(404).send('User not found');
+        }
+        await renderUsersPage(res, { user: user });
+    } catch (error) {
+        logger.error(`Error rendering staff user ${req.params.id}`, { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// POST /admin/users - Creates a staff account
+router.post('/', async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        const error = staffUserService.validateUser({ username, password, role }, true);
+        if (error) {
+            return await renderUsersPage(res, { error: error, status: 400 });
+        }
+
+        const user = await staffUserService.createUser({ username, password, role });
+        if (!user) {
+            return await renderUsersPage(res, { error: `The username "${username.trim()}" is already taken.`, status: 400 });
+        }
+
+        await auditService.record(getAuditContext(req), 'staff_user_created', {
+            after: { username: user.username, role: user.role, active: user.active }
+        });
+        logger.info(`Staff user ${user.username} created with role ${user.role}.`);
+        res.redirect('/admin/users?saved=true');
+    } catch (error) {
+        logger.error('Error creating staff user', { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+// POST /admin/users/:id - Updates a staff account's role, active flag and password
+router.post('/:id', async (req, res) => {
+    try {
+        const existing = await staffUserService.getUserById(req.params.id);
+        if (!existing) {
+            return res.status(404).send('User not found');
+        }
+
+        const { password, role } = req.body;
+        const active = req.body.active === 'on';
+        const error = staffUserService.validateUser({ password, role }, false);
+        if (error) {
+            return await renderUsersPage(res, { user: existing, error: error, status: 400 });
+        }
+
+        const losesAdmin = existing.role === 'admin' && existing.active && (role !== 'admin' || !active);
+        if (losesAdmin && await staffUserService.countActiveAdmins() <= 1) {
+            return await renderUsersPage(res, { user: existing, error: 'There must be at least one active admin.', status: 400 });
+        }
+
+        const user = await staffUserService.updateUser(req.params.id, { role, active, password });
+        await auditService.record(getAuditContext(req), 'staff_user_updated', {
+            ...auditService.changedValues(
+                { username: existing.username, role: existing.role, active: existing.active, password: '' },
+                { username: user.username, role: user.role, active: user.active, password: password ? '(changed)' : '' }
+            )
+        });
+        logger.info(`Staff user ${user.username} updated.`);
+        res.redirect('/admin/users?saved=true');
+    } catch (error) {
+        logger.error(`Error updating staff user ${req.params.id}`, { error: error.message });
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
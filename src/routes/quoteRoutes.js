@@ -8,27 +8,84 @@
  * 2. Customer Quote View - Display quotes to authenticated customers
  * 3. Live Price API - Provide current metal prices (used by admin_create_edit.js)
  * 4. Refresh Price API - Update quote with latest prices (used by admin_create_edit.js)
+ * 5. Manual Price API - Validate or apply staff-entered spot prices when the live feed is down
+ * 6. Staff Preview - Read-only view of a quote through a short-lived signed link
+ * 7. Audit - Logins (successful and failed) and price changes are written to the audit log
+ * 8. Zoho CRM - Price changes, the customer's first view and their response are pushed to the quote's Zoho deal
+ * 9. Customer Response - The customer accepts the quote at the price shown, or declines it with a reason
+ * 10. Negotiation - The customer makes a counter-offer (whole quote or per item) with a message
  * 
  * WORKFLOW:
  * CUSTOMER ACCESS:
  * - Customer visits /quote/:shortId → Not authenticated → Redirects to /quote/:shortId/login
- * - Customer enters mobile/email → POST /quote/:shortId/login → Validates credential
+ * - Customer asks for a code → POST /quote/:shortId/login/code → Code sent to the mobile or email on file
+ * - Customer enters the code → POST /quote/:shortId/login → Validates code (expiry, attempts, single use)
+ * - The one-time code is the only customer login (there are no shared passwords)
+ * - Attempts are rate limited per IP and per quote, with progressive delays and temporary lockout
+ *   (each attempt is counted before its code is checked, so parallel attempts cannot get around it)
  * - If valid → Stores shortId in session → Redirects to /quote/:shortId → Shows quote
+ * - Live-tracking quotes are repriced from current spot on each visit before being shown
+ * - The first code login moves a sent quote to "viewed" (see quoteStatusService); drafts, expired
+ *   and cancelled quotes show a notice instead of the prices
+ * 
+ * CUSTOMER RESPONSE (quotes open to the customer only: sent, viewed or negotiating):
+ * - Customer clicks "Accept" → POST /quote/:shortId/accept with the grand total shown
+ * - Refused if the price lock has expired or the price changed since the page was shown
+ * - Otherwise the spot prices and totals are saved as the agreed price → Status "accepted"
+ * - Customer clicks "Decline" and picks a reason → POST /quote/:shortId/decline → Status "declined"
+ * - Both are audited and listed on the dashboard until staff mark them as handled
+ * 
+ * NEGOTIATION (quotes open to the customer only; see negotiationService):
+ * - Customer enters an offer for the whole quote or per item, and/or a message → POST /quote/:shortId/negotiation
+ * - Added to the quote's thread → Dashboard shows the quote as awaiting a staff reply
+ * - Staff reply on the edit page (see createEditRoutes) → The reply, and any new price, shows in the thread
+ * 
+ * STAFF PREVIEW:
+ * - Admin clicks "Open" on the edit page → Gets a signed link (see createEditRoutes)
+ * - GET /quote/:shortId/preview?token=... → Checks the token → Shows the quote read-only
+ * - No session is created, the quote is not marked as viewed and tracking quotes are not repriced
  * 
  * ADMIN API ENDPOINTS:
  * - Admin page loads → Calls GET /quote/get-live-prices → Returns current metal prices
  * - Admin clicks "Update Live Price" → POST /quote/edit/:id/refresh-price → Updates quote prices
+ * - Admin enters a manual price (create) → POST /quote/manual-prices → Returns validated prices
+ * - Admin enters a manual price (edit) → POST /quote/edit/:id/manual-price → Updates quote prices
  * 
  * NOTE: Customer routes use short_id (e.g., "ABC123") instead of UUID for cleaner URLs
- * NOTE: Admin API endpoints require staffAuth middleware
+ * NOTE: Admin API endpoints require staffAuth middleware (a staff login with any role)
  */
 
 const express = require('express');
 const router = express.Router();
 const quoteService = require('../services/quoteService');
 const { getSpotPrices, calculateAllPrices } = require('../services/metalsService');
+const spotPriceOverrideService = require('../services/spotPriceOverrideService');
+const auditService = require('../services/auditService');
+const customerLoginCodeService = require('../services/customerLoginCodeService');
+const loginThrottleService = require('../services/loginThrottleService');
+const previewTokenService = require('../services/previewTokenService');
+const zohoSyncService = require('../services/zohoSyncService');
+const negotiationService = require('../services/negotiationService');
+const quoteStatusService = require('../services/quoteStatusService');
+const settingsService = require('../services/settingsService');
+const { getPurityLabel } = require('../shared/pricing');
 const logger = require('../utils/logger');
-const { staffAuth } = require('../middleware/auth');
+const { staffAuth, getActor, getAuditContext } = require('../middleware/auth');
+
+/**
+ * Writes a price change to the audit log, recording only the values that changed.
+ * @param {object} req - The Express request (for the actor and IP).
+ * @param {string} action - 'quote_price_refresh' or 'quote_manual_price'.
+ * @param {{quote: object, items: Array<object>}} before - The quote and items before repricing.
+ * @param {object} updatedQuote - The repriced quote record (items are unchanged).
+ */
+async function auditPriceChange(req, action, before, updatedQuote) {
+  const after = { quote: updatedQuote, items: before.items };
+  await auditService.record(getAuditContext(req), action, {
+    quoteId: before.quote.id,
+    ...auditService.changedValues(auditService.quoteState(before), auditService.quoteState(after))
+  });
+}
 
 // STAFF ROUTE: Fetches current live spot prices (for the create page).
 router.get('/get-live-prices', staffAuth, async (req, res) => {
@@ -45,7 +102,15 @@ router.get('/get-live-prices', staffAuth, async (req, res) => {
 // STAFF ROUTE: Handles the "Refresh Live Price" button click (used by admin_create_edit page).
 router.post('/edit/:id/refresh-price', staffAuth, async (req, res) => {
   try {
-    const updatedQuote = await quoteService.updateQuotePrices(req.params.id);
+    const before = await quoteService.getQuoteById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    const { quote: updatedQuote, changed } = await quoteService.updateQuotePrices(req.params.id, { actor: getActor(req) });
+    if (changed) {
+      await auditPriceChange(req, 'quote_price_refresh', before, updatedQuote);
+      await zohoSyncService.queueSync(req.params.id, 'price_refresh');
+    }
     res.json(updatedQuote); // Send back the new prices as JSON
   } catch (error) {
     logger.error(`Error refreshing price for quote ${req.params.id}`, { error: error.message });
@@ -53,26 +118,189 @@ router.post('/edit/:id/refresh-price', staffAuth, async (req, res) => {
   }
 });
 
+// STAFF ROUTE: Validates manually entered spot prices (for the create page when the live feed is down).
+router.post('/manual-prices', staffAuth, async (req, res) => {
+  try {
+    const { error, prices } = await spotPriceOverrideService.validateManualPrices(req.body);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    res.json(calculateAllPrices(prices));
+  } catch (error) {
+    logger.error('Error validating manual prices', { error: error.message });
+    res.status(500).json({ error: 'Failed to validate manual prices' });
+  }
+});
+
+// STAFF ROUTE: Prices an existing quote from manually entered spot prices (used by admin_create_edit page).
+router.post('/edit/:id/manual-price', staffAuth, async (req, res) => {
+  try {
+    const { error, prices } = await spotPriceOverrideService.validateManualPrices(req.body);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    const before = await quoteService.getQuoteById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    const { quote: updatedQuote, changed } = await quoteService.updateQuotePrices(req.params.id, { manualPrices: prices, actor: getActor(req) });
+    if (changed) {
+      await auditPriceChange(req, 'quote_manual_price', before, updatedQuote);
+      await zohoSyncService.queueSync(req.params.id, 'manual_price');
+    }
+    logger.info(`Quote ${req.params.id} priced manually.`);
+    res.json(updatedQuote);
+  } catch (error) {
+    logger.error(`Error applying manual price for quote ${req.params.id}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to apply manual prices' });
+  }
+});
+
+/**
+ * Renders the customer login page for a quote.
+ * @param {object} res - The Express response.
+ * @param {string} shortId - The short_id of the quote.
+ * @param {object} quote - The quote record.
+ * @param {object} [state] - The code flow state (code sent, messages) to show.
+ * @returns {Promise<void>}
+ */
+async function renderLogin(res, shortId, quote, { codeSent = false, codeDestination = null, codeError = null, error = null, status = 200 } = {}) {
+  const retentionDays = await settingsService.getRetentionDays();
+  res.status(status).render('customer_login', {
+    quoteId: shortId,
+    quote: quote,
+    deliveryOptions: customerLoginCodeService.getDeliveryOptions(quote),
+    codeSent: codeSent,
+    codeDestination: codeDestination,
+    codeError: codeError,
+    error: error,
+    retentionDays: retentionDays,
+  });
+}
+
+/**
+ * Logs the customer in to a quote: stores its short_id in the session, then redirects to it.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {string} shortId - The short_id of the quote.
+ */
+function startCustomerSession(req, res, shortId) {
+  req.session.authenticatedQuoteId = shortId; // Store short_id in session
+  // Save session before redirect to ensure it's persisted
+  req.session.save((err) => {
+    if (err) {
+      logger.error(`Error saving session for quote ${shortId}`, { error: err.message });
+      return res.status(500).send('Session error during login.');
+    }
+    res.redirect(`/quote/${shortId}`);
+  });
+}
+
+/**
+ * Records a successful customer login (audit log and login throttle).
+ * @param {object} req - The Express request.
+ * @param {string} shortId - The short_id of the quote.
+ * @param {object} quote - The quote record.
+ * @param {string} method - How the customer logged in (e.g., 'one_time_code').
+ * @param {string} attemptId - The attempt started by beginLoginAttempt().
+ */
+async function recordLoginSuccess(req, shortId, quote, method, attemptId) {
+  await loginThrottleService.recordAttempt({ attemptId: attemptId, quoteId: quote.id, success: true });
+  await auditService.record(getAuditContext(req), 'customer_login', {
+    quoteId: quote.id,
+    details: { shortId: shortId, method: method }
+  });
+}
+
+/**
+ * Records a failed customer login (audit log and login throttle). If this failure locks the
+ * quote's login, staff are alerted through the log and the audit log.
+ * @param {object} req - The Express request.
+ * @param {string} shortId - The short_id that was used.
+ * @param {object|null} quote - The quote record (null if the short_id was not found).
+ * @param {string} reason - Why the login failed (e.g., 'invalid_code').
+ * @param {string} attemptId - The attempt started by beginLoginAttempt().
+ * @param {object} [details] - Any other context for the audit log.
+ */
+async function recordLoginFailure(req, shortId, quote, reason, attemptId, details = {}) {
+  const quoteId = quote ? quote.id : null;
+  const { quoteLocked, failures } = await loginThrottleService.recordAttempt({
+    attemptId: attemptId, quoteId: quoteId, success: false, reason: reason
+  });
+  await auditService.record(getAuditContext(req), 'customer_login_failed', {
+    quoteId: quoteId,
+    details: { shortId: shortId, reason: reason, ...details }
+  });
+
+  if (quoteLocked) {
+    logger.warn(`Customer login for quote ${quote.quote_number} locked after ${failures} failed attempts (last from ${req.ip})`);
+    await auditService.record(getAuditContext(req), 'customer_login_locked', {
+      quoteId: quoteId,
+      details: { shortId: shortId, failures: failures, lockoutMinutes: loginThrottleService.LIMITS.LOCKOUT_MINUTES }
+    });
+  }
+}
+
+/**
+ * Responds with a 429 to a request refused by the login throttle.
+ * @param {object} res - The Express response.
+ * @param {string} shortId - The short_id of the quote.
+ * @param {object|null} quote - The quote record (null if the short_id was not found).
+ * @param {object} result - The refusal from loginThrottleService.
+ * @param {object} state - The login page state to keep (e.g., { codeSent: true }).
+ * @returns {Promise<void>}
+ */
+async function sendLoginBlocked(res, shortId, quote, result, state) {
+  const message = loginThrottleService.blockedMessage(result);
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  if (!quote) {
+    res.status(429).send(message);
+  } else if (state.codeSent) {
+    await renderLogin(res, shortId, quote, { ...state, codeError: message, status: 429 });
+  } else {
+    await renderLogin(res, shortId, quote, { ...state, error: message, status: 429 });
+  }
+}
+
+/**
+ * Checks the login throttle without recording an attempt (e.g., before sending a new code) and,
+ * if the request is refused, responds with a 429.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {string} shortId - The short_id of the quote.
+ * @param {object} quote - The quote record.
+ * @returns {Promise<boolean>} True if the request may go ahead; false if a response was sent.
+ */
+async function checkLoginAllowed(req, res, shortId, quote) {
+  const result = await loginThrottleService.checkAllowed(quote.id, req.ip);
+  if (!result.allowed) {
+    await sendLoginBlocked(res, shortId, quote, result, {});
+  }
+  return result.allowed;
+}
+
+/**
+ * Starts a login attempt through the login throttle and, if it is refused, responds with a 429.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {string} shortId - The short_id of the quote.
+ * @param {object|null} quote - The quote record (null if the short_id was not found).
+ * @param {object} [state] - The login page state to keep (e.g., { codeSent: true }).
+ * @returns {Promise<string|null>} The attempt ID if it may go ahead; null if a response was sent.
+ */
+async function beginLoginAttempt(req, res, shortId, quote, state = {}) {
+  const result = await loginThrottleService.beginAttempt({ quoteId: quote ? quote.id : null, shortId: shortId, ip: req.ip });
+  if (!result.allowed) {
+    await sendLoginBlocked(res, shortId, quote, result, state);
+    return null;
+  }
+  return result.attemptId;
+}
+
 // CUSTOMER ROUTE: Renders the login page for a specific quote (using short_id).
 router.get('/:shortId/login', async (req, res) => {
   try {
     const { shortId } = req.params;
-    const { admin_password, customer_password } = req.query;
-
-    // If the admin or customer password is provided and correct, log in and redirect
-    const isAdmin = admin_password && admin_password === process.env.ADMIN_PASSWORD;
-    const isCustomer = customer_password && customer_password === process.env.CUSTOMER_PASSWORD;
-
-    if (isAdmin || isCustomer) {
-      req.session.authenticatedQuoteId = shortId;
-      return req.session.save((err) => {
-        if (err) {
-          logger.error(`Error saving session for quote ${shortId}`, { error: err.message });
-          return res.status(500).send('Session error during auto-login.');
-        }
-        return res.redirect(`/quote/${shortId}`);
-      });
-    }
 
     // Fetch quote data to pass to the login page
     const quoteData = await quoteService.getQuoteByShortId(shortId);
@@ -81,67 +309,223 @@ router.get('/:shortId/login', async (req, res) => {
       return res.status(404).send('Quote not found');
     }
 
-    // Otherwise, render the standard login page with quote data
-    res.render('customer_login', {
-      quoteId: shortId,
-      quote: quoteData.quote,
-      error: null,
-    });
+    // Staff use signed preview links instead (GET /:shortId/preview)
+    await renderLogin(res, shortId, quoteData.quote);
   } catch (error) {
     logger.error(`Error rendering login page for quote ${req.params.shortId}`, { error: error.message });
     res.status(500).send('Server error');
   }
 });
 
+// CUSTOMER ROUTE: Sends a one-time login code to the mobile or email on file (using short_id).
+router.post('/:shortId/login/code', async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    const quoteData = await quoteService.getQuoteByShortId(shortId);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+
+    // A locked-out quote or IP cannot request new codes either
+    if (!await checkLoginAllowed(req, res, shortId, quoteData.quote)) {
+      return;
+    }
+
+    const { error, destination } = await customerLoginCodeService.requestCode(quoteData.quote, req.body.channel);
+    if (error) {
+      return await renderLogin(res, shortId, quoteData.quote, { codeError: error, status: 400 });
+    }
+
+    await auditService.record(getAuditContext(req), 'customer_login_code_sent', {
+      quoteId: quoteData.quote.id,
+      details: { shortId: shortId, channel: req.body.channel, destination: destination }
+    });
+    await renderLogin(res, shortId, quoteData.quote, { codeSent: true, codeDestination: destination });
+  } catch (error) {
+    logger.error(`Error sending login code for quote ${req.params.shortId}`, { error: error.message });
+    res.status(500).send('Server error while sending code.');
+  }
+});
+
 // CUSTOMER ROUTE: Handles the login attempt (using short_id).
+// Accepts the one-time `code` sent by POST /:shortId/login/code.
+// Every attempt is rate limited per IP and per quote (see loginThrottleService).
 router.post('/:shortId/login', async (req, res) => {
   try {
     const { shortId } = req.params;
-    const { credential } = req.body;
-
-    // Check for admin or customer password
-    const isAdmin = credential === process.env.ADMIN_PASSWORD;
-    const isCustomerPassword = credential === process.env.CUSTOMER_PASSWORD;
+    const { code } = req.body;
 
     // Get quote by short_id to get the UUID
     const quoteData = await quoteService.getQuoteByShortId(shortId);
     if (!quoteData) {
-      return res.render('customer_login', {
-        quoteId: shortId,
-        error: 'Quote not found.',
-      });
+      const attemptId = await beginLoginAttempt(req, res, shortId, null);
+      if (attemptId) {
+        await recordLoginFailure(req, shortId, null, 'quote_not_found', attemptId);
+        res.status(404).send('Quote not found');
+      }
+      return;
     }
 
-    // Validate customer credential OR check if it's an admin or customer password
-    const isValidCustomer = await quoteService.validateCustomerCredential(quoteData.quote.id, credential);
+    const attemptId = await beginLoginAttempt(req, res, shortId, quoteData.quote, { codeSent: true });
+    if (!attemptId) {
+      return;
+    }
 
-    if (isValidCustomer || isAdmin || isCustomerPassword) {
-      // If a valid customer logs in (not admin or generic customer password), update the viewed status
-      if (isValidCustomer) {
-        await quoteService.updateQuoteViewedStatus(quoteData.quote.id);
-      }
+    // One-time code sent to the customer's mobile or email
+    const result = await customerLoginCodeService.verifyCode(quoteData.quote.id, code);
+    if (!result.success) {
+      await recordLoginFailure(req, shortId, quoteData.quote, 'invalid_code', attemptId, { message: result.error });
+      return await renderLogin(res, shortId, quoteData.quote, { codeSent: true, codeError: result.error, status: 401 });
+    }
 
-      req.session.authenticatedQuoteId = shortId; // Store short_id in session
-      // Save session before redirect to ensure it's persisted
-      req.session.save((err) => {
-        if (err) {
-          logger.error(`Error saving session for quote ${shortId}`, { error: err.message });
-          return res.status(500).send('Session error during login.');
-        }
-        res.redirect(`/quote/${shortId}`);
-      });
-    } else {
-      res.render('customer_login', {
-        quoteId: shortId,
-        error: 'Invalid mobile number, email, or password. Please try again.',
-      });
+    await recordLoginSuccess(req, shortId, quoteData.quote, 'one_time_code', attemptId);
+    // The customer has viewed their quote (drafts are not shown to customers yet)
+    if (quoteData.quote.status !== 'draft') {
+      const firstView = await quoteService.updateQuoteViewedStatus(quoteData.quote.id);
+      const { quote: viewedQuote } = quoteData.quote.status === 'sent'
+        ? await quoteService.updateQuoteStatus(quoteData.quote.id, 'viewed', 'customer')
+        : { quote: null };
+      if (firstView || viewedQuote) {
+        await zohoSyncService.queueSync(quoteData.quote.id, 'viewed');
+      }
     }
+    startCustomerSession(req, res, shortId);
   } catch (error) {
     logger.error(`Error during customer login for quote ${req.params.shortId}`, { error: error.message });
     res.status(500).send('Server error during login.');
   }
 });
 
+// STAFF ROUTE: Read-only preview of the customer view through a signed link (see previewTokenService).
+// Does not log in to the quote, mark it as viewed or reprice tracking quotes.
+router.get('/:shortId/preview', async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    const quoteData = await quoteService.getQuoteByShortId(shortId);
+    const preview = quoteData ? previewTokenService.verifyToken(req.query.token, quoteData.quote.id) : null;
+    if (!preview) {
+      logger.warn(`Invalid or expired preview link for quote ${shortId} from ${req.ip}`);
+      return res.status(403).send('This preview link is invalid or has expired. Open the quote again from the admin page.');
+    }
+
+    // Keep the token out of caches and Referer headers
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    res.render('customer_view_quote', {
+      quote: quoteData.quote,
+      items: quoteData.items,
+      purityLabel: getPurityLabel,
+      preview: preview,
+      responseError: null,
+      declineReasons: quoteService.DECLINE_REASONS,
+      maxDeclineCommentLength: quoteService.MAX_DECLINE_COMMENT_LENGTH,
+      negotiation: await negotiationService.getThread(quoteData.quote.id),
+      isOpen: quoteStatusService.isOpenToCustomer(quoteData.quote.status),
+      negotiationError: null,
+      maxNegotiationMessageLength: negotiationService.MAX_MESSAGE_LENGTH,
+      retentionDays: await settingsService.getRetentionDays(),
+    });
+  } catch (error) {
+    logger.error(`Error rendering preview for quote ${req.params.shortId}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// CUSTOMER ROUTE: Accepts the quote at the price shown on the page (see quoteService.acceptQuote).
+router.post('/:shortId/accept', async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    if (req.session.authenticatedQuoteId !== shortId) {
+      return res.redirect(`/quote/${shortId}/login`);
+    }
+
+    const quoteData = await quoteService.getQuoteByShortId(shortId);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+
+    const { quote, error } = await quoteService.acceptQuote(quoteData.quote.id, { grandTotal: req.body.grandTotal });
+    if (error) {
+      logger.warn(`Customer could not accept quote ${shortId}: ${error}`);
+      return res.redirect(`/quote/${shortId}?responseError=${error}#quote-response`);
+    }
+
+    await auditService.record(getAuditContext(req), 'quote_accepted', {
+      quoteId: quote.id,
+      before: { status: quoteData.quote.status },
+      after: { status: quote.status, agreed_total: quote.agreed_price.totals.grandTotal }
+    });
+    await zohoSyncService.queueSync(quote.id, 'accepted');
+    res.redirect(`/quote/${shortId}#quote-response`);
+  } catch (error) {
+    logger.error(`Error accepting quote ${req.params.shortId}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// CUSTOMER ROUTE: Declines the quote with a reason (see quoteService.declineQuote).
+router.post('/:shortId/decline', async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    if (req.session.authenticatedQuoteId !== shortId) {
+      return res.redirect(`/quote/${shortId}/login`);
+    }
+
+    const quoteData = await quoteService.getQuoteByShortId(shortId);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+
+    const { reason, comment } = req.body;
+    const { quote, error } = await quoteService.declineQuote(quoteData.quote.id, { reason, comment });
+    if (error) {
+      return res.redirect(`/quote/${shortId}?responseError=${error}#quote-response`);
+    }
+
+    await auditService.record(getAuditContext(req), 'quote_declined', {
+      quoteId: quote.id,
+      before: { status: quoteData.quote.status },
+      after: { status: quote.status },
+      details: { reason: quote.decline_reason, comment: quote.decline_comment }
+    });
+    await zohoSyncService.queueSync(quote.id, 'declined');
+    res.redirect(`/quote/${shortId}#quote-response`);
+  } catch (error) {
+    logger.error(`Error declining quote ${req.params.shortId}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
+// CUSTOMER ROUTE: Adds a counter-offer and/or message to the quote's negotiation thread.
+router.post('/:shortId/negotiation', async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    if (req.session.authenticatedQuoteId !== shortId) {
+      return res.redirect(`/quote/${shortId}/login`);
+    }
+
+    const quoteData = await quoteService.getQuoteByShortId(shortId);
+    if (!quoteData) {
+      return res.status(404).send('Quote not found');
+    }
+
+    const { offerTotal, itemOffers, message } = req.body;
+    const { entry, error } = await negotiationService.addCustomerOffer(quoteData, { offerTotal, itemOffers, message });
+    if (error) {
+      return res.redirect(`/quote/${shortId}?negotiationError=${error}#negotiation`);
+    }
+
+    await auditService.record(getAuditContext(req), 'quote_counter_offer', {
+      quoteId: quoteData.quote.id,
+      details: { offer_total: entry.offer_total, item_offers: entry.item_offers, message: entry.message }
+    });
+    res.redirect(`/quote/${shortId}#negotiation`);
+  } catch (error) {
+    logger.error(`Error adding a counter-offer to quote ${req.params.shortId}`, { error: error.message });
+    res.status(500).send('Server error');
+  }
+});
+
 // CUSTOMER ROUTE: The customer-facing view of the quote (using short_id).
 // This dynamic route is last, so it won't incorrectly match '/create' or '/edit'.
 router.get('/:shortId', async (req, res) => {
@@ -152,13 +536,43 @@ router.get('/:shortId', async (req, res) => {
       return res.redirect(`/quote/${shortId}/login`);
     }
 
-    const quoteData = await quoteService.getQuoteByShortId(shortId);
+    let quoteData = await quoteService.getQuoteByShortId(shortId);
     if (!quoteData) {
       return res.status(404).send('Quote not found');
     }
+
+    // Live-tracking quotes reprice from current spot (normalisation offset and cache TTL apply).
+    // If the feed is unavailable the last saved prices are shown instead.
+    if (quoteData.quote.is_tracking && quoteStatusService.isOpenToCustomer(quoteData.quote.status)) {
+      try {
+        const { quote: updatedQuote, changed } = await quoteService.updateQuotePrices(quoteData.quote.id, { actor: getActor(req) });
+        // Only a reprice that changed something is audited (this runs on every page load)
+        if (changed) {
+          await auditPriceChange(req, 'quote_price_refresh', quoteData, updatedQuote);
+        }
+        const previousTotal = Number(quoteData.quote.totals.grandTotal);
+        quoteData = await quoteService.getQuoteByShortId(shortId);
+        if (Number(quoteData.quote.totals.grandTotal) !== previousTotal) {
+          await zohoSyncService.queueSync(quoteData.quote.id, 'tracking_reprice');
+        }
+      } catch (error) {
+        logger.warn(`Could not reprice tracking quote ${shortId}, showing last saved prices`, { error: error.message });
+      }
+    }
+
     res.render('customer_view_quote', {
       quote: quoteData.quote,
       items: quoteData.items,
+      purityLabel: getPurityLabel,
+      preview: null,
+      responseError: quoteService.RESPONSE_ERRORS[req.query.responseError] || null,
+      declineReasons: quoteService.DECLINE_REASONS,
+      maxDeclineCommentLength: quoteService.MAX_DECLINE_COMMENT_LENGTH,
+      negotiation: await negotiationService.getThread(quoteData.quote.id),
+      isOpen: quoteStatusService.isOpenToCustomer(quoteData.quote.status),
+      negotiationError: negotiationService.NEGOTIATION_ERRORS[req.query.negotiationError] || null,
+      maxNegotiationMessageLength: negotiationService.MAX_MESSAGE_LENGTH,
+      retentionDays: await settingsService.getRetentionDays(),
     });
   } catch (error) {
     logger.error(`Error fetching quote for customer view (short_id: ${req.params.shortId})`, { error: error.message });
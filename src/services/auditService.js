@@ -0,0 +1,220 @@
+/**
+ * @file auditService.js
+ * @description This service keeps the persistent audit log: who did what, from where and when.
+ * It covers quote changes (create, edit, expire, price refresh, customer accept/decline,
+ * negotiation, re-quote), settings and spot price override changes, staff account changes, and staff and
+ * customer logins (successful and failed). Each entry stores the actor, IP address and
+ * timestamp, plus the values that changed (before/after).
+ *
+ * Writing an entry never fails the action being audited: errors are logged and swallowed.
+ * The database rejects any UPDATE to a stored entry, except the retention job's redaction of
+ * customer details (see retentionService.js).
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const quoteRevisionService = require('./quoteRevisionService');
+
+/**
+ * The audited actions, with their display labels.
+ */
+const AUDIT_ACTIONS = {
+    quote_created: 'Quote created',
+    quote_edited: 'Quote edited',
+    quote_expired: 'Quote expired',
+    quote_status_changed: 'Quote status changed',
+    quote_expiry_extended: 'Quote expiry extended',
+    quote_requoted: 'Quote re-quoted',
+    quote_price_refresh: 'Price refresh',
+    quote_manual_price: 'Manual price',
+    quote_preview_link: 'Preview link created',
+    quote_sent: 'Quote sent to customer',
+    quote_reminder_sent: 'Reminder sent to customer',
+    quote_accepted: 'Quote accepted by customer',
+    quote_declined: 'Quote declined by customer',
+    quote_response_acknowledged: 'Customer response handled',
+    quote_counter_offer: 'Counter-offer from customer',
+    quote_negotiation_reply: 'Negotiation reply from staff',
+    settings_updated: 'Settings updated',
+    data_purged: 'Customer data purged',
+    spot_override_set: 'Spot override set',
+    spot_override_cleared: 'Spot override cleared',
+    customer_login_code_sent: 'Customer login code sent',
+    customer_login: 'Customer login',
+    customer_login_failed: 'Customer login failed',
+    customer_login_locked: 'Customer login locked',
+    staff_login: 'Staff login',
+    staff_login_failed: 'Staff login failed',
+    staff_login_blocked: 'Staff login blocked',
+    staff_logout: 'Staff logout',
+    staff_user_created: 'Staff user created',
+    staff_user_updated: 'Staff user updated',
+};
+
+/**
+ * The most entries returned by one getEntries() call.
+ */
+const MAX_ENTRIES = 500;
+
+/**
+ * Flattens a quote and its items into a single object of comparable values, so the
+ * before/after of an edit can be stored as just the fields that changed.
+ * @param {{quote: object, items: Array<object>}} quoteData - The quote and its items (from quoteService).
+ * @returns {object} The flattened quote state, with item fields keyed `item_<n>_<field>`.
+ */
+function quoteState(quoteData) {
+    const { quote, items } = quoteData;
+    const snapshot = quoteRevisionService.buildSnapshot(quote, items);
+    const state = {
+        ...snapshot.quote,
+        show_quoted_rate: quote.show_quoted_rate,
+        price_lock_minutes: quote.price_lock_minutes,
+        is_tracking: quote.is_tracking,
+    };
+    snapshot.items.forEach((item, index) => {
+        Object.keys(item).forEach(key => {
+            state[`item_${index + 1}_${key}`] = item[key];
+        });
+    });
+    return state;
+}
+
+/**
+ * Normalises a value for comparison, so "150.5000" and 150.5 compare equal.
+ * @param {*} value - The value.
+ * @returns {*} A comparable value.
+ */
+function _comparable(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    const number = Number(value);
+    return typeof value !== 'boolean' && !isNaN(number) ? number : value;
+}
+
+/**
+ * Reduces two states to the keys whose values differ.
+ * @param {object|null} before - The state before the change (null if it did not exist).
+ * @param {object|null} after - The state after the change (null if it no longer exists).
+ * @returns {{before: object|null, after: object|null}} The changed values only.
+ */
+function changedValues(before, after) {
+    if (!before || !after) {
+        return { before: before, after: after };
+    }
+    const changed = { before: {}, after: {} };
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (_comparable(before[key]) !== _comparable(after[key])) {
+            changed.before[key] = before[key] === undefined ? null : before[key];
+            changed.after[key] = after[key] === undefined ? null : after[key];
+        }
+    });
+    return changed;
+}
+
+/**
+ * Writes an entry to the audit log. Never throws: a failure is logged instead, so the
+ * audited action is not affected.
+ * @param {object} context - Who made the request (from getAuditContext() in middleware/auth.js).
+ * @param {string} context.actor - The staff username, or 'customer'.
+ * @param {string} [context.ip] - The client IP address.
+ * @param {string} action - One of the AUDIT_ACTIONS keys.
+ * @param {object} [entry] - What was changed.
+ * @param {string} [entry.quoteId] - The UUID of the quote concerned, if any.
+ * @param {object} [entry.before] - The values before the change.
+ * @param {object} [entry.after] - The values after the change.
+ * @param {object} [entry.details] - Any other context (e.g., why a login failed).
+ * @returns {Promise<void>}
+ */
+async function record(context, action, { quoteId = null, before = null, after = null, details = null } = {}) {
+    try {
+        const query = `
+            INSERT INTO audit_log (action, actor, ip, quote_id, before_values, after_values, details)
+            VALUES ($1, $2, $3, $4, $5, $6, $7);
+        `;
+        await pool.query(query, [
+            action,
+            context.actor || null,
+            context.ip || null,
+            quoteId,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            details ? JSON.stringify(details) : null,
+        ]);
+    } catch (error) {
+        logger.error(`Error writing audit log entry ${action}`, { error: error.message });
+    }
+}
+
+/**
+ * Lists audit log entries, newest first.
+ * @param {object} [filters] - Optional filters.
+ * @param {string} [filters.action] - Only this action (one of the AUDIT_ACTIONS keys).
+ * @param {string} [filters.actor] - Only entries whose actor contains this text.
+ * @param {string} [filters.quoteId] - Only entries for this quote UUID.
+ * @param {string} [filters.quoteNumber] - Only entries for quotes whose number contains this text.
+ * @param {Date} [filters.from] - Only entries at or after this time.
+ * @param {Date} [filters.to] - Only entries before this time.
+ * @param {number} [filters.limit=200] - The most entries to return (capped at MAX_ENTRIES).
+ * @returns {Promise<Array<object>>} The entries, with the quote number where known.
+ */
+async function getEntries(filters = {}) {
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.action) {
+        addCondition('a.action = ?', filters.action);
+    }
+    if (filters.actor) {
+        addCondition('a.actor ILIKE ?', `%${filters.actor}%`);
+    }
+    if (filters.quoteId) {
+        addCondition('a.quote_id = ?', filters.quoteId);
+    }
+    if (filters.quoteNumber) {
+        addCondition('q.quote_number ILIKE ?', `%${filters.quoteNumber}%`);
+    }
+    if (filters.from) {
+        addCondition('a.created_at >= ?', filters.from);
+    }
+    if (filters.to) {
+        addCondition('a.created_at < ?', filters.to);
+    }
+
+    values.push(Math.min(filters.limit || 200, MAX_ENTRIES));
+    const query = `
+        SELECT a.*, q.quote_number
+        FROM audit_log a
+        LEFT JOIN quotes q ON q.id = a.quote_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $${values.length};
+    `;
+
+    const client = await pool.connect();
+    try {
+        const result = await client.query(query, values);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error fetching audit log entries', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    MAX_ENTRIES,
+    quoteState,
+    changedValues,
+    record,
+    getEntries,
+};
@@ -0,0 +1,214 @@
+/**
+ * @file customerLoginCodeService.js
+ * @description This service handles one-time login codes for customers. Instead of typing the
+ * mobile number or email on a quote (which are not secrets), the customer asks for a code that
+ * is sent to the mobile or email on file, then enters it to view the quote.
+ *
+ * Codes are stored hashed, expire after a few minutes, allow a limited number of attempts and
+ * are single use. Requesting a new code replaces any unused one. Messages go out through the
+ * pluggable message senders (see messageSenders/index.js).
+ *
+ * CONFIGURATION (environment variables):
+ * - CUSTOMER_CODE_TTL_MINUTES   → How long a code is valid (default 5)
+ * - CUSTOMER_CODE_MAX_ATTEMPTS  → Wrong entries allowed before a new code is needed (default 5)
+ */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { sendMessage } = require('./messageSenders');
+const { normaliseMobile } = require('../shared/phone');
+
+const CODE_LENGTH = 6;
+
+/**
+ * The minimum time between two code requests for the same quote.
+ */
+const RESEND_INTERVAL_SECONDS = 60;
+
+/**
+ * Reads a positive integer from an environment variable.
+ * @param {string} name - The variable name.
+ * @param {number} defaultValue - The value if unset or invalid.
+ * @returns {number} The configured value.
+ */
+function _envInteger(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : defaultValue;
+}
+
+/**
+ * Hashes a code for storage. The quote ID is mixed in so equal codes for different quotes differ.
+ * @param {string} quoteId - The UUID of the quote.
+ * @param {string} code - The plain code.
+ * @returns {string} The hex SHA-256 hash.
+ */
+function _hashCode(quoteId, code) {
+    return crypto.createHash('sha256').update(`${quoteId}:${code}`).digest('hex');
+}
+
+/**
+ * Masks a mobile number or email for display, e.g. "•••• 4567" or "j•••@example.com".
+ * @param {string} channel - 'sms' or 'email'.
+ * @param {string} destination - The mobile number or email.
+ * @returns {string} The masked destination.
+ */
+function maskDestination(channel, destination) {
+    if (channel === 'email') {
+        const [name, domain] = destination.split('@');
+        return `${name.charAt(0)}•••@${domain || ''}`;
+    }
+    const digits = destination.replace(/\D/g, '');
+    return `•••• ${digits.slice(-4)}`;
+}
+
+/**
+ * Lists where a quote's login code can be sent: the mobile and/or email on file.
+ * @param {object} quote - The quote record.
+ * @returns {Array<{channel: string, label: string}>} The delivery options (empty if none on file).
+ */
+function getDeliveryOptions(quote) {
+    const options = [];
+    if (quote.customer_mobile && quote.customer_mobile.trim()) {
+        options.push({ channel: 'sms', label: `Text to mobile ${maskDestination('sms', quote.customer_mobile.trim())}` });
+    }
+    if (quote.customer_email && quote.customer_email.includes('@')) {
+        options.push({ channel: 'email', label: `Email to ${maskDestination('email', quote.customer_email.trim())}` });
+    }
+    return options;
+}
+
+/**
+ * Generates a code and sends it to the quote's mobile or email on file.
+ * Any unused code for the quote is replaced.
+ * @param {object} quote - The quote record.
+ * @param {string} channel - 'sms' or 'email'.
+ * @returns {Promise<{error: string|null, destination: string|null, expiresAt: Date|null}>} The masked
+ *   destination and expiry, or an error message for the customer.
+ */
+async function requestCode(quote, channel) {
+    const option = getDeliveryOptions(quote).find(o => o.channel === channel);
+    if (!option) {
+        return { error: 'Please choose where to send your code.', destination: null, expiresAt: null };
+    }
+
+    const ttlMinutes = _envInteger('CUSTOMER_CODE_TTL_MINUTES', 5);
+    const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+    // Mobiles are stored in E.164, but older quotes may hold a number that could not be normalised
+    const destination = channel === 'sms'
+        ? normaliseMobile(quote.customer_mobile).e164 || quote.customer_mobile.trim()
+        : quote.customer_email.trim();
+
+    const client = await pool.connect();
+    let codeRow;
+    try {
+        await client.query('BEGIN');
+        // One code request per quote at a time, so parallel requests cannot both pass the resend check
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('login_code:' || $1))", [quote.id]);
+
+        const recent = await client.query(
+            `SELECT 1 FROM customer_login_codes
+             WHERE quote_id = $1 AND created_at > NOW() - make_interval(secs => $2)`,
+            [quote.id, RESEND_INTERVAL_SECONDS]
+        );
+        if (recent.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return { error: 'A code was sent recently. Please wait a minute before requesting another.', destination: null, expiresAt: null };
+        }
+
+        await client.query('DELETE FROM customer_login_codes WHERE quote_id = $1 AND used_at IS NULL', [quote.id]);
+        const result = await client.query(
+            `INSERT INTO customer_login_codes (quote_id, code_hash, channel, expires_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+             RETURNING *`,
+            [quote.id, _hashCode(quote.id, code), channel, ttlMinutes]
+        );
+        codeRow = result.rows[0];
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Error creating login code for quote ${quote.id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    try {
+        await sendMessage({
+            channel: channel,
+            to: destination,
+            subject: `Your code for quote ${quote.quote_number}`,
+            text: `Your code to view quote ${quote.quote_number} is ${code}. It expires in ${ttlMinutes} minutes.`,
+        });
+    } catch (error) {
+        // Without delivery the code is useless; remove it so the customer can retry straight away
+        await pool.query('DELETE FROM customer_login_codes WHERE id = $1', [codeRow.id]);
+        logger.error(`Error sending login code for quote ${quote.id}`, { error: error.message });
+        return { error: 'Sorry, we could not send your code. Please try again or contact us.', destination: null, expiresAt: null };
+    }
+
+    return { error: null, destination: maskDestination(channel, destination), expiresAt: codeRow.expires_at };
+}
+
+/**
+ * Checks a code entered by the customer against the quote's current code.
+ * A wrong code uses up an attempt; a correct code is marked used and cannot be reused.
+ * @param {string} quoteId - The UUID of the quote.
+ * @param {string} code - The code entered.
+ * @returns {Promise<{success: boolean, error: string|null}>} Whether the code is valid, or why not.
+ */
+async function verifyCode(quoteId, code) {
+    const maxAttempts = _envInteger('CUSTOMER_CODE_MAX_ATTEMPTS', 5);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `SELECT * FROM customer_login_codes
+             WHERE quote_id = $1 AND used_at IS NULL
+             ORDER BY created_at DESC
+             LIMIT 1
+             FOR UPDATE`,
+            [quoteId]
+        );
+        const codeRow = result.rows[0];
+
+        let error = null;
+        if (!codeRow) {
+            error = 'Please request a new code.';
+        } else if (new Date(codeRow.expires_at) <= new Date()) {
+            error = 'Your code has expired. Please request a new code.';
+        } else if (codeRow.attempts >= maxAttempts) {
+            error = 'Too many incorrect attempts. Please request a new code.';
+        } else {
+            const expected = Buffer.from(codeRow.code_hash, 'hex');
+            const actual = Buffer.from(_hashCode(quoteId, String(code || '').trim()), 'hex');
+            if (crypto.timingSafeEqual(actual, expected)) {
+                await client.query('UPDATE customer_login_codes SET used_at = NOW() WHERE id = $1', [codeRow.id]);
+            } else {
+                await client.query('UPDATE customer_login_codes SET attempts = attempts + 1 WHERE id = $1', [codeRow.id]);
+                const remaining = maxAttempts - codeRow.attempts - 1;
+                error = remaining > 0
+                    ? `Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+                    : 'Too many incorrect attempts. Please request a new code.';
+            }
+        }
+
+        await client.query('COMMIT');
+        return { success: !error, error: error };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Error verifying login code for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    RESEND_INTERVAL_SECONDS,
+    maskDestination,
+    getDeliveryOptions,
+    requestCode,
+    verifyCode,
+};
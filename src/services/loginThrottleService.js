@@ -0,0 +1,412 @@
+/**
+ * @file loginThrottleService.js
+ * @description This service protects the customer quote login against guessing. Every login
+ * attempt is recorded with the quote and IP address, and used to enforce:
+ * - a progressive delay per IP and quote: after a few failures, each further attempt must wait
+ *   longer (1s, 2s, 4s, ... up to a minute); a successful login resets it
+ * - a temporary lockout per quote: too many failures from anyone locks the quote's login
+ * - a temporary lockout per IP: too many failures across any quotes locks that IP out
+ *
+ * A login attempt is recorded (as a failure) by beginAttempt() before the code is checked, and
+ * its outcome filled in by recordAttempt(). The check and the record are made under a lock per IP
+ * and per quote, so a burst of parallel attempts cannot all pass the check before any of them
+ * counts.
+ *
+ * Staff see a quote's failed attempts on its edit page, and quotes under attack are flagged on
+ * the dashboard and in the audit log.
+ *
+ * The staff login is throttled the same way, per username instead of per quote (see
+ * beginStaffAttempt() and recordStaffAttempt()).
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * The throttling limits. Failures are counted within WINDOW_MINUTES. QUOTE_MAX_FAILURES also
+ * limits the failures on a staff username.
+ */
+const LIMITS = {
+    WINDOW_MINUTES: 15,
+    QUOTE_MAX_FAILURES: 10,
+    IP_MAX_FAILURES: 20,
+    LOCKOUT_MINUTES: 15,
+    FREE_FAILURES: 3,
+    MAX_DELAY_SECONDS: 60,
+};
+
+/**
+ * What each login's attempts are counted against: the attempts table, the column holding what is
+ * being logged in to (locked out after QUOTE_MAX_FAILURES), and the reason given when it is.
+ */
+const SCOPES = {
+    customer: { table: 'customer_login_attempts', keyColumn: 'quote_id', lockName: 'customer_login', lockedReason: 'quote_locked' },
+    staff: { table: 'staff_login_attempts', keyColumn: 'username', lockName: 'staff_login', lockedReason: 'user_locked' },
+};
+
+/**
+ * Takes the locks that serialise login attempts from an IP and on a quote (or staff username),
+ * until the end of the client's transaction. The IP is always locked first, so two attempts
+ * cannot deadlock.
+ * @param {object} client - The database client, within a transaction.
+ * @param {object} scope - One of SCOPES.
+ * @param {string|null} key - The UUID of the quote (null if the short ID was not found), or the username.
+ * @param {string} [ip] - The client IP address (omit to lock the key only).
+ * @returns {Promise<void>}
+ */
+async function _lockAttempts(client, scope, key, ip) {
+    if (ip) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('${scope.lockName}_ip:' || $1))`, [ip]);
+    }
+    if (key) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('${scope.lockName}_key:' || $1))`, [key]);
+    }
+}
+
+/**
+ * Returns the username a staff login attempt is counted against: usernames are matched
+ * regardless of case (see staffUserService.authenticate).
+ * @param {string} username - The submitted username.
+ * @returns {string} The username, trimmed, lower-cased and cut to the column's length.
+ */
+function _staffKey(username) {
+    return (username || '').trim().toLowerCase().slice(0, 255);
+}
+
+/**
+ * Checks the limits for a login attempt.
+ * @param {object} client - The database client to use.
+ * @param {object} scope - One of SCOPES.
+ * @param {string|null} key - The UUID of the quote (null if the short ID was not found), or the username.
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<{allowed: boolean, reason: string|null, retryAfterSeconds: number}>} See checkAllowed().
+ */
+async function _checkLimits(client, scope, key, ip) {
+    const { table, keyColumn } = scope;
+    const query = `
+        SELECT
+            COUNT(*) FILTER (WHERE ip = $2) AS ip_failures,
+            MAX(created_at) FILTER (WHERE ip = $2) AS ip_last_failure,
+            COUNT(*) FILTER (WHERE ${keyColumn} = $1) AS key_failures,
+            MAX(created_at) FILTER (WHERE ${keyColumn} = $1) AS key_last_failure
+        FROM ${table}
+        WHERE NOT success
+          AND created_at > NOW() - make_interval(mins => $3)
+          AND (ip = $2 OR ${keyColumn} = $1);
+    `;
+    const { rows: [counts] } = await client.query(query, [key, ip, LIMITS.WINDOW_MINUTES]);
+    const now = Date.now();
+    const secondsUntil = (lastFailure, minutes) =>
+        Math.ceil((new Date(lastFailure).getTime() + minutes * 60 * 1000 - now) / 1000);
+
+    if (parseInt(counts.ip_failures, 10) >= LIMITS.IP_MAX_FAILURES) {
+        const wait = secondsUntil(counts.ip_last_failure, LIMITS.LOCKOUT_MINUTES);
+        if (wait > 0) {
+            return { allowed: false, reason: 'ip_locked', retryAfterSeconds: wait };
+        }
+    }
+
+    if (key && parseInt(counts.key_failures, 10) >= LIMITS.QUOTE_MAX_FAILURES) {
+        const wait = secondsUntil(counts.key_last_failure, LIMITS.LOCKOUT_MINUTES);
+        if (wait > 0) {
+            return { allowed: false, reason: scope.lockedReason, retryAfterSeconds: wait };
+        }
+    }
+
+    // Progressive delay: failures from this IP on this quote (or username) since its last successful login
+    const delayQuery = `
+        SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+        FROM ${table}
+        WHERE NOT success
+          AND ip = $2
+          AND ${keyColumn} IS NOT DISTINCT FROM $1
+          AND created_at > NOW() - make_interval(mins => $3)
+          AND created_at > COALESCE((
+              SELECT MAX(created_at) FROM ${table}
+              WHERE success AND ip = $2 AND ${keyColumn} IS NOT DISTINCT FROM $1
+          ), '-infinity');
+    `;
+    const { rows: [recent] } = await client.query(delayQuery, [key, ip, LIMITS.WINDOW_MINUTES]);
+    const extraFailures = parseInt(recent.failures, 10) - LIMITS.FREE_FAILURES;
+    if (extraFailures >= 0) {
+        const delaySeconds = Math.min(2 ** extraFailures, LIMITS.MAX_DELAY_SECONDS);
+        const wait = secondsUntil(recent.last_failure, delaySeconds / 60);
+        if (wait > 0) {
+            return { allowed: false, reason: 'delay', retryAfterSeconds: wait };
+        }
+    }
+
+    return { allowed: true, reason: null, retryAfterSeconds: 0 };
+}
+
+/**
+ * Checks whether a request may go ahead, without recording an attempt (e.g., asking for a new
+ * login code). Use beginAttempt() for the login itself.
+ * @param {string|null} quoteId - The UUID of the quote (null if the short ID was not found).
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<{allowed: boolean, reason: string|null, retryAfterSeconds: number}>} Whether the
+ *   attempt is allowed; if not, why ('ip_locked', 'quote_locked' or 'delay'; 'user_locked' for a
+ *   staff login) and how long to wait.
+ */
+async function checkAllowed(quoteId, ip) {
+    const client = await pool.connect();
+    try {
+        return await _checkLimits(client, SCOPES.customer, quoteId, ip);
+    } catch (error) {
+        logger.error('Error checking customer login throttle', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Starts a login attempt: checks the limits and, if the attempt may go ahead, records it as a
+ * failure until recordAttempt() gives its outcome. Parallel attempts from the same IP or on the
+ * same quote are checked one at a time, so each one counts against the next.
+ * @param {object} attempt - The attempt.
+ * @param {string|null} attempt.quoteId - The UUID of the quote (null if the short ID was not found).
+ * @param {string} attempt.shortId - The short ID that was used.
+ * @param {string} attempt.ip - The client IP address.
+ * @returns {Promise<{allowed: boolean, reason: string|null, retryAfterSeconds: number, attemptId: (string|null)}>}
+ *   As for checkAllowed(), with the ID of the recorded attempt if it is allowed.
+ */
+async function beginAttempt({ quoteId, shortId, ip }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await _lockAttempts(client, SCOPES.customer, quoteId, ip);
+
+        const result = await _checkLimits(client, SCOPES.customer, quoteId, ip);
+        let attemptId = null;
+        if (result.allowed) {
+            const { rows: [attempt] } = await client.query(
+                `INSERT INTO customer_login_attempts (quote_id, short_id, ip, success, reason)
+                 VALUES ($1, $2, $3, FALSE, 'pending')
+                 RETURNING id`,
+                [quoteId, shortId, ip]
+            );
+            attemptId = attempt.id;
+        }
+
+        await client.query('COMMIT');
+        return { ...result, attemptId: attemptId };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error starting customer login attempt', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Starts a staff login attempt, as beginAttempt() does for a customer login. Attempts are counted
+ * per username (whether or not an account has it) and per IP.
+ * @param {object} attempt - The attempt.
+ * @param {string} attempt.username - The submitted username.
+ * @param {string} attempt.ip - The client IP address.
+ * @returns {Promise<{allowed: boolean, reason: string|null, retryAfterSeconds: number, attemptId: (string|null)}>}
+ *   As for beginAttempt().
+ */
+async function beginStaffAttempt({ username, ip }) {
+    const key = _staffKey(username);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await _lockAttempts(client, SCOPES.staff, key, ip);
+
+        const result = await _checkLimits(client, SCOPES.staff, key, ip);
+        let attemptId = null;
+        if (result.allowed) {
+            const { rows: [attempt] } = await client.query(
+                `INSERT INTO staff_login_attempts (username, ip, success, reason)
+                 VALUES ($1, $2, FALSE, 'pending')
+                 RETURNING id`,
+                [key, ip]
+            );
+            attemptId = attempt.id;
+        }
+
+        await client.query('COMMIT');
+        return { ...result, attemptId: attemptId };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error starting staff login attempt', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Records the outcome of a staff login attempt started by beginStaffAttempt().
+ * @param {object} attempt - The attempt.
+ * @param {string} attempt.attemptId - The ID returned by beginStaffAttempt().
+ * @param {boolean} attempt.success - Whether the login succeeded.
+ * @param {string} [attempt.reason] - Why it failed (e.g., 'invalid_credentials').
+ * @returns {Promise<void>}
+ */
+async function recordStaffAttempt({ attemptId, success, reason = null }) {
+    const client = await pool.connect();
+    try {
+        await client.query(
+            'UPDATE staff_login_attempts SET success = $2, reason = $3 WHERE id = $1',
+            [attemptId, success, success ? null : reason]
+        );
+    } catch (error) {
+        logger.error('Error recording staff login attempt', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Returns the message shown to a customer (or staff user) whose attempt was refused.
+ * @param {{reason: string, retryAfterSeconds: number}} result - The checkAllowed() result.
+ * @returns {string} The message.
+ */
+function blockedMessage({ reason, retryAfterSeconds }) {
+    if (reason === 'delay') {
+        return `Too many attempts. Please wait ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'} and try again.`;
+    }
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    return `Too many failed attempts. Login is locked for ${minutes} minute${minutes === 1 ? '' : 's'}. Please try again later or contact us.`;
+}
+
+/**
+ * Records the outcome of a login attempt started by beginAttempt().
+ * @param {object} attempt - The attempt.
+ * @param {string} attempt.attemptId - The ID returned by beginAttempt().
+ * @param {string|null} attempt.quoteId - The UUID of the quote (null if the short ID was not found).
+ * @param {boolean} attempt.success - Whether the login succeeded.
+ * @param {string} [attempt.reason] - Why it failed (e.g., 'invalid_code').
+ * @returns {Promise<{quoteLocked: boolean, failures: number}>} Whether this failure locked the
+ *   quote (true once per lockout, so staff are alerted once), and the quote's failures in the
+ *   current window.
+ */
+async function recordAttempt({ attemptId, quoteId, success, reason = null }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await _lockAttempts(client, SCOPES.customer, quoteId);
+
+        await client.query(
+            'UPDATE customer_login_attempts SET success = $2, reason = $3 WHERE id = $1',
+            [attemptId, success, success ? null : reason]
+        );
+        if (success || !quoteId) {
+            await client.query('COMMIT');
+            return { quoteLocked: false, failures: 0 };
+        }
+
+        const { rows: [counts] } = await client.query(
+            `SELECT
+                COUNT(*) FILTER (WHERE NOT success) AS failures,
+                BOOL_OR(lockout_alerted) AS alerted
+             FROM customer_login_attempts
+             WHERE quote_id = $1 AND created_at > NOW() - make_interval(mins => $2)`,
+            [quoteId, LIMITS.WINDOW_MINUTES]
+        );
+        const failures = parseInt(counts.failures, 10);
+        const quoteLocked = failures >= LIMITS.QUOTE_MAX_FAILURES && !counts.alerted;
+        if (quoteLocked) {
+            await client.query('UPDATE customer_login_attempts SET lockout_alerted = TRUE WHERE id = $1', [attemptId]);
+        }
+
+        await client.query('COMMIT');
+        return { quoteLocked: quoteLocked, failures: failures };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error recording customer login attempt', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Summarises a quote's failed login attempts for its edit page.
+ * @param {string} quoteId - The UUID of the quote.
+ * @param {number} [limit=20] - The most recent failures to list.
+ * @returns {Promise<{failures: Array<object>, last24Hours: number, lockedUntil: Date|null}>} The recent
+ *   failures (newest first), the count in the last 24 hours, and when the lockout ends if locked.
+ */
+async function getQuoteFailures(quoteId, limit = 20) {
+    const client = await pool.connect();
+    try {
+        const failuresResult = await client.query(
+            `SELECT ip, reason, created_at FROM customer_login_attempts
+             WHERE quote_id = $1 AND NOT success
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [quoteId, limit]
+        );
+        const summaryResult = await client.query(
+            `SELECT
+                COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '24 hours') AS last_24_hours,
+                COUNT(*) FILTER (WHERE created_at > NOW() - make_interval(mins => $2)) AS in_window,
+                MAX(created_at) AS last_failure
+             FROM customer_login_attempts
+             WHERE quote_id = $1 AND NOT success`,
+            [quoteId, LIMITS.WINDOW_MINUTES]
+        );
+        const summary = summaryResult.rows[0];
+
+        let lockedUntil = null;
+        if (parseInt(summary.in_window, 10) >= LIMITS.QUOTE_MAX_FAILURES) {
+            const until = new Date(new Date(summary.last_failure).getTime() + LIMITS.LOCKOUT_MINUTES * 60 * 1000);
+            lockedUntil = until > new Date() ? until : null;
+        }
+
+        return {
+            failures: failuresResult.rows,
+            last24Hours: parseInt(summary.last_24_hours, 10),
+            lockedUntil: lockedUntil,
+        };
+    } catch (error) {
+        logger.error(`Error fetching login failures for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Lists quotes that are being hammered: at least QUOTE_MAX_FAILURES failed logins in the last hour.
+ * @returns {Promise<Array<object>>} The quotes (id, quote_number, failures, last_failure), worst first.
+ */
+async function getQuotesUnderAttack() {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT q.id, q.quote_number, COUNT(*) AS failures, MAX(a.created_at) AS last_failure
+            FROM customer_login_attempts a
+            JOIN quotes q ON q.id = a.quote_id
+            WHERE NOT a.success AND a.created_at > NOW() - INTERVAL '1 hour'
+            GROUP BY q.id, q.quote_number
+            HAVING COUNT(*) >= $1
+            ORDER BY COUNT(*) DESC;
+        `;
+        const result = await client.query(query, [LIMITS.QUOTE_MAX_FAILURES]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error fetching quotes under login attack', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    LIMITS,
+    checkAllowed,
+    beginAttempt,
+    blockedMessage,
+    recordAttempt,
+    beginStaffAttempt,
+    recordStaffAttempt,
+    getQuoteFailures,
+    getQuotesUnderAttack,
+};
@@ -0,0 +1,91 @@
+/**
+ * @file index.js
+ * @description Message sender registry for texts and emails to customers (e.g., login codes
+ * and quote links sent from the edit page, see notificationService.js).
+ *
+ * Each sender module exports `{ name, channels, send({ channel, to, subject, text }) }`, where
+ * `channels` lists what it can deliver ('sms', 'email'). The sender for each channel is chosen
+ * by configuration, so development can log messages instead of sending them.
+ *
+ * SENDERS:
+ * - log        → Writes messages to the server log (sms, email)
+ * - outbox     → Writes messages as JSON files to a local outbox folder (sms, email)
+ * - smtp       → Sends emails through an SMTP server (email)
+ * - smsgateway → Sends texts through an HTTP SMS gateway (sms)
+ *
+ * CONFIGURATION (environment variables):
+ * - SMS_SENDER   → Sender for text messages (default "log")
+ * - EMAIL_SENDER → Sender for emails (default "log")
+ * Each sender's own settings are described in its module.
+ *
+ * NOTE: The log and outbox senders keep message contents (including login codes), so they are
+ * refused when NODE_ENV is "production": both variables must name a real sender there.
+ *
+ * To add a sender, create a module in this folder and register it in SENDERS below.
+ */
+
+const logger = require('../../utils/logger');
+const logSender = require('./logSender');
+const outboxSender = require('./outboxSender');
+const smtpSender = require('./smtpSender');
+const smsGatewaySender = require('./smsGatewaySender');
+
+const SENDERS = {
+  [logSender.name]: logSender,
+  [outboxSender.name]: outboxSender,
+  [smtpSender.name]: smtpSender,
+  [smsGatewaySender.name]: smsGatewaySender
+};
+
+const CHANNEL_CONFIG = {
+  sms: 'SMS_SENDER',
+  email: 'EMAIL_SENDER'
+};
+
+// Senders for development only: they do not deliver messages
+const DEVELOPMENT_SENDERS = [logSender.name, outboxSender.name];
+
+/**
+ * Resolves the configured sender for a channel.
+ * @param {string} channel - 'sms' or 'email'
+ * @returns {object} The sender module
+ * @throws {Error} If the channel is unknown, the configured sender cannot deliver it, or it is a
+ *   development sender in production
+ */
+function getSender(channel) {
+  if (!CHANNEL_CONFIG[channel]) {
+    throw new Error(`Unknown message channel "${channel}".`);
+  }
+
+  const name = (process.env[CHANNEL_CONFIG[channel]] || logSender.name).trim().toLowerCase();
+  const sender = SENDERS[name];
+  if (!sender || !sender.channels.includes(channel)) {
+    throw new Error(`Message sender "${name}" in ${CHANNEL_CONFIG[channel]} cannot send ${channel} messages.`);
+  }
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_SENDERS.includes(name)) {
+    throw new Error(`Message sender "${name}" is for development only. Set ${CHANNEL_CONFIG[channel]} to a sender that delivers ${channel} messages.`);
+  }
+  return sender;
+}
+
+/**
+ * Sends a message through the sender configured for its channel.
+ * @param {object} message - The message
+ * @param {string} message.channel - 'sms' or 'email'
+ * @param {string} message.to - The mobile number or email address
+ * @param {string} [message.subject] - The subject (email only)
+ * @param {string} message.text - The message body
+ * @returns {Promise<{sender: string}>} The sender that delivered the message
+ * @throws {Error} If sending fails
+ */
+async function sendMessage(message) {
+  const sender = getSender(message.channel);
+  await sender.send(message);
+  logger.info(`Sent ${message.channel} message via ${sender.name}`);
+  return { sender: sender.name };
+}
+
+module.exports = {
+  getSender,
+  sendMessage
+};
@@ -0,0 +1,25 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Log-only message sender for local development.
+ * Nothing is delivered: each message (including any login code) is written to the server log,
+ * so flows that send texts or emails can be tested without a gateway or real recipients.
+ * Do not use in production, as message contents end up in the logs.
+ */
+module.exports = {
+  name: 'log',
+  channels: ['sms', 'email'],
+
+  /**
+   * Writes the message to the log.
+   * @param {object} message - The message
+   * @param {string} message.channel - 'sms' or 'email'
+   * @param {string} message.to - The mobile number or email address
+   * @param {string} [message.subject] - The subject (email only)
+   * @param {string} message.text - The message body
+   * @returns {Promise<void>}
+   */
+  async send({ channel, to, subject, text }) {
+    logger.info(`[log sender] ${channel} to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+  }
+};
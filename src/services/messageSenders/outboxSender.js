@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX = path.join(__dirname, '..', '..', '..', 'outbox');
+
+/**
+ * Local outbox sender for development and staging.
+ * Nothing is delivered: each message is written as a JSON file to the outbox folder
+ * (OUTBOX_DIR, or outbox/ in the project root), where it can be opened and checked.
+ * Do not use in production, as message contents (including login codes) are kept on disk.
+ */
+module.exports = {
+  name: 'outbox',
+  channels: ['sms', 'email'],
+
+  /**
+   * Writes the message to a file in the outbox folder.
+   * @param {object} message - The message
+   * @param {string} message.channel - 'sms' or 'email'
+   * @param {string} message.to - The mobile number or email address
+   * @param {string} [message.subject] - The subject (email only)
+   * @param {string} message.text - The message body
+   * @returns {Promise<void>}
+   */
+  async send({ channel, to, subject, text }) {
+    const outbox = process.env.OUTBOX_DIR || DEFAULT_OUTBOX;
+    await fs.promises.mkdir(outbox, { recursive: true });
+
+    const sentAt = new Date().toISOString();
+    const fileName = `${sentAt.replace(/[:.]/g, '-')}-${channel}-${crypto.randomBytes(3).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(outbox, fileName),
+      JSON.stringify({ channel, to, subject: subject || null, text, sentAt }, null, 2)
+    );
+  }
+};
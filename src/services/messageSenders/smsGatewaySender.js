@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+/**
+ * HTTP SMS gateway sender.
+ * POSTs `{ from, to, message }` as JSON to SMS_GATEWAY_URL with the SMS_GATEWAY_API_KEY as a
+ * bearer token, which suits most REST SMS gateways (or a small adapter in front of one).
+ * Requires SMS_GATEWAY_URL and SMS_GATEWAY_API_KEY; SMS_GATEWAY_FROM (the sender ID) and
+ * SMS_GATEWAY_TIMEOUT_MS (default 10000) are optional.
+ */
+module.exports = {
+  name: 'smsgateway',
+  channels: ['sms'],
+
+  /**
+   * Sends the message as a text.
+   * @param {object} message - The message
+   * @param {string} message.to - The mobile number (E.164)
+   * @param {string} message.text - The message body
+   * @returns {Promise<void>}
+   * @throws {Error} If the gateway is not configured or rejects the message
+   */
+  async send({ to, text }) {
+    if (!process.env.SMS_GATEWAY_URL || !process.env.SMS_GATEWAY_API_KEY) {
+      throw new Error('SMS_GATEWAY_URL and SMS_GATEWAY_API_KEY must be set.');
+    }
+    await axios.post(process.env.SMS_GATEWAY_URL, {
+      from: process.env.SMS_GATEWAY_FROM || undefined,
+      to,
+      message: text
+    }, {
+      timeout: parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS, 10) || 10000,
+      headers: { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` }
+    });
+  }
+};
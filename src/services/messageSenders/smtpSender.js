@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Returns the SMTP transport, creating it on first use from the SMTP_* settings.
+ * @returns {object} The nodemailer transport
+ */
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set.');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * SMTP email sender.
+ * Requires SMTP_HOST and EMAIL_FROM; SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+ * SMTP_USER and SMTP_PASSWORD are optional.
+ */
+module.exports = {
+  name: 'smtp',
+  channels: ['email'],
+
+  /**
+   * Sends the message as a plain-text email.
+   * @param {object} message - The message
+   * @param {string} message.to - The email address
+   * @param {string} [message.subject] - The subject
+   * @param {string} message.text - The message body
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text }) {
+    if (!process.env.EMAIL_FROM) {
+      throw new Error('EMAIL_FROM is not set.');
+    }
+    await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM,
+      to,
+      subject: subject || '',
+      text
+    });
+  }
+};
@@ -1,9 +1,16 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
-const { getSpotNormalisationOffset } = require('./settingsService');
+const { getSpotNormalisationOffset, getSpotPriceCacheTtl } = require('./settingsService');
+const spotPriceHistoryService = require('./spotPriceHistoryService');
+const spotPriceProviders = require('./spotPriceProviders');
+const spotPriceOverrideService = require('./spotPriceOverrideService');
 
 const TROY_OUNCE_IN_GRAMS = parseFloat(process.env.TROY_OUNCE_IN_GRAMS) || 31.1035;
 
+/**
+ * The metals priced by the application, as named by the provider and the price history.
+ */
+const METALS = ['gold', 'silver', 'platinum', 'palladium'];
+
 /**
  * Applies the spot normalisation offset to a price
  * @param {number} price - The original price
@@ -17,64 +24,134 @@ function applyNormalisationOffset(price, offsetPercent) {
 /**
  * Calculates ounce prices from gram prices using the troy ounce conversion.
  * This utility function ensures consistent price calculation across the application.
- * @param {object} gramPrices - Object containing gold_gram_nzd and silver_gram_nzd
+ * @param {object} gramPrices - Object containing gold, silver, platinum and palladium gram prices
+ *   (and optionally the `provider` that supplied them and the `manual` flag, which are passed through)
  * @returns {object} Complete price object with both gram and ounce prices
  */
 function calculateAllPrices(gramPrices) {
   return {
+    provider: gramPrices.provider,
+    manual: Boolean(gramPrices.manual),
     gold_gram_nzd: gramPrices.gold_gram_nzd,
     silver_gram_nzd: gramPrices.silver_gram_nzd,
+    platinum_gram_nzd: gramPrices.platinum_gram_nzd,
+    palladium_gram_nzd: gramPrices.palladium_gram_nzd,
     gold_ounce_nzd: gramPrices.gold_gram_nzd * TROY_OUNCE_IN_GRAMS,
-    silver_ounce_nzd: gramPrices.silver_gram_nzd * TROY_OUNCE_IN_GRAMS
+    silver_ounce_nzd: gramPrices.silver_gram_nzd * TROY_OUNCE_IN_GRAMS,
+    platinum_ounce_nzd: gramPrices.platinum_gram_nzd * TROY_OUNCE_IN_GRAMS,
+    palladium_ounce_nzd: gramPrices.palladium_gram_nzd * TROY_OUNCE_IN_GRAMS
   };
 }
 
 /**
- * Fetches the current spot prices for gold and silver in NZD, both per gram and per ounce.
- * Applies the spot normalisation offset from settings.
+ * Applies the normalisation offset to a set of raw per-gram prices.
+ * @param {object} rawPrices - Raw per-gram prices keyed by metal (e.g., { gold: 150.12 })
+ * @param {number} offset - The offset percentage
+ * @returns {object} Normalised per-gram prices keyed by metal
+ */
+function normalisePrices(rawPrices, offset) {
+  const normalised = {};
+  METALS.forEach(metal => {
+    normalised[metal] = applyNormalisationOffset(rawPrices[metal], offset);
+  });
+  return normalised;
+}
+
+/**
+ * Converts per-metal prices into the `<metal>_gram_nzd` shape used across the application.
+ * @param {object} pricesByMetal - Per-gram prices keyed by metal
+ * @returns {object} Prices keyed as gold_gram_nzd, silver_gram_nzd, etc.
+ */
+function toGramPrices(pricesByMetal) {
+  const gramPrices = {};
+  METALS.forEach(metal => {
+    gramPrices[`${metal}_gram_nzd`] = pricesByMetal[metal];
+  });
+  return gramPrices;
+}
+
+/**
+ * Returns raw prices from the price history if a fetch happened within the cache TTL.
+ * Cache errors are logged and treated as a miss so quoting is never blocked by them.
+ * @returns {Promise<{provider: string, rawPrices: object}|null>} The cached fetch, or null on a miss
+ */
+async function getCachedProviderPrices() {
+  try {
+    const ttl = await getSpotPriceCacheTtl();
+    const cached = await spotPriceHistoryService.getCachedFetch(ttl, METALS);
+    if (cached) {
+      logger.info(`Using cached spot prices from ${cached.provider} fetched at ${cached.fetchedAt.toISOString()} (TTL ${ttl}s)`);
+      return cached;
+    }
+  } catch (error) {
+    logger.warn('Spot price cache unavailable, fetching live prices', { error: error.message });
+  }
+  return null;
+}
+
+/**
+ * Fetches the current per-gram spot prices for gold, silver, platinum and palladium in NZD.
+ * While a global manual override is active (see spotPriceOverrideService.js) its prices are
+ * returned as-is, flagged `manual`, and the providers are not called.
+ * Prices fetched within the configured cache TTL are served from the price history;
+ * otherwise the configured providers are tried in priority order (with timeouts, retries and
+ * failover, see spotPriceProviders/index.js) and the fetch is recorded in the history.
+ * Applies the spot normalisation offset from settings (always the current offset, even
+ * for cached prices, so offset changes take effect immediately).
+ * Use calculateAllPrices() to derive the per-ounce prices.
  * @returns {Promise<{
  *   gold_gram_nzd: number,
  *   silver_gram_nzd: number,
- *   gold_ounce_nzd: number,
- *   silver_ounce_nzd: number
- * }>} The spot prices with offset applied.
+ *   platinum_gram_nzd: number,
+ *   palladium_gram_nzd: number,
+ *   provider: string,
+ *   manual: boolean
+ * }>} The spot prices with offset applied, and the provider that supplied them.
  */
 async function getSpotPrices() {
   try {
-    logger.info('Fetching live spot prices from metals.dev...');
-    const response = await axios.get('https://api.metals.dev/v1/latest', {
-      params: {
-        api_key: process.env.SPOT_PRICE_API_KEY,
-        currency: 'NZD',
-        unit: 'g'
-      }
-    });
+    const override = await spotPriceOverrideService.getActiveOverride();
+    if (override) {
+      logger.info(`Using manual spot price override set at ${override.set_at} (expires ${override.expires_at})`);
+      const prices = {};
+      METALS.forEach(metal => {
+        prices[`${metal}_gram_nzd`] = Number(override[`${metal}_gram_nzd`]);
+      });
+      return { ...prices, provider: spotPriceOverrideService.MANUAL_PROVIDER, manual: true };
+    }
 
-    const rates = response.data.metals;
-    
     // Get the normalisation offset
     const offset = await getSpotNormalisationOffset();
+
+    const cached = await getCachedProviderPrices();
+    if (cached) {
+      return { ...toGramPrices(normalisePrices(cached.rawPrices, offset)), provider: cached.provider, manual: false };
+    }
+
+    const { provider, rawPrices } = await spotPriceProviders.fetchWithFailover(METALS);
     logger.info(`Applying spot normalisation offset: ${offset}%`);
-    
-    // Apply offset to prices
-    const prices = {
-      gold_gram_nzd: applyNormalisationOffset(rates.gold, offset),
-      silver_gram_nzd: applyNormalisationOffset(rates.silver, offset),
-    };
+    const normalised = normalisePrices(rawPrices, offset);
+
+    // Record the fetch. A failure here must not block quoting.
+    try {
+      await spotPriceHistoryService.recordFetch(provider, rawPrices, offset, normalised);
+    } catch (error) {
+      logger.warn('Failed to record spot price fetch in history', { error: error.message });
+    }
 
+    const prices = { ...toGramPrices(normalised), provider, manual: false };
     logger.info('Successfully fetched and normalized gram spot prices', prices);
     return prices;
 
   } catch (error) {
-    logger.error('Error fetching live spot prices', { 
-      error: error.response ? error.response.data : error.message 
-    });
+    logger.error('Error fetching live spot prices', { error: error.message });
     // Critical: Do not return fallback data. Let the error propagate.
     throw new Error('Failed to fetch live spot prices.');
   }
 }
 
 module.exports = {
+  METALS,
   getSpotPrices,
   calculateAllPrices
 };
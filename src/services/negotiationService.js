@@ -0,0 +1,286 @@
+/**
+ * @file negotiationService.js
+ * @description This service keeps the negotiation thread on a quote. From the quote page the
+ * customer can make a counter-offer, for the whole quote or per item, with a message. Staff reply
+ * from the edit page with a message and/or revised item percents, which reprice the quote (and
+ * record a revision) so the customer can accept the new price.
+ *
+ * The customer's first offer or message moves the quote to 'negotiating' (see quoteStatusService);
+ * offers are only taken while the quote is open to the customer.
+ *
+ * The thread is stored in quote_negotiation_messages, oldest first. A quote is "awaiting staff
+ * reply" while its latest messages are from the customer; those quotes are listed on the
+ * dashboard, and flagged once they have waited longer than STALE_AFTER_HOURS.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const quoteService = require('./quoteService');
+const quoteStatusService = require('./quoteStatusService');
+
+/**
+ * The longest message either side can post.
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * How many customer messages in a row are accepted before the customer has to wait for a reply.
+ */
+const MAX_UNANSWERED_CUSTOMER_MESSAGES = 5;
+
+/**
+ * How long a quote can wait for a staff reply before the dashboard flags it.
+ */
+const STALE_AFTER_HOURS = 24;
+
+/**
+ * Why a message was refused, with the message shown to the customer or staff user.
+ */
+const NEGOTIATION_ERRORS = {
+    not_active: 'This quote is no longer open for offers.',
+    empty: 'Please enter an offer or a message.',
+    invalid_offer: 'Please enter offers as amounts in dollars, e.g. 1250.00.',
+    offer_both: 'Please make an offer for the whole quote or for individual items, not both.',
+    message_too_long: `Please keep your message to ${MAX_MESSAGE_LENGTH} characters or less.`,
+    too_many: 'We have not replied to your last messages yet. Please wait for our reply before sending another.',
+    invalid_percent: 'Percents must be numbers between 0 and 100.',
+};
+
+/**
+ * Parses an amount entered by the customer (e.g., "$1,250.50").
+ * @param {*} value - The form value.
+ * @returns {number|null|undefined} The amount rounded to cents, null if left blank, or
+ *   undefined if it is not a positive amount.
+ */
+function _parseAmount(value) {
+    const text = String(value === undefined || value === null ? '' : value).replace(/[$,\s]/g, '');
+    if (text === '') {
+        return null;
+    }
+    const amount = Number(text);
+    if (!Number.isFinite(amount) || amount <= 0 || amount >= 1e10) {
+        return undefined;
+    }
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Inserts a message into a quote's thread.
+ * @param {object} entry - The message columns.
+ * @returns {Promise<object>} The stored message.
+ */
+async function _insertMessage(entry) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            INSERT INTO quote_negotiation_messages
+                (quote_id, author, staff_username, message, offer_total, item_offers, revised_items, quote_total)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *;
+        `;
+        const values = [
+            entry.quoteId,
+            entry.author,
+            entry.staffUsername || null,
+            entry.message || null,
+            entry.offerTotal === undefined ? null : entry.offerTotal,
+            entry.itemOffers ? JSON.stringify(entry.itemOffers) : null,
+            entry.revisedItems ? JSON.stringify(entry.revisedItems) : null,
+            entry.quoteTotal,
+        ];
+        const result = await client.query(query, values);
+        return result.rows[0];
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Gets a quote's negotiation thread, oldest first.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<Array<object>>} The messages.
+ */
+async function getThread(quoteId) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            'SELECT * FROM quote_negotiation_messages WHERE quote_id = $1 ORDER BY created_at, id',
+            [quoteId]
+        );
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching the negotiation thread for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Adds a counter-offer and/or message from the customer to a quote's thread.
+ * @param {object} quoteData - The quote and its items, as returned by quoteService.
+ * @param {object} offer - What the customer entered.
+ * @param {string} [offer.offerTotal] - Their offer for the whole quote.
+ * @param {object} [offer.itemOffers] - Their offer for individual items, keyed by item ID.
+ * @param {string} [offer.message] - Their message.
+ * @returns {Promise<{entry: object|null, error: string|null}>} The stored message, or a
+ *   NEGOTIATION_ERRORS key.
+ */
+async function addCustomerOffer({ quote, items }, { offerTotal, itemOffers, message }) {
+    const text = String(message || '').trim();
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return { entry: null, error: 'message_too_long' };
+    }
+
+    const total = _parseAmount(offerTotal);
+    if (total === undefined) {
+        return { entry: null, error: 'invalid_offer' };
+    }
+
+    // Only the quote's current items can be offered on; blank ones are skipped
+    const enteredOffers = itemOffers && typeof itemOffers === 'object' ? itemOffers : {};
+    const itemTotals = (quote.totals && quote.totals.items) || [];
+    const offers = [];
+    for (const item of items) {
+        const amount = _parseAmount(enteredOffers[item.id]);
+        if (amount === undefined) {
+            return { entry: null, error: 'invalid_offer' };
+        }
+        if (amount !== null) {
+            const itemTotal = itemTotals.find(t => t.itemId === item.id) || {};
+            offers.push({ itemId: item.id, itemName: item.item_name, quotedTotal: Number(itemTotal.total) || 0, total: amount });
+        }
+    }
+
+    if (total !== null && offers.length > 0) {
+        return { entry: null, error: 'offer_both' };
+    }
+    if (total === null && offers.length === 0 && !text) {
+        return { entry: null, error: 'empty' };
+    }
+    if (!quoteStatusService.isOpenToCustomer(quote.status)) {
+        return { entry: null, error: 'not_active' };
+    }
+
+    const recent = await pool.query(
+        'SELECT author FROM quote_negotiation_messages WHERE quote_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+        [quote.id, MAX_UNANSWERED_CUSTOMER_MESSAGES]
+    );
+    if (recent.rows.length === MAX_UNANSWERED_CUSTOMER_MESSAGES && recent.rows.every(row => row.author === 'customer')) {
+        return { entry: null, error: 'too_many' };
+    }
+
+    const entry = await _insertMessage({
+        quoteId: quote.id,
+        author: 'customer',
+        message: text,
+        offerTotal: total,
+        itemOffers: offers.length > 0 ? offers : null,
+        quoteTotal: Number(quote.totals && quote.totals.grandTotal) || 0,
+    });
+    if (quote.status !== 'negotiating') {
+        await quoteService.updateQuoteStatus(quote.id, 'negotiating', 'customer');
+    }
+    logger.info(`Counter-offer received on quote ${quote.quote_number}.`);
+    return { entry: entry, error: null };
+}
+
+/**
+ * Adds a staff reply to a quote's thread. Revised percents are applied to the quote first (see
+ * quoteService.updateItemPercents), and the reply records which items changed.
+ * @param {object} quoteData - The quote and its items, as returned by quoteService.
+ * @param {object} reply - What the staff user entered.
+ * @param {string} [reply.message] - The message to the customer.
+ * @param {object} [reply.percents] - The percent for each item, keyed by item ID (blank ones are skipped).
+ * @param {string} username - The staff user replying.
+ * @returns {Promise<{entry: object|null, quote: object|null, error: string|null}>} The stored
+ *   message and the quote as it now stands, or a NEGOTIATION_ERRORS key.
+ */
+async function addStaffReply({ quote, items }, { message, percents }, username) {
+    const text = String(message || '').trim();
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return { entry: null, quote: null, error: 'message_too_long' };
+    }
+
+    const enteredPercents = percents && typeof percents === 'object' ? percents : {};
+    const revised = {};
+    for (const item of items) {
+        const value = String(enteredPercents[item.id] === undefined ? '' : enteredPercents[item.id]).trim();
+        if (value === '') {
+            continue;
+        }
+        const percent = Number(value);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+            return { entry: null, quote: null, error: 'invalid_percent' };
+        }
+        revised[item.id] = percent;
+    }
+
+    if (!quoteStatusService.isOpenToCustomer(quote.status)) {
+        return { entry: null, quote: null, error: 'not_active' };
+    }
+
+    let updatedQuote = quote;
+    let changes = [];
+    if (Object.keys(revised).length > 0) {
+        ({ quote: updatedQuote, changes } = await quoteService.updateItemPercents(quote.id, revised, username));
+    }
+    if (changes.length === 0 && !text) {
+        return { entry: null, quote: null, error: 'empty' };
+    }
+
+    const entry = await _insertMessage({
+        quoteId: quote.id,
+        author: 'staff',
+        staffUsername: username,
+        message: text,
+        revisedItems: changes.length > 0 ? changes : null,
+        quoteTotal: Number(updatedQuote.totals && updatedQuote.totals.grandTotal) || 0,
+    });
+    logger.info(`Staff user ${username} replied to the negotiation on quote ${quote.quote_number}.`);
+    return { entry: entry, quote: updatedQuote, error: null };
+}
+
+/**
+ * Lists the open quotes awaiting a staff reply (the customer posted last), longest waiting first.
+ * @returns {Promise<Array<object>>} The quotes, with `awaiting_since` (the first unanswered
+ *   customer message), `unanswered` (how many) and `stale` (waiting over STALE_AFTER_HOURS).
+ */
+async function getAwaitingReply() {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT
+                q.id, q.quote_number, q.customer_first_name, q.customer_surname,
+                MIN(m.created_at) AS awaiting_since,
+                COUNT(*)::int AS unanswered,
+                MIN(m.created_at) < NOW() - make_interval(hours => $1) AS stale
+            FROM quotes q
+            JOIN quote_negotiation_messages m ON m.quote_id = q.id AND m.author = 'customer'
+            WHERE q.status = ANY($2::text[])
+              AND m.created_at > COALESCE(
+                  (SELECT MAX(s.created_at) FROM quote_negotiation_messages s WHERE s.quote_id = q.id AND s.author = 'staff'),
+                  '-infinity'
+              )
+            GROUP BY q.id
+            ORDER BY awaiting_since;
+        `;
+        const result = await client.query(query, [STALE_AFTER_HOURS, quoteStatusService.CUSTOMER_OPEN_STATUSES]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error fetching quotes awaiting a negotiation reply', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    STALE_AFTER_HOURS,
+    NEGOTIATION_ERRORS,
+    getThread,
+    addCustomerOffer,
+    addStaffReply,
+    getAwaitingReply,
+};
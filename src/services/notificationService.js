@@ -0,0 +1,350 @@
+/**
+ * @file notificationService.js
+ * @description This service sends a quote's link to the customer by SMS or email, either from
+ * the quote edit page or as an automatic reminder (see reminderService.js), and keeps a log of
+ * every send (successful or not) against the quote.
+ *
+ * Messages are written from editable templates (stored in the settings table, with built-in
+ * defaults) by filling in merge fields such as {{name}} and {{link}}. Staff can adjust the
+ * message before sending. Delivery goes through the pluggable message senders
+ * (see messageSenders/index.js), so the SMS gateway, SMTP server or a local outbox can be used.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const settingsService = require('./settingsService');
+const { sendMessage } = require('./messageSenders');
+const { normaliseMobile } = require('../shared/phone');
+
+/**
+ * The merge fields available in templates, with their descriptions (shown to staff).
+ */
+const MERGE_FIELDS = {
+    firstName: "Customer's first name (or \"there\" if not known)",
+    name: "Customer's full name (or \"there\" if not known)",
+    quoteNumber: 'Quote number, e.g. SBQ-000123',
+    link: 'Link for the customer to view the quote',
+    expiry: 'Date the quote expires',
+    daysLeft: 'Whole days until the quote expires',
+};
+
+/**
+ * The settings keys holding each template, with the template used when the setting is not set.
+ */
+const TEMPLATES = {
+    sms: {
+        key: 'quote_sms_template',
+        label: 'Quote SMS',
+        default: 'Hi {{firstName}}, your quote {{quoteNumber}} is ready: {{link}} (valid until {{expiry}})',
+    },
+    emailSubject: {
+        key: 'quote_email_subject_template',
+        label: 'Quote email subject',
+        default: 'Your quote {{quoteNumber}}',
+    },
+    email: {
+        key: 'quote_email_template',
+        label: 'Quote email',
+        multiline: true,
+        default: 'Hi {{name}},\n\nThank you for your enquiry. Your quote {{quoteNumber}} is ready to view here:\n{{link}}\n\nThe quote is valid until {{expiry}}. For security, you will be asked for a one-time code sent to your mobile or email.\n\nKind regards',
+    },
+    expirySms: {
+        key: 'expiry_reminder_sms_template',
+        label: 'Expiry reminder SMS',
+        default: 'Hi {{firstName}}, a reminder that your quote {{quoteNumber}} expires on {{expiry}}: {{link}}',
+    },
+    expiryEmailSubject: {
+        key: 'expiry_reminder_email_subject_template',
+        label: 'Expiry reminder email subject',
+        default: 'Your quote {{quoteNumber}} expires soon',
+    },
+    expiryEmail: {
+        key: 'expiry_reminder_email_template',
+        label: 'Expiry reminder email',
+        multiline: true,
+        default: 'Hi {{name}},\n\nA reminder that your quote {{quoteNumber}} expires on {{expiry}} ({{daysLeft}} days left). You can view it here:\n{{link}}\n\nGet in touch if you would like to go ahead or need a new price.\n\nKind regards',
+    },
+    unreadSms: {
+        key: 'unread_reminder_sms_template',
+        label: 'Unread reminder SMS',
+        default: 'Hi {{firstName}}, your quote {{quoteNumber}} is waiting for you: {{link}} (valid until {{expiry}})',
+    },
+    unreadEmailSubject: {
+        key: 'unread_reminder_email_subject_template',
+        label: 'Unread reminder email subject',
+        default: 'Your quote {{quoteNumber}} is waiting for you',
+    },
+    unreadEmail: {
+        key: 'unread_reminder_email_template',
+        label: 'Unread reminder email',
+        multiline: true,
+        default: 'Hi {{name}},\n\nWe sent you quote {{quoteNumber}} but it has not been opened yet. You can view it here:\n{{link}}\n\nThe quote is valid until {{expiry}}.\n\nKind regards',
+    },
+};
+
+/**
+ * The kinds of message sent to customers, with the templates each one uses.
+ * Reminders are recorded with their kind, so each is sent at most once per quote.
+ */
+const MESSAGE_TYPES = {
+    quote: { label: 'Quote', sms: 'sms', emailSubject: 'emailSubject', email: 'email' },
+    expiry_reminder: { label: 'Expiry reminder', sms: 'expirySms', emailSubject: 'expiryEmailSubject', email: 'expiryEmail' },
+    unread_reminder: { label: 'Unread reminder', sms: 'unreadSms', emailSubject: 'unreadEmailSubject', email: 'unreadEmail' },
+};
+
+/**
+ * The longest template or message accepted, in characters.
+ */
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Reads the current templates.
+ * @returns {Promise<object>} The templates keyed by TEMPLATES name (defaults where not set).
+ */
+async function getTemplates() {
+    const templates = {};
+    for (const [name, template] of Object.entries(TEMPLATES)) {
+        const value = await settingsService.getSetting(template.key);
+        templates[name] = value || template.default;
+    }
+    return templates;
+}
+
+/**
+ * Checks templates submitted from the dashboard.
+ * @param {object} input - Templates keyed by TEMPLATES name (e.g., { sms, expiryEmail }).
+ * @returns {{error: string|null, templates: object}} The templates to save (keyed by template name), or an error message.
+ */
+function validateTemplates(input) {
+    const templates = {};
+    for (const [name, template] of Object.entries(TEMPLATES)) {
+        if (input[name] === undefined) {
+            continue;
+        }
+        const value = String(input[name]).trim();
+        if (!value) {
+            return { error: `The "${template.label}" template cannot be empty.`, templates: null };
+        }
+        if (value.length > MAX_MESSAGE_LENGTH) {
+            return { error: `The "${template.label}" template must be at most ${MAX_MESSAGE_LENGTH} characters.`, templates: null };
+        }
+        const unknown = (value.match(/{{\s*(\w+)\s*}}/g) || [])
+            .map(field => field.replace(/[{}\s]/g, ''))
+            .filter(field => !MERGE_FIELDS[field]);
+        if (unknown.length > 0) {
+            return { error: `Unknown merge field {{${unknown[0]}}} in the "${template.label}" template.`, templates: null };
+        }
+        templates[name] = value;
+    }
+    if (Object.keys(templates).length === 0) {
+        return { error: 'No templates provided.', templates: null };
+    }
+    return { error: null, templates: templates };
+}
+
+/**
+ * Saves templates (already checked with validateTemplates()).
+ * @param {object} templates - Templates keyed by TEMPLATES name.
+ * @returns {Promise<void>}
+ */
+async function saveTemplates(templates) {
+    for (const [name, value] of Object.entries(templates)) {
+        await settingsService.updateSetting(TEMPLATES[name].key, value);
+    }
+}
+
+/**
+ * Works out when a quote expires (its expiry date, which staff can extend; see src/jobs/expireQuotes.js).
+ * @param {object} quote - The quote record.
+ * @returns {Date} The expiry date.
+ */
+function getQuoteExpiry(quote) {
+    return new Date(quote.expires_at);
+}
+
+/**
+ * Works out the merge field values for a quote.
+ * @param {object} quote - The quote record.
+ * @param {string} link - The customer URL of the quote.
+ * @returns {object} The merge field values, keyed by field name.
+ */
+function getMergeFields(quote, link) {
+    const firstName = (quote.customer_first_name || '').trim();
+    const name = [firstName, (quote.customer_surname || '').trim()].filter(Boolean).join(' ');
+    const expiry = getQuoteExpiry(quote);
+    return {
+        firstName: firstName || 'there',
+        name: name || 'there',
+        quoteNumber: quote.quote_number,
+        link: link,
+        expiry: expiry.toLocaleDateString('en-NZ', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Pacific/Auckland' }),
+        daysLeft: Math.max(0, Math.ceil((expiry.getTime() - Date.now()) / (24 * 60 * 60 * 1000))),
+    };
+}
+
+/**
+ * Fills in a template's merge fields. Unknown fields are left as they are.
+ * @param {string} template - The template, e.g. "Hi {{firstName}}".
+ * @param {object} fields - The merge field values (from getMergeFields()).
+ * @returns {string} The message.
+ */
+function renderTemplate(template, fields) {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, field) =>
+        Object.prototype.hasOwnProperty.call(fields, field) ? String(fields[field]) : match
+    );
+}
+
+/**
+ * Returns where a quote can be sent on a channel: the mobile (E.164) or email on file.
+ * @param {object} quote - The quote record.
+ * @param {string} channel - 'sms' or 'email'.
+ * @returns {string|null} The mobile number or email address, or null if there is none.
+ */
+function getRecipient(quote, channel) {
+    if (channel === 'sms') {
+        return normaliseMobile(quote.customer_mobile).e164;
+    }
+    if (channel === 'email') {
+        const email = (quote.customer_email || '').trim();
+        return email.includes('@') ? email : null;
+    }
+    return null;
+}
+
+/**
+ * Builds a message for a quote from the templates.
+ * @param {object} quote - The quote record.
+ * @param {string} link - The customer URL of the quote.
+ * @param {string} type - One of the MESSAGE_TYPES keys (e.g., 'quote').
+ * @param {string} channel - 'sms' or 'email'.
+ * @param {object} templates - The current templates (from getTemplates()).
+ * @returns {{to: string, subject: string|null, text: string}|null} The message, or null if the
+ *   quote has nowhere to send it on that channel.
+ */
+function buildMessage(quote, link, type, channel, templates) {
+    const to = getRecipient(quote, channel);
+    if (!to) {
+        return null;
+    }
+    const fields = getMergeFields(quote, link);
+    const names = MESSAGE_TYPES[type];
+    return {
+        to: to,
+        subject: channel === 'email' ? renderTemplate(templates[names.emailSubject], fields) : null,
+        text: renderTemplate(templates[names[channel]], fields),
+    };
+}
+
+/**
+ * Builds the messages for the edit page's send dialogs from the current templates.
+ * @param {object} quote - The quote record.
+ * @param {string} link - The customer URL of the quote.
+ * @returns {Promise<{sms: object|null, email: object|null}>} For each channel, the recipient and
+ *   message ({ to, subject, text }), or null if the quote has nowhere to send it.
+ */
+async function buildDrafts(quote, link) {
+    const templates = await getTemplates();
+    return {
+        sms: buildMessage(quote, link, 'quote', 'sms', templates),
+        email: buildMessage(quote, link, 'quote', 'email', templates),
+    };
+}
+
+/**
+ * Sends a quote to the customer and logs the send against the quote.
+ * @param {object} quote - The quote record.
+ * @param {object} message - The message.
+ * @param {string} message.channel - 'sms' or 'email'.
+ * @param {string} [message.subject] - The subject (email only).
+ * @param {string} message.text - The message, as edited by staff.
+ * @param {string} sentBy - The staff username ('system' for automatic reminders).
+ * @param {object} [options] - Options.
+ * @param {string} [options.reminderType] - The MESSAGE_TYPES key if this is a reminder.
+ * @returns {Promise<{success: boolean, error: string|null, message: object|null}>} The logged message,
+ *   or an error for staff. A failed delivery is logged too.
+ */
+async function sendQuote(quote, { channel, subject, text }, sentBy, { reminderType = null } = {}) {
+    const to = getRecipient(quote, channel);
+    if (!to) {
+        return {
+            success: false,
+            error: channel === 'sms' ? 'This quote has no valid mobile number.' : channel === 'email' ? 'This quote has no email address.' : 'Unknown channel.',
+            message: null,
+        };
+    }
+    const body = String(text || '').trim();
+    if (!body || body.length > MAX_MESSAGE_LENGTH) {
+        return { success: false, error: `The message must be between 1 and ${MAX_MESSAGE_LENGTH} characters.`, message: null };
+    }
+    const emailSubject = channel === 'email' ? String(subject || '').trim() || `Your quote ${quote.quote_number}` : null;
+
+    let status = 'sent';
+    let sender = null;
+    let sendError = null;
+    try {
+        ({ sender } = await sendMessage({ channel: channel, to: to, subject: emailSubject, text: body }));
+    } catch (error) {
+        status = 'failed';
+        sendError = error.message;
+        logger.error(`Error sending quote ${quote.quote_number} by ${channel}`, { error: error.message });
+    }
+
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            `INSERT INTO quote_messages (quote_id, channel, recipient, subject, body, status, sender, error, sent_by, reminder_type)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [quote.id, channel, to, emailSubject, body, status, sender, sendError, sentBy, reminderType]
+        );
+        return {
+            success: status === 'sent',
+            error: status === 'sent' ? null : 'The message could not be sent. Please try again or contact the customer directly.',
+            message: result.rows[0],
+        };
+    } catch (error) {
+        logger.error(`Error logging ${channel} message for quote ${quote.id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Lists the messages sent for a quote, newest first.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<Array<object>>} The logged messages.
+ */
+async function getQuoteMessages(quoteId) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            'SELECT * FROM quote_messages WHERE quote_id = $1 ORDER BY created_at DESC, id DESC',
+            [quoteId]
+        );
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching messages for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    MERGE_FIELDS,
+    TEMPLATES,
+    MESSAGE_TYPES,
+    MAX_MESSAGE_LENGTH,
+    getTemplates,
+    validateTemplates,
+    saveTemplates,
+    getQuoteExpiry,
+    getMergeFields,
+    renderTemplate,
+    getRecipient,
+    buildMessage,
+    buildDrafts,
+    sendQuote,
+    getQuoteMessages,
+};
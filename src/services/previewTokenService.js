@@ -0,0 +1,89 @@
+/**
+ * @file previewTokenService.js
+ * @description This service creates and checks the signed links staff use to preview a quote
+ * as the customer sees it. A token names one quote and the staff user who asked for it, expires
+ * after a few minutes, and is signed with a server-side secret, so no password ever appears in
+ * the URL. A token only opens the read-only preview: it does not log anyone in to the quote and
+ * does not mark the quote as viewed by the customer.
+ *
+ * CONFIGURATION (environment variables):
+ * - PREVIEW_LINK_SECRET        → The signing secret (falls back to SESSION_SECRET)
+ * - PREVIEW_LINK_TTL_MINUTES   → How long a preview link works (default 10)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Returns the signing secret (the same development fallback as the session secret in server.js).
+ * @returns {string} The secret.
+ */
+function _secret() {
+    return process.env.PREVIEW_LINK_SECRET || process.env.SESSION_SECRET || 'a_default_secret_for_development';
+}
+
+/**
+ * Signs an encoded payload.
+ * @param {string} payload - The base64url-encoded payload.
+ * @returns {string} The base64url HMAC-SHA256 signature.
+ */
+function _sign(payload) {
+    return crypto.createHmac('sha256', _secret()).update(payload).digest('base64url');
+}
+
+/**
+ * Returns how long a preview link works, in minutes.
+ * @returns {number} The configured lifetime.
+ */
+function getTtlMinutes() {
+    const value = parseInt(process.env.PREVIEW_LINK_TTL_MINUTES, 10);
+    return value > 0 ? value : 10;
+}
+
+/**
+ * Creates a preview token for a quote.
+ * @param {string} quoteId - The UUID of the quote.
+ * @param {string} username - The staff user creating the link.
+ * @returns {{token: string, expiresAt: Date}} The token and when it stops working.
+ */
+function createToken(quoteId, username) {
+    const expiresAt = new Date(Date.now() + getTtlMinutes() * 60 * 1000);
+    const payload = Buffer.from(JSON.stringify({ q: quoteId, u: username, exp: expiresAt.getTime() })).toString('base64url');
+    return { token: `${payload}.${_sign(payload)}`, expiresAt: expiresAt };
+}
+
+/**
+ * Checks a preview token.
+ * @param {string} token - The token from the preview link.
+ * @param {string} quoteId - The UUID of the quote being previewed.
+ * @returns {{username: string, expiresAt: Date}|null} Who created the link and when it expires, or
+ *   null if the token is malformed, tampered with, expired or for another quote.
+ */
+function verifyToken(token, quoteId) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(_sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (claims.q !== quoteId || !(claims.exp > Date.now())) {
+        return null;
+    }
+    return { username: claims.u, expiresAt: new Date(claims.exp) };
+}
+
+module.exports = {
+    getTtlMinutes,
+    createToken,
+    verifyToken,
+};
@@ -0,0 +1,186 @@
+/**
+ * @file productService.js
+ * @description This service handles all database operations for the product catalogue.
+ * Products describe the coins and bars staff regularly quote (e.g., 1 oz bar, Sovereign,
+ * Krugerrand) so their weight, purity and default margin are a data change managed from
+ * /admin/products rather than hard-coded in templates.
+ *
+ * A product without a metal type is a generic size (e.g., "1 oz") that can be used for any metal.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const pricing = require('../shared/pricing');
+
+/**
+ * Converts form input into the values stored on a product record.
+ * The fine weight is always derived from the gross weight and purity.
+ * @param {object} details - The product details from the admin form.
+ * @returns {object} The normalised product values.
+ */
+function _normaliseProductDetails(details) {
+    const grossWeight = pricing.roundWeight(parseFloat(details.grossWeight) || 0);
+    const purity = details.purity || 'fine';
+    const defaultPercent = parseFloat(details.defaultPercent);
+
+    return {
+        name: (details.name || '').trim(),
+        metalType: details.metalType || null,
+        grossWeight: grossWeight,
+        purity: purity,
+        fineWeight: pricing.calculateFineWeight(grossWeight, purity),
+        defaultPercent: isNaN(defaultPercent) ? null : defaultPercent,
+        imageUrl: (details.imageUrl || '').trim() || null,
+        sortOrder: parseInt(details.sortOrder, 10) || 0,
+    };
+}
+
+/**
+ * Retrieves products from the catalogue in display order.
+ * @param {object} [options] - Query options.
+ * @param {boolean} [options.includeInactive=false] - Whether to include deactivated products.
+ * @returns {Promise<Array<object>>} The products.
+ */
+async function getProducts({ includeInactive = false } = {}) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT * FROM products
+            ${includeInactive ? '' : 'WHERE active = TRUE'}
+            ORDER BY sort_order, metal_type NULLS FIRST, fine_weight, name;
+        `;
+        const result = await client.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error fetching products', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Retrieves a single product by its UUID.
+ * @param {string} id - The UUID of the product.
+ * @returns {Promise<object|null>} The product, or null if not found.
+ */
+async function getProductById(id) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT * FROM products WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error fetching product ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Adds a new product to the catalogue.
+ * @param {object} details - The product details from the admin form.
+ * @returns {Promise<object>} The newly created product.
+ */
+async function createProduct(details) {
+    const client = await pool.connect();
+    try {
+        const product = _normaliseProductDetails(details);
+        const query = `
+            INSERT INTO products (name, metal_type, gross_weight, purity, fine_weight, default_percent, image_url, sort_order)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *;
+        `;
+        const values = [
+            product.name,
+            product.metalType,
+            product.grossWeight,
+            product.purity,
+            product.fineWeight,
+            product.defaultPercent,
+            product.imageUrl,
+            product.sortOrder,
+        ];
+        const result = await client.query(query, values);
+        logger.info(`Product created: ${product.name}`);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error creating product', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Updates an existing product.
+ * Quotes keep the weight and purity they were saved with; only new selections are affected.
+ * @param {string} id - The UUID of the product.
+ * @param {object} details - The product details from the admin form.
+ * @returns {Promise<object|null>} The updated product, or null if not found.
+ */
+async function updateProduct(id, details) {
+    const client = await pool.connect();
+    try {
+        const product = _normaliseProductDetails(details);
+        const query = `
+            UPDATE products
+            SET
+                name = $1,
+                metal_type = $2,
+                gross_weight = $3,
+                purity = $4,
+                fine_weight = $5,
+                default_percent = $6,
+                image_url = $7,
+                sort_order = $8,
+                updated_at = NOW()
+            WHERE id = $9
+            RETURNING *;
+        `;
+        const values = [
+            product.name,
+            product.metalType,
+            product.grossWeight,
+            product.purity,
+            product.fineWeight,
+            product.defaultPercent,
+            product.imageUrl,
+            product.sortOrder,
+            id,
+        ];
+        const result = await client.query(query, values);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error updating product ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Activates or deactivates a product. Deactivated products are hidden from the item row
+ * but remain resolvable for quotes that already reference them.
+ * @param {string} id - The UUID of the product.
+ * @param {boolean} active - The new active state.
+ */
+async function setProductActive(id, active) {
+    const client = await pool.connect();
+    try {
+        await client.query('UPDATE products SET active = $1, updated_at = NOW() WHERE id = $2', [active, id]);
+    } catch (error) {
+        logger.error(`Error updating active state for product ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    getProducts,
+    getProductById,
+    createProduct,
+    updateProduct,
+    setProductActive,
+};
@@ -0,0 +1,223 @@
+/**
+ * @file quoteRevisionService.js
+ * @description This service stores and compares quote revisions. Every save or price refresh
+ * of a quote records an immutable snapshot of its customer details, items, spot prices and
+ * totals, together with who made the change, so staff can see exactly what a customer was
+ * shown at any point ("the quote said $X last week").
+ *
+ * Revisions are written by quoteService inside the same transaction as the change itself,
+ * and the database rejects any UPDATE to a stored revision.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * The reasons a revision is recorded, with their display labels.
+ */
+const REVISION_REASONS = {
+    created: 'Created',
+    edited: 'Edited',
+    price_refresh: 'Price refresh',
+    manual_price: 'Manual price',
+    accepted: 'Accepted by customer',
+    negotiation: 'Revised in negotiation',
+};
+
+/**
+ * The quote fields compared by diffRevisions(), in display order.
+ */
+const QUOTE_DIFF_FIELDS = [
+    { key: 'customer_first_name', label: 'First Name' },
+    { key: 'customer_surname', label: 'Surname' },
+    { key: 'customer_mobile', label: 'Mobile' },
+    { key: 'customer_email', label: 'Email' },
+    { key: 'zoho_id', label: 'Zoho ID' },
+    { key: 'spot_price_gold_gram_nzd', label: 'Gold (NZD/g)' },
+    { key: 'spot_price_silver_gram_nzd', label: 'Silver (NZD/g)' },
+    { key: 'spot_price_platinum_gram_nzd', label: 'Platinum (NZD/g)' },
+    { key: 'spot_price_palladium_gram_nzd', label: 'Palladium (NZD/g)' },
+    { key: 'spot_price_provider', label: 'Price Source' },
+    { key: 'spot_price_is_manual', label: 'Manual Price' },
+    { key: 'grand_total', label: 'Grand Total' },
+];
+
+/**
+ * The item fields compared by diffRevisions(), in display order.
+ */
+const ITEM_DIFF_FIELDS = [
+    { key: 'item_name', label: 'Name' },
+    { key: 'metal_type', label: 'Metal' },
+    { key: 'product_name', label: 'Product' },
+    { key: 'gross_weight', label: 'Gross Weight (g)' },
+    { key: 'purity', label: 'Purity' },
+    { key: 'weight', label: 'Fine Weight (g)' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'percent', label: 'Percent' },
+    { key: 'total', label: 'Total' },
+];
+
+/**
+ * Builds the snapshot stored for a revision from a quote record and its items.
+ * @param {object} quote - The quote record (with persisted totals).
+ * @param {Array<object>} items - The quote's items (with product names).
+ * @returns {object} The snapshot.
+ */
+function buildSnapshot(quote, items) {
+    const totals = quote.totals || { items: [], grandTotal: 0 };
+    const snapshotQuote = {};
+    QUOTE_DIFF_FIELDS.forEach(({ key }) => {
+        snapshotQuote[key] = quote[key] === undefined ? null : quote[key];
+    });
+    snapshotQuote.grand_total = Number(totals.grandTotal) || 0;
+    snapshotQuote.spot_price_updated_at = quote.spot_price_updated_at;
+    snapshotQuote.status = quote.status;
+
+    return {
+        quote: snapshotQuote,
+        items: items.map(item => {
+            const itemTotal = (totals.items || []).find(t => t.itemId === item.id) || {};
+            return {
+                item_name: item.item_name,
+                metal_type: item.metal_type,
+                product_id: item.product_id || null,
+                product_name: item.product_name || null,
+                gross_weight: item.gross_weight,
+                purity: item.purity,
+                weight: item.weight,
+                quantity: item.quantity,
+                percent: item.percent,
+                total: itemTotal.total === undefined ? null : itemTotal.total,
+            };
+        }),
+        totals: totals,
+    };
+}
+
+/**
+ * Records a new revision for a quote. Must be called with the client of the transaction
+ * that made the change, after the quote's totals have been refreshed.
+ * @param {object} client - The database client to use for the transaction.
+ * @param {string} quoteId - The UUID of the quote.
+ * @param {string} reason - One of the REVISION_REASONS keys.
+ * @param {string|null} actor - Who made the change (e.g., a staff username or 'customer').
+ * @param {object} snapshot - The snapshot from buildSnapshot().
+ * @returns {Promise<object>} The stored revision.
+ */
+async function recordRevision(client, quoteId, reason, actor, snapshot) {
+    const query = `
+        INSERT INTO quote_revisions (quote_id, revision_number, reason, created_by, snapshot)
+        VALUES (
+            $1,
+            (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM quote_revisions WHERE quote_id = $1),
+            $2, $3, $4
+        )
+        RETURNING *;
+    `;
+    const result = await client.query(query, [quoteId, reason, actor || null, JSON.stringify(snapshot)]);
+    return result.rows[0];
+}
+
+/**
+ * Lists a quote's revisions, newest first, without their full snapshots.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<Array<object>>} The revisions with their grand totals.
+ */
+async function getRevisions(quoteId) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT id, revision_number, reason, created_by, created_at,
+                snapshot->'quote'->>'grand_total' AS grand_total
+            FROM quote_revisions
+            WHERE quote_id = $1
+            ORDER BY revision_number DESC;
+        `;
+        const result = await client.query(query, [quoteId]);
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching revisions for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Retrieves a single revision of a quote, including its snapshot.
+ * @param {string} quoteId - The UUID of the quote.
+ * @param {number} revisionNumber - The revision number (1 is the original quote).
+ * @returns {Promise<object|null>} The revision, or null if not found.
+ */
+async function getRevision(quoteId, revisionNumber) {
+    const client = await pool.connect();
+    try {
+        const query = 'SELECT * FROM quote_revisions WHERE quote_id = $1 AND revision_number = $2';
+        const result = await client.query(query, [quoteId, revisionNumber]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error fetching revision ${revisionNumber} for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Normalises a snapshot value for comparison, so "150.5000" and 150.5 compare equal.
+ * @param {*} value - The stored value.
+ * @returns {*} A comparable value.
+ */
+function _comparable(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return typeof value !== 'boolean' && !isNaN(number) ? number : value;
+}
+
+/**
+ * Compares two revisions and lists what changed between them.
+ * Items are compared by position, since every save re-inserts the items.
+ * @param {object} from - The older revision (with snapshot).
+ * @param {object} to - The newer revision (with snapshot).
+ * @returns {{quote: Array<object>, items: Array<object>}} The changed quote fields
+ *   (`{ label, from, to }`) and the changed items (`{ position, change, fields }`, where
+ *   change is 'added', 'removed' or 'changed').
+ */
+function diffRevisions(from, to) {
+    const quoteChanges = QUOTE_DIFF_FIELDS
+        .filter(({ key }) => _comparable(from.snapshot.quote[key]) !== _comparable(to.snapshot.quote[key]))
+        .map(({ key, label }) => ({ label: label, from: from.snapshot.quote[key], to: to.snapshot.quote[key] }));
+
+    const itemChanges = [];
+    const itemCount = Math.max(from.snapshot.items.length, to.snapshot.items.length);
+    for (let i = 0; i < itemCount; i++) {
+        const fromItem = from.snapshot.items[i];
+        const toItem = to.snapshot.items[i];
+        const change = !fromItem ? 'added' : !toItem ? 'removed' : 'changed';
+
+        const fields = ITEM_DIFF_FIELDS
+            .filter(({ key }) => _comparable(fromItem ? fromItem[key] : null) !== _comparable(toItem ? toItem[key] : null))
+            .map(({ key, label }) => ({
+                label: label,
+                from: fromItem ? fromItem[key] : null,
+                to: toItem ? toItem[key] : null,
+            }));
+
+        if (fields.length > 0) {
+            itemChanges.push({ position: i + 1, change: change, fields: fields });
+        }
+    }
+
+    return { quote: quoteChanges, items: itemChanges };
+}
+
+module.exports = {
+    REVISION_REASONS,
+    buildSnapshot,
+    recordRevision,
+    getRevisions,
+    getRevision,
+    diffRevisions,
+};
@@ -9,6 +9,10 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
 const { getSpotPrices, calculateAllPrices } = require('./metalsService');
+const { getPriceLockMinutes, getQuoteValidDays } = require('./settingsService');
+const quoteRevisionService = require('./quoteRevisionService');
+const quoteStatusService = require('./quoteStatusService');
+const pricing = require('../shared/pricing');
 
 // --- PRIVATE HELPER FUNCTIONS ---
 
@@ -46,6 +50,8 @@ async function ensureUniqueShortId() {
 /**
  * A reusable helper function to insert quote items for a given quote.
  * This function first deletes all existing items to ensure a clean slate.
+ * The fine weight stored in `weight` is derived from the gross weight and purity
+ * by the shared pricing engine, so it always matches what the item is priced on.
  * @param {object} client - The database client to use for the transaction.
  * @param {string} quoteId - The UUID of the quote.
  * @param {Array<object>} items - An array of items to insert.
@@ -56,20 +62,23 @@ async function _insertQuoteItems(client, quoteId, items) {
 
     if (items && items.length > 0) {
         const itemInsertQuery = `
-            INSERT INTO quote_items (quote_id, item_name, metal_type, percent, weight, weight_type, quantity)
-            VALUES ($1, $2, $3, $4, $5, $6, $7);
+            INSERT INTO quote_items (quote_id, item_name, metal_type, percent, weight, quantity, gross_weight, purity, product_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9);
         `;
         for (const item of items) {
             // Ensure that only items with a name are inserted.
             if (item.name && item.name.trim() !== '') {
+                const { grossWeight, purity, weight } = pricing.normaliseItem(item);
                 const itemValues = [
                     quoteId,
                     item.name,
                     item.metalType,
                     item.percent || null,
-                    item.weight || null,
-                    item.weightType || null,
-                    item.quantity || 1
+                    weight || null,
+                    item.quantity || 1,
+                    grossWeight || null,
+                    purity,
+                    item.productId || null,
                 ];
                 await client.query(itemInsertQuery, itemValues);
             }
@@ -77,6 +86,150 @@ async function _insertQuoteItems(client, quoteId, items) {
     }
 }
 
+/**
+ * Retrieves the items for a quote, resolving each item's catalogue product (if any)
+ * so views can display `product_name` and `product_image_url` without their own lookups.
+ * @param {object} client - The database client to use.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<Array<object>>} The quote's items.
+ */
+async function _getQuoteItems(client, quoteId) {
+    const itemsQuery = `
+        SELECT qi.*, p.name AS product_name, p.image_url AS product_image_url
+        FROM quote_items qi
+        LEFT JOIN products p ON p.id = qi.product_id
+        WHERE qi.quote_id = $1;
+    `;
+    const itemsResult = await client.query(itemsQuery, [quoteId]);
+    return itemsResult.rows;
+}
+
+/**
+ * Recalculates the totals for a quote from its stored spot prices and items,
+ * and persists the breakdown into the `totals` JSONB column.
+ * Must be called after any change to a quote's items or spot prices.
+ * @param {object} client - The database client to use for the transaction.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<object|null>} The updated quote record, or null if not found.
+ */
+async function _refreshQuoteTotals(client, quoteId) {
+    const quoteResult = await client.query('SELECT * FROM quotes WHERE id = $1', [quoteId]);
+    if (quoteResult.rows.length === 0) {
+        return null;
+    }
+
+    const items = await _getQuoteItems(client, quoteId);
+    const totals = pricing.calculateQuoteTotals(items, pricing.spotPricesFromQuote(quoteResult.rows[0]));
+
+    const result = await client.query(
+        'UPDATE quotes SET totals = $1 WHERE id = $2 RETURNING *',
+        [JSON.stringify(totals), quoteId]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Records an immutable revision of a quote as it now stands (see quoteRevisionService).
+ * Must be called after _refreshQuoteTotals() within the same transaction.
+ * @param {object} client - The database client to use for the transaction.
+ * @param {object} quote - The refreshed quote record.
+ * @param {string} reason - Why the revision was made (e.g., 'edited', 'price_refresh').
+ * @param {string|null} actor - Who made the change.
+ * @returns {Promise<object>} The stored revision.
+ */
+async function _recordRevision(client, quote, reason, actor) {
+    const items = await _getQuoteItems(client, quote.id);
+    const snapshot = quoteRevisionService.buildSnapshot(quote, items);
+    return quoteRevisionService.recordRevision(client, quote.id, reason, actor, snapshot);
+}
+
+/**
+ * The quote columns that hold its spot prices.
+ */
+const SPOT_PRICE_COLUMNS = [
+    'spot_price_gold_gram_nzd', 'spot_price_silver_gram_nzd', 'spot_price_platinum_gram_nzd', 'spot_price_palladium_gram_nzd',
+    'spot_price_gold_ounce_nzd', 'spot_price_silver_ounce_nzd', 'spot_price_platinum_ounce_nzd', 'spot_price_palladium_ounce_nzd',
+    'spot_price_provider', 'spot_price_is_manual',
+];
+
+/**
+ * Checks whether repricing a quote changed its spot prices or totals.
+ * @param {object} before - The quote record before repricing.
+ * @param {object} after - The repriced quote record.
+ * @returns {boolean} True if any spot price, the price source or the totals changed.
+ */
+function _pricesChanged(before, after) {
+    return SPOT_PRICE_COLUMNS.some(column => String(before[column]) !== String(after[column]))
+        || JSON.stringify(before.totals) !== JSON.stringify(after.totals);
+}
+
+/**
+ * Ensures a quote read from the database carries a full totals breakdown.
+ * Quotes saved before totals were persisted only hold a placeholder, so their
+ * breakdown is calculated on the fly (without writing it back).
+ * @param {object} quote - The quote record.
+ * @param {Array<object>} items - The quote's items.
+ * @returns {object} The quote with a complete `totals` value.
+ */
+function _withTotals(quote, items) {
+    if (quote.totals && Array.isArray(quote.totals.items)) {
+        return quote;
+    }
+    return {
+        ...quote,
+        totals: pricing.calculateQuoteTotals(items, pricing.spotPricesFromQuote(quote)),
+    };
+}
+
+/**
+ * Adds the change since tracking started to a live-tracking quote. The current items are
+ * priced at the baseline spot prices (captured when tracking was switched on) and compared
+ * with the current totals, so item edits do not show up as market movement.
+ * @param {object} quote - The quote record, with totals.
+ * @param {Array<object>} items - The quote's items.
+ * @returns {object} The quote, with `tracking_change` if it is tracking.
+ */
+function _withTrackingChange(quote, items) {
+    if (!quote.is_tracking || !quote.tracking_baseline) {
+        return quote;
+    }
+
+    const baselineTotals = pricing.calculateQuoteTotals(items, quote.tracking_baseline);
+    const grandTotal = Number(quote.totals.grandTotal) || 0;
+    const difference = pricing.roundCurrency(grandTotal - baselineTotals.grandTotal);
+
+    return {
+        ...quote,
+        tracking_change: {
+            baselineGrandTotal: baselineTotals.grandTotal,
+            grandTotal: grandTotal,
+            difference: difference,
+            percent: baselineTotals.grandTotal ? pricing.roundCurrency(difference / baselineTotals.grandTotal * 100) : 0,
+            baselinePricedAt: quote.tracking_baseline.priced_at,
+        },
+    };
+}
+
+/**
+ * Checks that a value is a real day written as YYYY-MM-DD. The date is round-tripped, so days
+ * that do not exist (e.g., 2026-02-31) are refused.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if it is a valid day.
+ */
+function _isCalendarDay(value) {
+    const day = new Date(`${value}T00:00:00Z`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && !isNaN(day.getTime()) && day.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Escapes the LIKE wildcards in text searched for, so "%" and "_" match themselves.
+ * @param {string} text - The search text.
+ * @returns {string} The escaped text.
+ */
+function _escapeLike(text) {
+    return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
 
 // --- PUBLIC SERVICE FUNCTIONS ---
 
@@ -120,12 +273,24 @@ async function getNextQuoteNumber() {
  * Creates a new quote and its associated items in the database.
  * @param {object} customerDetails - The customer's information.
  * @param {Array<object>} items - An array of items for the quote.
- * @param {object} spotPrices - The spot prices for gold and silver.
- * @returns {Promise<object>} The newly created quote.
+ * @param {object} spotPrices - The per-gram spot prices for gold, silver, platinum and palladium,
+ *   the `provider` that supplied them and whether they were entered `manual`ly.
+ * @param {object} [options] - Optional quote options.
+ * @param {number} [options.priceLockMinutes] - How long the prices are honoured. Defaults to the
+ *   `price_lock_minutes` setting.
+ * @param {boolean} [options.isTracking=false] - Whether the quote reprices from live spot on each
+ *   customer visit. The creation prices become the tracking baseline.
+ * @param {string} [options.actor] - Who created the quote, recorded on the quote and its first revision.
+ * @param {string} [options.requotedFrom] - The UUID of the quote this one re-quotes (see requoteQuote()).
+ * @returns {Promise<object>} The newly created quote, as a draft (see quoteStatusService), expiring
+ *   after the `quote_valid_days` setting.
  */
-async function createQuote(customerDetails, items, spotPrices) {
+async function createQuote(customerDetails, items, spotPrices, options = {}) {
     const client = await pool.connect();
     try {
+        const priceLockMinutes = options.priceLockMinutes || await getPriceLockMinutes();
+        const validDays = await getQuoteValidDays();
+
         await client.query('BEGIN');
 
         // 1. Generate a unique short ID and the next quote number.
@@ -135,17 +300,17 @@ async function createQuote(customerDetails, items, spotPrices) {
         // 2. Calculate ounce prices from the provided gram prices using utility function.
         const prices = calculateAllPrices(spotPrices);
 
-        // 3. TODO: Calculate totals based on items and spot prices.
-        const totals = { grandTotal: 0 }; // Placeholder for calculation logic.
-
-        // 4. Insert the main quote record into the database.
+        // 3. Insert the main quote record into the database.
         const quoteInsertQuery = `
             INSERT INTO quotes (
                 short_id, quote_number, customer_first_name, customer_surname, customer_mobile, customer_email, zoho_id, 
                 spot_price_gold_gram_nzd, spot_price_silver_gram_nzd, spot_price_gold_ounce_nzd, spot_price_silver_ounce_nzd, 
-                spot_price_updated_at, totals
+                spot_price_platinum_gram_nzd, spot_price_palladium_gram_nzd, spot_price_platinum_ounce_nzd, spot_price_palladium_ounce_nzd,
+                spot_price_provider, spot_price_is_manual, spot_price_updated_at,
+                price_lock_minutes, price_locked_until, is_tracking, tracking_baseline, expires_at, requoted_from, created_by
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), $12)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(),
+                $18, NOW() + make_interval(mins => $18::INTEGER), $19, $20, NOW() + make_interval(days => $21::INTEGER), $22, $23)
             RETURNING *;
         `;
         const quoteValues = [
@@ -160,16 +325,39 @@ async function createQuote(customerDetails, items, spotPrices) {
             prices.silver_gram_nzd,
             prices.gold_ounce_nzd,
             prices.silver_ounce_nzd,
-            JSON.stringify(totals),
+            prices.platinum_gram_nzd,
+            prices.palladium_gram_nzd,
+            prices.platinum_ounce_nzd,
+            prices.palladium_ounce_nzd,
+            prices.provider || null,
+            prices.manual === true,
+            priceLockMinutes,
+            options.isTracking === true,
+            options.isTracking === true ? JSON.stringify({
+                gold_gram_nzd: prices.gold_gram_nzd,
+                silver_gram_nzd: prices.silver_gram_nzd,
+                platinum_gram_nzd: prices.platinum_gram_nzd,
+                palladium_gram_nzd: prices.palladium_gram_nzd,
+                priced_at: new Date().toISOString(),
+            }) : null,
+            validDays,
+            options.requotedFrom || null,
+            options.actor || null,
         ];
         const quoteResult = await client.query(quoteInsertQuery, quoteValues);
         const newQuote = quoteResult.rows[0];
 
-        // 5. Insert the associated quote items using the reusable helper function.
+        // 4. Insert the associated quote items using the reusable helper function.
         await _insertQuoteItems(client, newQuote.id, items);
 
+        // 5. Calculate and persist the totals from the saved items and spot prices.
+        const pricedQuote = await _refreshQuoteTotals(client, newQuote.id);
+
+        // 6. Record the original quote as revision 1.
+        await _recordRevision(client, pricedQuote, 'created', options.actor);
+
         await client.query('COMMIT');
-        return newQuote;
+        return pricedQuote;
     } catch (error) {
         await client.query('ROLLBACK');
         logger.error('Error creating quote', { error });
@@ -188,18 +376,17 @@ async function getQuoteById(id) {
     const client = await pool.connect();
     try {
         const quoteQuery = 'SELECT * FROM quotes WHERE id = $1';
-        const itemsQuery = 'SELECT * FROM quote_items WHERE quote_id = $1';
 
         const quoteResult = await client.query(quoteQuery, [id]);
-        const itemsResult = await client.query(itemsQuery, [id]);
+        const items = await _getQuoteItems(client, id);
 
         if (quoteResult.rows.length === 0) {
             return null;
         }
 
         return {
-            quote: quoteResult.rows[0],
-            items: itemsResult.rows,
+            quote: _withTrackingChange(_withTotals(quoteResult.rows[0], items), items),
+            items: items,
         };
     } catch (error) {
         logger.error(`Error fetching quote by id ${id}`, { error });
@@ -225,12 +412,11 @@ async function getQuoteByShortId(shortId) {
         }
 
         const quote = quoteResult.rows[0];
-        const itemsQuery = 'SELECT * FROM quote_items WHERE quote_id = $1';
-        const itemsResult = await client.query(itemsQuery, [quote.id]);
+        const items = await _getQuoteItems(client, quote.id);
 
         return {
-            quote: quote,
-            items: itemsResult.rows,
+            quote: _withTrackingChange(_withTotals(quote, items), items),
+            items: items,
         };
     } catch (error) {
         logger.error(`Error fetching quote by short_id ${shortId}`, { error });
@@ -241,19 +427,26 @@ async function getQuoteByShortId(shortId) {
 }
 
 /**
- * Updates the spot prices for an existing quote.
+ * Updates the spot prices for an existing quote. The price lock restarts from now. A revision is
+ * recorded only if the spot prices or totals changed (tracking quotes are repriced on every view).
  * @param {string} id - The UUID of the quote to update.
- * @returns {Promise<object>} The updated quote with new prices.
+ * @param {object} [options] - Optional update options.
+ * @param {object} [options.manualPrices] - Validated manual per-gram prices (see spotPriceOverrideService).
+ *   If omitted, the latest spot prices are fetched.
+ * @param {string} [options.actor] - Who refreshed the prices, recorded on the revision.
+ * @returns {Promise<{quote: object, changed: boolean}>} The updated quote with new prices, and
+ *   whether its prices or totals changed.
  */
-async function updateQuotePrices(id) {
+async function updateQuotePrices(id, { manualPrices = null, actor = null } = {}) {
+    // 1. Use the manual prices or fetch the latest spot prices, then calculate ounce prices using utility function.
+    // This is done before taking a client: fetching can be slow and uses pool clients of its own.
+    const gramPrices = manualPrices || await getSpotPrices();
+    const spotPrices = calculateAllPrices(gramPrices);
+
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
 
-        // 1. Fetch the latest spot prices and calculate ounce prices using utility function.
-        const gramPrices = await getSpotPrices();
-        const spotPrices = calculateAllPrices(gramPrices);
-
         // 2. Update the quote with the new prices.
         const updateQuery = `
             UPDATE quotes
@@ -262,8 +455,15 @@ async function updateQuotePrices(id) {
                 spot_price_silver_gram_nzd = $2,
                 spot_price_gold_ounce_nzd = $3,
                 spot_price_silver_ounce_nzd = $4,
-                spot_price_updated_at = NOW()
-            WHERE id = $5
+                spot_price_platinum_gram_nzd = $5,
+                spot_price_palladium_gram_nzd = $6,
+                spot_price_platinum_ounce_nzd = $7,
+                spot_price_palladium_ounce_nzd = $8,
+                spot_price_provider = $9,
+                spot_price_is_manual = $10,
+                spot_price_updated_at = NOW(),
+                price_locked_until = NOW() + make_interval(mins => price_lock_minutes)
+            WHERE id = $11
             RETURNING *;
         `;
         const values = [
@@ -271,17 +471,30 @@ async function updateQuotePrices(id) {
             spotPrices.silver_gram_nzd,
             spotPrices.gold_ounce_nzd,
             spotPrices.silver_ounce_nzd,
+            spotPrices.platinum_gram_nzd,
+            spotPrices.palladium_gram_nzd,
+            spotPrices.platinum_ounce_nzd,
+            spotPrices.palladium_ounce_nzd,
+            spotPrices.provider,
+            spotPrices.manual,
             id,
         ];
 
-        const result = await client.query(updateQuery, values);
-        await client.query('COMMIT');
-
-        if (result.rows.length === 0) {
+        const beforeResult = await client.query('SELECT * FROM quotes WHERE id = $1 FOR UPDATE', [id]);
+        if (beforeResult.rows.length === 0) {
             throw new Error('Quote not found for price update.');
         }
+        await client.query(updateQuery, values);
+
+        // 3. Reprice the items at the new spot prices and record the revision, if anything changed.
+        const pricedQuote = await _refreshQuoteTotals(client, id);
+        const changed = _pricesChanged(beforeResult.rows[0], pricedQuote);
+        if (changed) {
+            await _recordRevision(client, pricedQuote, manualPrices ? 'manual_price' : 'price_refresh', actor);
+        }
+        await client.query('COMMIT');
 
-        return result.rows[0];
+        return { quote: pricedQuote, changed: changed };
     } catch (error) {
         await client.query('ROLLBACK');
         logger.error(`Error updating prices for quote ${id}`, { error });
@@ -296,8 +509,9 @@ async function updateQuotePrices(id) {
  * This is primarily used for auto-saving functionality.
  * @param {string} id - The UUID of the quote.
  * @param {Array<object>} items - The array of items to update.
+ * @param {string} [actor] - Who made the change, recorded on the revision.
  */
-async function updateQuoteItems(id, items) {
+async function updateQuoteItems(id, items, actor = null) {
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
@@ -305,8 +519,9 @@ async function updateQuoteItems(id, items) {
         // 1. Update the items using the reusable helper function.
         await _insertQuoteItems(client, id, items);
         
-        // 2. Touch the updated_at timestamp on the parent quote to reflect the change.
-        await client.query('UPDATE quotes SET updated_at = NOW() WHERE id = $1', [id]);
+        // 2. Recalculate the totals (this also touches updated_at via the trigger) and record the revision.
+        const pricedQuote = await _refreshQuoteTotals(client, id);
+        await _recordRevision(client, pricedQuote, 'edited', actor);
 
         await client.query('COMMIT');
     } catch (error) {
@@ -319,22 +534,48 @@ async function updateQuoteItems(id, items) {
 }
 
 /**
- * Validates if a given credential (mobile or email) matches the quote.
+ * Changes the percent of some of a quote's items, keeping the items themselves (and their IDs),
+ * and records a revision. Used when staff reply to a counter-offer (see negotiationService.js).
  * @param {string} id - The UUID of the quote.
- * @param {string} credential - The customer's mobile number or email.
- * @returns {Promise<boolean>} True if the credential is valid, false otherwise.
+ * @param {object} percents - The new percent for each item to change, keyed by item ID.
+ * @param {string} [actor] - Who made the change, recorded on the revision.
+ * @returns {Promise<{quote: object, changes: Array<{itemId: string, itemName: string, percent: number, previousPercent: number}>}>}
+ *   The repriced quote record and the items whose percent actually changed.
  */
-async function validateCustomerCredential(id, credential) {
+async function updateItemPercents(id, percents, actor = null) {
     const client = await pool.connect();
     try {
-        const query = `
-            SELECT 1 FROM quotes 
-            WHERE id = $1 AND (customer_mobile = $2 OR customer_email = $2)
-        `;
-        const result = await client.query(query, [id, credential]);
-        return result.rows.length > 0;
+        await client.query('BEGIN');
+
+        const items = await _getQuoteItems(client, id);
+        const changes = [];
+        for (const item of items) {
+            if (!Object.prototype.hasOwnProperty.call(percents, item.id)) {
+                continue;
+            }
+            const percent = Number(percents[item.id]);
+            const previousPercent = Number(item.percent) || 0;
+            if (percent === previousPercent) {
+                continue;
+            }
+            await client.query('UPDATE quote_items SET percent = $1 WHERE id = $2 AND quote_id = $3', [percent, item.id, id]);
+            changes.push({ itemId: item.id, itemName: item.item_name, percent: percent, previousPercent: previousPercent });
+        }
+
+        let pricedQuote;
+        if (changes.length > 0) {
+            pricedQuote = await _refreshQuoteTotals(client, id);
+            await _recordRevision(client, pricedQuote, 'negotiation', actor);
+        } else {
+            const result = await client.query('SELECT * FROM quotes WHERE id = $1', [id]);
+            pricedQuote = _withTotals(result.rows[0], items);
+        }
+
+        await client.query('COMMIT');
+        return { quote: pricedQuote, changes: changes };
     } catch (error) {
-        logger.error(`Error validating customer credential for quote ${id}`, { error });
+        await client.query('ROLLBACK');
+        logger.error(`Error updating item percents for quote ${id}`, { error });
         throw error;
     } finally {
         client.release();
@@ -346,8 +587,9 @@ async function validateCustomerCredential(id, credential) {
  * @param {string} id - The UUID of the quote.
  * @param {object} customerDetails - The customer's information.
  * @param {Array<object>} items - An array of items for the quote.
+ * @param {string} [actor] - Who made the change, recorded on the revision.
  */
-async function updateQuoteDetails(id, customerDetails, items) {
+async function updateQuoteDetails(id, customerDetails, items, actor = null) {
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
@@ -377,6 +619,10 @@ async function updateQuoteDetails(id, customerDetails, items) {
         // 2. Update the items using the reusable helper function.
         await _insertQuoteItems(client, id, items);
 
+        // 3. Recalculate the totals for the new set of items and record the revision.
+        const pricedQuote = await _refreshQuoteTotals(client, id);
+        await _recordRevision(client, pricedQuote, 'edited', actor);
+
         await client.query('COMMIT');
     } catch (error) {
         await client.query('ROLLBACK');
@@ -389,21 +635,46 @@ async function updateQuoteDetails(id, customerDetails, items) {
 
 /**
  * Updates the settings for a given quote.
+ * Changing the price lock window moves the lock expiry relative to when the prices were last updated.
+ * Switching tracking on captures the quote's current spot prices as the tracking baseline;
+ * switching it off clears the baseline.
  * @param {string} id - The UUID of the quote.
  * @param {object} settings - The settings to update.
+ * @param {boolean} settings.showQuotedRate - Whether the customer sees each item's rate.
+ * @param {number} [settings.priceLockMinutes] - How long the prices are honoured (unchanged if omitted).
+ * @param {boolean} [settings.isTracking] - Whether the quote reprices on each customer visit (unchanged if omitted).
  */
 async function updateQuoteSettings(id, settings) {
     const client = await pool.connect();
     try {
-        const { showQuotedRate } = settings;
+        const { showQuotedRate, priceLockMinutes, isTracking } = settings;
         const query = `
             UPDATE quotes 
             SET 
                 show_quoted_rate = $1,
+                price_lock_minutes = COALESCE($2, price_lock_minutes),
+                price_locked_until = CASE
+                    WHEN $2::INTEGER IS NULL THEN price_locked_until
+                    ELSE COALESCE(spot_price_updated_at, created_at) + make_interval(mins => $2::INTEGER)
+                END,
+                is_tracking = COALESCE($3, is_tracking),
+                tracking_baseline = CASE
+                    WHEN $3::BOOLEAN IS NULL THEN tracking_baseline
+                    WHEN NOT $3::BOOLEAN THEN NULL
+                    WHEN is_tracking THEN tracking_baseline
+                    ELSE jsonb_build_object(
+                        'gold_gram_nzd', spot_price_gold_gram_nzd,
+                        'silver_gram_nzd', spot_price_silver_gram_nzd,
+                        'platinum_gram_nzd', spot_price_platinum_gram_nzd,
+                        'palladium_gram_nzd', spot_price_palladium_gram_nzd,
+                        'priced_at', COALESCE(spot_price_updated_at, created_at)
+                    )
+                END,
                 updated_at = NOW()
-            WHERE id = $2;
+            WHERE id = $4;
         `;
-        await client.query(query, [showQuotedRate, id]);
+        const trackingValue = typeof isTracking === 'boolean' ? isTracking : null;
+        await client.query(query, [showQuotedRate, priceLockMinutes || null, trackingValue, id]);
     } catch (error) {
         logger.error(`Error updating quote settings for quote ${id}`, { error });
         throw error;
@@ -413,22 +684,30 @@ async function updateQuoteSettings(id, settings) {
 }
 
 /**
- * Updates the status of a given quote.
+ * Moves a quote to a new lifecycle status, if the change is allowed from its current status
+ * (see quoteStatusService.TRANSITIONS). The change is recorded in the status history.
  * @param {string} id - The UUID of the quote.
- * @param {string} status - The new status (e.g., 'active', 'expired').
+ * @param {string} status - The new status.
+ * @param {string} [actor] - Who made the change (staff username, 'customer' or 'system').
+ * @returns {Promise<{quote: object|null, error: string|null}>} The updated quote record, or a
+ *   quoteStatusService.STATUS_ERRORS key if the change is not allowed.
  */
-async function updateQuoteStatus(id, status) {
+async function updateQuoteStatus(id, status, actor = null) {
     const client = await pool.connect();
     try {
-        const query = `
-            UPDATE quotes 
-            SET 
-                status = $1,
-                updated_at = NOW()
-            WHERE id = $2;
-        `;
-        await client.query(query, [status, id]);
+        await client.query('BEGIN');
+
+        const result = await client.query('SELECT * FROM quotes WHERE id = $1 FOR UPDATE', [id]);
+        const quote = result.rows[0] ? await quoteStatusService.applyTransition(client, result.rows[0], status, actor) : null;
+        if (!quote) {
+            await client.query('ROLLBACK');
+            return { quote: null, error: 'not_allowed' };
+        }
+
+        await client.query('COMMIT');
+        return { quote: quote, error: null };
     } catch (error) {
+        await client.query('ROLLBACK');
         logger.error(`Error updating quote status for quote ${id}`, { error });
         throw error;
     } finally {
@@ -436,10 +715,77 @@ async function updateQuoteStatus(id, status) {
     }
 }
 
+/**
+ * How far ahead (in days) staff can move a quote's expiry.
+ */
+const MAX_EXPIRY_DAYS_AHEAD = 365;
+
+/**
+ * Why a quote's expiry could not be extended, with the message shown to staff.
+ */
+const EXPIRY_ERRORS = {
+    not_open: 'Only quotes that have not yet been accepted, declined, expired or cancelled can be extended.',
+    invalid_date: 'Please pick a valid date.',
+    not_later: 'The new expiry date must be later than the current one.',
+    too_far: `The new expiry date must be within ${MAX_EXPIRY_DAYS_AHEAD} days from today.`,
+};
+
+/**
+ * Extends a quote's expiry to the end of the given day (New Zealand time). Only quotes that can
+ * still expire (see quoteStatusService.TRANSITIONS) can be extended, and only to a later date.
+ * @param {string} id - The UUID of the quote.
+ * @param {string} date - The new expiry day, as YYYY-MM-DD.
+ * @returns {Promise<{quote: object|null, previousExpiry: Date|null, error: string|null}>} The
+ *   updated quote record and its previous expiry, or an EXPIRY_ERRORS key.
+ */
+async function extendQuoteExpiry(id, date) {
+    if (!_isCalendarDay(date)) {
+        return { quote: null, previousExpiry: null, error: 'invalid_date' };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [quote] } = await client.query('SELECT * FROM quotes WHERE id = $1 FOR UPDATE', [id]);
+        if (!quote || !quoteStatusService.canTransition(quote.status, 'expired')) {
+            await client.query('ROLLBACK');
+            return { quote: null, previousExpiry: null, error: 'not_open' };
+        }
+
+        // The last second of the chosen day, in New Zealand time
+        const { rows: [{ expires_at: expiresAt }] } = await client.query(
+            "SELECT (($1::date + 1)::timestamp - INTERVAL '1 second') AT TIME ZONE 'Pacific/Auckland' AS expires_at", [date]
+        );
+        let error = null;
+        if (expiresAt <= new Date(quote.expires_at)) {
+            error = 'not_later';
+        } else if (expiresAt > new Date(Date.now() + (MAX_EXPIRY_DAYS_AHEAD + 1) * 24 * 60 * 60 * 1000)) {
+            error = 'too_far';
+        }
+        if (error) {
+            await client.query('ROLLBACK');
+            return { quote: null, previousExpiry: null, error: error };
+        }
+
+        const result = await client.query('UPDATE quotes SET expires_at = $2 WHERE id = $1 RETURNING *', [id, expiresAt]);
+        await client.query('COMMIT');
+        logger.info(`Quote ${quote.quote_number} expiry extended to ${expiresAt.toISOString()}.`);
+        return { quote: result.rows[0], previousExpiry: quote.expires_at, error: null };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Error extending the expiry of quote ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 /**
  * Updates the viewed status of a quote to 'read'.
  * This is triggered when a customer views the quote for the first time.
  * @param {string} id - The UUID of the quote.
+ * @returns {Promise<boolean>} True if this was the first view (the status changed).
  */
 async function updateQuoteViewedStatus(id) {
     const client = await pool.connect();
@@ -451,7 +797,8 @@ async function updateQuoteViewedStatus(id) {
                 customer_viewed_at = NOW()
             WHERE id = $1 AND customer_viewed = 'unread';
         `;
-        await client.query(query, [id]);
+        const result = await client.query(query, [id]);
+        return result.rowCount > 0;
     } catch (error) {
         logger.error(`Error updating quote viewed status for quote ${id}`, { error });
         throw error;
@@ -460,17 +807,518 @@ async function updateQuoteViewedStatus(id) {
     }
 }
 
+/**
+ * Why a customer can decline a quote, with display labels.
+ */
+const DECLINE_REASONS = {
+    price: 'The price is too low',
+    elsewhere: 'Selling elsewhere',
+    keeping: 'Decided to keep my items',
+    later: 'Not ready to sell yet',
+    other: 'Other',
+};
+
+/**
+ * The longest comment a customer can add when declining.
+ */
+const MAX_DECLINE_COMMENT_LENGTH = 500;
+
+/**
+ * Why an accept or decline was refused, with the message shown to the customer.
+ */
+const RESPONSE_ERRORS = {
+    not_active: 'This quote can no longer be accepted or declined.',
+    price_expired: 'These prices are no longer guaranteed, so the quote cannot be accepted online. Please contact us to refresh your price.',
+    price_changed: 'The price has changed since you opened this page. Please check the new price and try again.',
+    invalid_reason: 'Please choose a reason for declining.',
+    comment_required: 'Please tell us a little more about why you are declining.',
+    comment_too_long: `Please keep your comment to ${MAX_DECLINE_COMMENT_LENGTH} characters or less.`,
+};
+
+/**
+ * Locks a quote row for a customer response and checks the quote can still be responded to.
+ * Must be called within a transaction.
+ * @param {object} client - The database client to use for the transaction.
+ * @param {string} id - The UUID of the quote.
+ * @returns {Promise<{quote: object|null, error: string|null}>} The quote, or a RESPONSE_ERRORS key.
+ */
+async function _lockForResponse(client, id) {
+    const result = await client.query('SELECT * FROM quotes WHERE id = $1 FOR UPDATE', [id]);
+    const quote = result.rows[0];
+    if (!quote || !quoteStatusService.isOpenToCustomer(quote.status)) {
+        return { quote: null, error: 'not_active' };
+    }
+    return { quote: quote, error: null };
+}
+
+/**
+ * Accepts a quote on behalf of the customer at the price they were shown. The spot prices and
+ * totals are copied to `agreed_price`, so later price refreshes do not change what was agreed,
+ * and a revision is recorded.
+ * @param {string} id - The UUID of the quote.
+ * @param {object} shown - What the customer saw.
+ * @param {string|number} shown.grandTotal - The grand total shown on the page.
+ * @returns {Promise<{quote: object|null, error: string|null}>} The accepted quote record, or a
+ *   RESPONSE_ERRORS key if the quote is not active, its price lock has expired, or the price
+ *   has changed since the page was shown.
+ */
+async function acceptQuote(id, { grandTotal }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { quote, error } = await _lockForResponse(client, id);
+        let failure = error;
+        let items = [];
+        let pricedQuote = null;
+        if (!failure) {
+            items = await _getQuoteItems(client, id);
+            pricedQuote = _withTotals(quote, items);
+            if (quote.price_locked_until && new Date(quote.price_locked_until) <= new Date()) {
+                failure = 'price_expired';
+            } else if (Number(grandTotal).toFixed(2) !== Number(pricedQuote.totals.grandTotal).toFixed(2)) {
+                failure = 'price_changed';
+            }
+        }
+        if (failure) {
+            await client.query('ROLLBACK');
+            return { quote: null, error: failure };
+        }
+
+        const agreedPrice = {
+            spotPrices: {
+                ...pricing.spotPricesFromQuote(quote),
+                gold_ounce_nzd: Number(quote.spot_price_gold_ounce_nzd) || 0,
+                silver_ounce_nzd: Number(quote.spot_price_silver_ounce_nzd) || 0,
+                platinum_ounce_nzd: Number(quote.spot_price_platinum_ounce_nzd) || 0,
+                palladium_ounce_nzd: Number(quote.spot_price_palladium_ounce_nzd) || 0,
+            },
+            provider: quote.spot_price_provider,
+            isManual: quote.spot_price_is_manual,
+            pricedAt: quote.spot_price_updated_at,
+            totals: pricedQuote.totals,
+        };
+        const query = `
+            UPDATE quotes
+            SET
+                agreed_price = $2,
+                responded_at = NOW(),
+                response_acknowledged_at = NULL,
+                response_acknowledged_by = NULL
+            WHERE id = $1
+            RETURNING *;
+        `;
+        const result = await client.query(query, [id, JSON.stringify(agreedPrice)]);
+        const acceptedQuote = await quoteStatusService.applyTransition(client, result.rows[0], 'accepted', 'customer');
+        await _recordRevision(client, _withTotals(acceptedQuote, items), 'accepted', 'customer');
+
+        await client.query('COMMIT');
+        logger.info(`Quote ${quote.quote_number} accepted by the customer at $${agreedPrice.totals.grandTotal}.`);
+        return { quote: acceptedQuote, error: null };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Error accepting quote ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Declines a quote on behalf of the customer.
+ * @param {string} id - The UUID of the quote.
+ * @param {object} response - The customer's reason.
+ * @param {string} response.reason - One of the DECLINE_REASONS keys.
+ * @param {string} [response.comment] - Any comment (required for 'other').
+ * @returns {Promise<{quote: object|null, error: string|null}>} The declined quote record, or a
+ *   RESPONSE_ERRORS key.
+ */
+async function declineQuote(id, { reason, comment }) {
+    const trimmedComment = String(comment || '').trim();
+    if (!DECLINE_REASONS[reason]) {
+        return { quote: null, error: 'invalid_reason' };
+    }
+    if (reason === 'other' && !trimmedComment) {
+        return { quote: null, error: 'comment_required' };
+    }
+    if (trimmedComment.length > MAX_DECLINE_COMMENT_LENGTH) {
+        return { quote: null, error: 'comment_too_long' };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { error } = await _lockForResponse(client, id);
+        if (error) {
+            await client.query('ROLLBACK');
+            return { quote: null, error: error };
+        }
+
+        const query = `
+            UPDATE quotes
+            SET
+                decline_reason = $2,
+                decline_comment = $3,
+                responded_at = NOW(),
+                response_acknowledged_at = NULL,
+                response_acknowledged_by = NULL
+            WHERE id = $1
+            RETURNING *;
+        `;
+        const result = await client.query(query, [id, reason, trimmedComment || null]);
+        const declinedQuote = await quoteStatusService.applyTransition(client, result.rows[0], 'declined', 'customer');
+
+        await client.query('COMMIT');
+        logger.info(`Quote ${declinedQuote.quote_number} declined by the customer (${reason}).`);
+        return { quote: declinedQuote, error: null };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error(`Error declining quote ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Lists the customer responses (accepts and declines) staff have not yet marked as handled,
+ * newest first. Shown as a notification on the dashboard.
+ * @returns {Promise<Array<object>>} The quotes, with `agreed_total` for accepted ones.
+ */
+async function getUnacknowledgedResponses() {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT
+                id, quote_number, customer_first_name, customer_surname, status, responded_at,
+                agreed_price->'totals'->>'grandTotal' AS agreed_total, decline_reason, decline_comment
+            FROM quotes
+            WHERE responded_at IS NOT NULL
+              AND response_acknowledged_at IS NULL
+              AND status IN ('accepted', 'declined')
+            ORDER BY responded_at DESC;
+        `;
+        const result = await client.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error fetching unacknowledged customer responses', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Marks a customer's accept or decline as handled by staff, clearing it from the dashboard.
+ * @param {string} id - The UUID of the quote.
+ * @param {string} username - The staff user handling it.
+ * @returns {Promise<boolean>} True if there was an unhandled response to mark.
+ */
+async function acknowledgeResponse(id, username) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            UPDATE quotes
+            SET
+                response_acknowledged_at = NOW(),
+                response_acknowledged_by = $2
+            WHERE id = $1 AND responded_at IS NOT NULL AND response_acknowledged_at IS NULL;
+        `;
+        const result = await client.query(query, [id, username]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error(`Error acknowledging the customer response for quote ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Why a quote could not be re-quoted, with the message shown to staff.
+ */
+const REQUOTE_ERRORS = {
+    not_closed: 'Only declined, expired or cancelled quotes can be re-quoted.',
+    anonymised: 'This quote cannot be re-quoted because its customer details have been removed.',
+    prices: 'Could not get the current spot prices for the new quote. Please try again, or set a manual spot price override on the dashboard.',
+};
+
+/**
+ * Re-quotes a quote that ended without a sale: creates a new draft quote (new number and short
+ * ID) with the same customer details, items and settings, priced at the given spot prices and
+ * linked to the original through `requoted_from`. Anonymised quotes (see retentionService) have
+ * no customer to re-quote for.
+ * @param {{quote: object, items: Array<object>}} quoteData - The original quote and its items.
+ * @param {object} spotPrices - The current per-gram spot prices (as for createQuote()).
+ * @param {string} [actor] - Who re-quoted it, recorded on the new quote's first revision.
+ * @returns {Promise<{quote: object|null, error: string|null}>} The new quote, or a
+ *   REQUOTE_ERRORS key.
+ */
+async function requoteQuote({ quote, items }, spotPrices, actor = null) {
+    if (!quoteStatusService.canRequote(quote.status)) {
+        return { quote: null, error: 'not_closed' };
+    }
+    if (quote.anonymised_at) {
+        return { quote: null, error: 'anonymised' };
+    }
+
+    const customerDetails = {
+        firstName: quote.customer_first_name,
+        surname: quote.customer_surname,
+        mobile: quote.customer_mobile,
+        email: quote.customer_email,
+        zohoId: quote.zoho_id,
+    };
+    const newItems = items.map(item => ({
+        name: item.item_name,
+        metalType: item.metal_type,
+        percent: item.percent,
+        weight: item.weight,
+        quantity: item.quantity,
+        grossWeight: item.gross_weight,
+        purity: item.purity,
+        productId: item.product_id,
+    }));
+    const newQuote = await createQuote(customerDetails, newItems, spotPrices, {
+        priceLockMinutes: quote.price_lock_minutes,
+        isTracking: quote.is_tracking === true,
+        actor: actor,
+        requotedFrom: quote.id,
+    });
+    if (quote.show_quoted_rate) {
+        await updateQuoteSettings(newQuote.id, { showQuotedRate: true });
+    }
+
+    logger.info(`Quote ${quote.quote_number} re-quoted as ${newQuote.quote_number}.`);
+    return { quote: newQuote, error: null };
+}
+
+/**
+ * Lists every quote linked to a quote by re-quoting: the quotes it was re-quoted from, the quote
+ * itself and the quotes re-quoted from it, oldest first.
+ * @param {string} id - The UUID of the quote.
+ * @returns {Promise<Array<object>>} The quotes (id, quote_number, status, created_at,
+ *   grand_total, requoted_from and `negotiation_messages`, the length of its negotiation thread).
+ */
+async function getRequoteChain(id) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            WITH RECURSIVE ancestors AS (
+                SELECT id, requoted_from FROM quotes WHERE id = $1
+                UNION ALL
+                SELECT q.id, q.requoted_from FROM quotes q JOIN ancestors a ON q.id = a.requoted_from
+            ), chain AS (
+                SELECT id FROM ancestors WHERE requoted_from IS NULL
+                UNION ALL
+                SELECT q.id FROM quotes q JOIN chain c ON q.requoted_from = c.id
+            )
+            SELECT
+                q.id, q.quote_number, q.status, q.created_at, q.requoted_from,
+                q.totals->>'grandTotal' AS grand_total,
+                (SELECT COUNT(*) FROM quote_negotiation_messages m WHERE m.quote_id = q.id)::int AS negotiation_messages
+            FROM quotes q
+            JOIN chain USING (id)
+            ORDER BY q.created_at;
+        `;
+        const result = await client.query(query, [id]);
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching the re-quotes of quote ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * The columns the dashboard quote list can be sorted by, with the SQL each one sorts on.
+ */
+const QUOTE_LIST_SORTS = {
+    created: 'q.created_at',
+    number: 'q.quote_number',
+    customer: "LOWER(CONCAT_WS(' ', q.customer_surname, q.customer_first_name))",
+    total: "(q.totals->>'grandTotal')::numeric",
+    // Lifecycle order rather than alphabetical
+    status: `array_position(ARRAY[${Object.keys(quoteStatusService.STATUSES).map(status => `'${status}'`).join(', ')}], q.status::text)`,
+    viewed: 'q.customer_viewed_at',
+};
+
+/**
+ * The page sizes staff can pick for the dashboard quote list.
+ */
+const QUOTE_LIST_PAGE_SIZES = [25, 50, 100];
+
+/**
+ * The page size used unless another is picked.
+ */
+const DEFAULT_QUOTE_LIST_PAGE_SIZE = 50;
+
+/**
+ * Lists one page of quotes for the dashboard, filtered and sorted.
+ * @param {object} [filters] - Optional filters. Values that are missing or invalid are ignored.
+ * @param {string} [filters.search] - Text found in the quote number, customer name, mobile, email
+ *   or an item name. Digits also match mobiles typed in local form (e.g., "021 123").
+ * @param {Array<string>} [filters.statuses] - Only quotes in these statuses.
+ * @param {string} [filters.viewed] - Only quotes the customer has ('read') or has not ('unread') viewed.
+ * @param {string} [filters.from] - Only quotes created on or after this day (YYYY-MM-DD, New Zealand time).
+ * @param {string} [filters.to] - Only quotes created on or before this day.
+ * @param {string} [filters.metal] - Only quotes with an item of this metal (e.g., 'gold').
+ * @param {number} [filters.minTotal] - Only quotes with a total of at least this.
+ * @param {number} [filters.maxTotal] - Only quotes with a total of at most this.
+ * @param {string} [filters.staff] - Only quotes created by this staff user.
+ * @param {string} [filters.sort='created'] - A QUOTE_LIST_SORTS key.
+ * @param {string} [filters.direction='desc'] - 'asc' or 'desc'.
+ * @param {number} [filters.page=1] - The page to return (past the last page returns the last page).
+ * @param {number} [filters.pageSize=DEFAULT_QUOTE_LIST_PAGE_SIZE] - One of QUOTE_LIST_PAGE_SIZES.
+ * @returns {Promise<{quotes: Array<object>, total: number, page: number, pageCount: number, pageSize: number}>}
+ *   The page of quotes and how many quotes match in all.
+ */
+async function listQuotes(filters = {}) {
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    const search = String(filters.search || '').trim();
+    if (search) {
+        values.push(`%${_escapeLike(search)}%`);
+        const text = `$${values.length}`;
+        const matches = [
+            `q.quote_number ILIKE ${text}`,
+            // The same expression as idx_quotes_customer_name_trgm, so the index is used
+            `(COALESCE(q.customer_first_name, '') || ' ' || COALESCE(q.customer_surname, '')) ILIKE ${text}`,
+            `q.customer_mobile ILIKE ${text}`,
+            `q.customer_email ILIKE ${text}`,
+            `EXISTS (SELECT 1 FROM quote_items qi WHERE qi.quote_id = q.id AND qi.item_name ILIKE ${text})`,
+        ];
+        // Mobiles are stored as E.164 (+6421...), so also match typed digits like "021 123" as "6421123"
+        const searchDigits = search.replace(/\D/g, '').replace(/^0(?!0)/, '64');
+        if (searchDigits.length >= 3) {
+            values.push(`%${searchDigits}%`);
+            matches.push(`q.customer_mobile LIKE $${values.length}`);
+        }
+        conditions.push(`(${matches.join(' OR ')})`);
+    }
+    const statuses = (filters.statuses || []).filter(status => Object.prototype.hasOwnProperty.call(quoteStatusService.STATUSES, status));
+    if (statuses.length > 0) {
+        addCondition('q.status = ANY(?::text[])', statuses);
+    }
+    if (filters.viewed === 'read' || filters.viewed === 'unread') {
+        addCondition('q.customer_viewed = ?', filters.viewed);
+    }
+    if (_isCalendarDay(filters.from)) {
+        addCondition("q.created_at >= (?::date)::timestamp AT TIME ZONE 'Pacific/Auckland'", filters.from);
+    }
+    if (_isCalendarDay(filters.to)) {
+        addCondition("q.created_at < (?::date + 1)::timestamp AT TIME ZONE 'Pacific/Auckland'", filters.to);
+    }
+    if (filters.metal) {
+        addCondition('EXISTS (SELECT 1 FROM quote_items qi WHERE qi.quote_id = q.id AND LOWER(qi.metal_type) = LOWER(?))', filters.metal);
+    }
+    if (Number.isFinite(filters.minTotal)) {
+        addCondition("COALESCE((q.totals->>'grandTotal')::numeric, 0) >= ?", filters.minTotal);
+    }
+    if (Number.isFinite(filters.maxTotal)) {
+        addCondition("COALESCE((q.totals->>'grandTotal')::numeric, 0) <= ?", filters.maxTotal);
+    }
+    if (filters.staff) {
+        addCondition('LOWER(q.created_by) = LOWER(?)', filters.staff);
+    }
+
+    const from = `
+        FROM quotes q
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+    // Only known sorts are used: the column is written into the query
+    const sortColumn = Object.prototype.hasOwnProperty.call(QUOTE_LIST_SORTS, filters.sort) ? QUOTE_LIST_SORTS[filters.sort] : QUOTE_LIST_SORTS.created;
+    const direction = filters.direction === 'asc' ? 'ASC' : 'DESC';
+    const pageSize = QUOTE_LIST_PAGE_SIZES.includes(filters.pageSize) ? filters.pageSize : DEFAULT_QUOTE_LIST_PAGE_SIZE;
+
+    const client = await pool.connect();
+    try {
+        const { rows: [{ total }] } = await client.query(`SELECT COUNT(*)::int AS total ${from}`, values);
+        const pageCount = Math.max(1, Math.ceil(total / pageSize));
+        const page = Math.min(Math.max(parseInt(filters.page, 10) || 1, 1), pageCount);
+
+        const query = `
+            SELECT
+                q.id,
+                q.quote_number,
+                q.customer_first_name,
+                q.customer_surname,
+                q.customer_mobile,
+                q.customer_email,
+                q.created_at,
+                q.status,
+                q.customer_viewed,
+                q.customer_viewed_at,
+                q.totals->>'grandTotal' AS grand_total,
+                q.spot_price_is_manual,
+                q.anonymised_at,
+                q.created_by,
+                (
+                    SELECT row_to_json(m) FROM (
+                        SELECT channel, status, created_at, (SELECT COUNT(*) FROM quote_messages WHERE quote_id = q.id AND status = 'sent') AS sent_count
+                        FROM quote_messages
+                        WHERE quote_id = q.id
+                        ORDER BY created_at DESC
+                        LIMIT 1
+                    ) m
+                ) AS last_message,
+                (
+                    SELECT row_to_json(r) FROM (
+                        SELECT id, quote_number FROM quotes WHERE requoted_from = q.id ORDER BY created_at DESC LIMIT 1
+                    ) r
+                ) AS requoted_as,
+                q.requoted_from,
+                (SELECT quote_number FROM quotes WHERE id = q.requoted_from) AS requoted_from_number,
+                (SELECT status FROM quote_zoho_sync WHERE quote_id = q.id) AS zoho_sync_status,
+                (SELECT STRING_AGG(item_name, ', ') FROM quote_items WHERE quote_id = q.id) AS items
+            ${from}
+            ORDER BY ${sortColumn} ${direction} NULLS LAST, q.created_at DESC, q.id
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+        `;
+        const result = await client.query(query, [...values, pageSize, (page - 1) * pageSize]);
+        return { quotes: result.rows, total: total, page: page, pageCount: pageCount, pageSize: pageSize };
+    } catch (error) {
+        logger.error('Error listing quotes', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 module.exports = {
+    DECLINE_REASONS,
+    MAX_DECLINE_COMMENT_LENGTH,
+    RESPONSE_ERRORS,
+    EXPIRY_ERRORS,
+    REQUOTE_ERRORS,
+    QUOTE_LIST_SORTS,
+    QUOTE_LIST_PAGE_SIZES,
+    DEFAULT_QUOTE_LIST_PAGE_SIZE,
     getNextQuoteNumber,
     createQuote,
     getQuoteById,
     getQuoteByShortId,
     updateQuotePrices,
     updateQuoteItems,
-    validateCustomerCredential,
+    updateItemPercents,
     updateQuoteDetails,
     updateQuoteSettings,
     updateQuoteStatus,
+    extendQuoteExpiry,
     updateQuoteViewedStatus,
+    acceptQuote,
+    declineQuote,
+    getUnacknowledgedResponses,
+    acknowledgeResponse,
+    requoteQuote,
+    getRequoteChain,
+    listQuotes,
     ensureUniqueShortId, // Export for potential migration scripts
 };
@@ -0,0 +1,216 @@
+/**
+ * @file quoteStatusService.js
+ * @description This service defines the quote lifecycle and the only status changes allowed
+ * within it:
+ *
+ *   draft → sent → viewed → negotiating → accepted → booked → completed (purchased)
+ *
+ * with declined, expired and cancelled as the other ways a quote ends. Staff move a quote on from
+ * the edit page (STAFF_ACTIONS), the customer's first view, counter-offer, accept or decline move
+ * it on from the quote page, and src/jobs/expireQuotes.js expires open quotes.
+ *
+ * Every change goes through applyTransition(), which rejects changes not in TRANSITIONS and
+ * records each accepted change (who and when) in quote_status_history.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * The statuses, in lifecycle order, with their display labels.
+ */
+const STATUSES = {
+    draft: 'Draft',
+    sent: 'Sent',
+    viewed: 'Viewed',
+    negotiating: 'Negotiating',
+    accepted: 'Accepted',
+    booked: 'Booked',
+    completed: 'Completed (purchased)',
+    declined: 'Declined',
+    expired: 'Expired',
+    cancelled: 'Cancelled',
+};
+
+/**
+ * The statuses each status can change to. Completed, declined, expired and cancelled are final.
+ */
+const TRANSITIONS = {
+    draft: ['sent', 'expired', 'cancelled'],
+    sent: ['viewed', 'negotiating', 'accepted', 'declined', 'expired', 'cancelled'],
+    viewed: ['negotiating', 'accepted', 'declined', 'expired', 'cancelled'],
+    negotiating: ['accepted', 'declined', 'expired', 'cancelled'],
+    accepted: ['booked', 'completed', 'cancelled'],
+    booked: ['completed', 'cancelled'],
+    completed: [],
+    declined: [],
+    expired: [],
+    cancelled: [],
+};
+
+/**
+ * The statuses in which the customer can see the quote and accept, decline or make an offer.
+ */
+const CUSTOMER_OPEN_STATUSES = ['sent', 'viewed', 'negotiating'];
+
+/**
+ * The statuses from which staff can re-quote: the quote ended without a sale, so a new quote
+ * can be made from it at the current spot price (see quoteService.requoteQuote).
+ */
+const REQUOTE_STATUSES = ['declined', 'expired', 'cancelled'];
+
+/**
+ * The status changes staff can make from the edit page, with their button labels and the
+ * confirmation asked for (if any). The others are made by the customer or the system.
+ */
+const STAFF_ACTIONS = {
+    sent: { label: 'Mark as Sent', button: 'btn-primary', confirm: null },
+    booked: { label: 'Mark as Booked', button: 'btn-primary', confirm: null },
+    completed: { label: 'Mark as Purchased', button: 'btn-success', confirm: 'Mark this quote as purchased? This cannot be undone.' },
+    expired: { label: 'Mark as Expired', button: 'btn-expire', confirm: 'Are you sure you want to mark this quote as expired?' },
+    cancelled: { label: 'Cancel Quote', button: 'btn-outline-danger', confirm: 'Are you sure you want to cancel this quote? This cannot be undone.' },
+};
+
+/**
+ * Why a status change was refused, with the message shown to staff.
+ */
+const STATUS_ERRORS = {
+    not_allowed: 'That status change is not allowed from the quote\'s current status.',
+};
+
+/**
+ * Checks whether a quote can change from one status to another.
+ * @param {string} from - The current status.
+ * @param {string} to - The new status.
+ * @returns {boolean} True if the change is allowed.
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Checks whether the customer can respond to a quote (accept, decline or make an offer).
+ * @param {string} status - The quote's status.
+ * @returns {boolean} True if the quote is open to the customer.
+ */
+function isOpenToCustomer(status) {
+    return CUSTOMER_OPEN_STATUSES.includes(status);
+}
+
+/**
+ * Checks whether staff can re-quote a quote.
+ * @param {string} status - The quote's status.
+ * @returns {boolean} True if a new quote can be made from it.
+ */
+function canRequote(status) {
+    return REQUOTE_STATUSES.includes(status);
+}
+
+/**
+ * Lists the status changes staff can make to a quote in the given status.
+ * @param {string} status - The quote's status.
+ * @returns {Array<{status: string, label: string, button: string, confirm: (string|null)}>} The actions.
+ */
+function getStaffActions(status) {
+    return (TRANSITIONS[status] || [])
+        .filter(to => STAFF_ACTIONS[to])
+        .map(to => ({ status: to, ...STAFF_ACTIONS[to] }));
+}
+
+/**
+ * Changes a quote's status if the lifecycle allows it, and records the change.
+ * Must be called within a transaction, with the quote row locked (SELECT ... FOR UPDATE).
+ * @param {object} client - The database client to use for the transaction.
+ * @param {object} quote - The locked quote record.
+ * @param {string} to - The new status.
+ * @param {string|null} actor - Who made the change (staff username, 'customer' or 'system').
+ * @returns {Promise<object|null>} The updated quote record, or null if the change is not allowed.
+ */
+async function applyTransition(client, quote, to, actor) {
+    if (!canTransition(quote.status, to)) {
+        logger.warn(`Refused status change of quote ${quote.quote_number} from ${quote.status} to ${to}.`);
+        return null;
+    }
+
+    const result = await client.query(
+        'UPDATE quotes SET status = $2, status_changed_at = NOW() WHERE id = $1 RETURNING *',
+        [quote.id, to]
+    );
+    await client.query(
+        'INSERT INTO quote_status_history (quote_id, from_status, to_status, actor) VALUES ($1, $2, $3, $4)',
+        [quote.id, quote.status, to, actor || null]
+    );
+    logger.info(`Quote ${quote.quote_number} changed from ${quote.status} to ${to}${actor ? ` by ${actor}` : ''}.`);
+    return result.rows[0];
+}
+
+/**
+ * Expires the open quotes whose expiry date has passed (run by src/jobs/expireQuotes.js).
+ * Accepted, booked and completed quotes are never expired.
+ * @returns {Promise<Array<string>>} The UUIDs of the quotes expired.
+ */
+async function expireDueQuotes() {
+    const expirable = Object.keys(TRANSITIONS).filter(status => canTransition(status, 'expired'));
+    const client = await pool.connect();
+    try {
+        const query = `
+            WITH due AS (
+                SELECT id, status FROM quotes
+                WHERE expires_at <= NOW() AND status = ANY($1::text[])
+                FOR UPDATE
+            ), expired AS (
+                UPDATE quotes q
+                SET status = 'expired', status_changed_at = NOW()
+                FROM due
+                WHERE q.id = due.id
+                RETURNING q.id, due.status AS from_status
+            )
+            INSERT INTO quote_status_history (quote_id, from_status, to_status, actor)
+            SELECT id, from_status, 'expired', 'system' FROM expired
+            RETURNING quote_id;
+        `;
+        const result = await client.query(query, [expirable]);
+        return result.rows.map(row => row.quote_id);
+    } catch (error) {
+        logger.error('Error expiring old quotes', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Gets a quote's status changes, oldest first.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<Array<object>>} The quote_status_history rows.
+ */
+async function getHistory(quoteId) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            'SELECT * FROM quote_status_history WHERE quote_id = $1 ORDER BY created_at, id',
+            [quoteId]
+        );
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching the status history for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    CUSTOMER_OPEN_STATUSES,
+    REQUOTE_STATUSES,
+    STATUS_ERRORS,
+    canTransition,
+    isOpenToCustomer,
+    canRequote,
+    getStaffActions,
+    applyTransition,
+    expireDueQuotes,
+    getHistory,
+};
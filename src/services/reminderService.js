@@ -0,0 +1,181 @@
+/**
+ * @file reminderService.js
+ * @description This service finds quotes whose customer should get a reminder and sends it
+ * (run on a schedule by src/jobs/sendReminders.js). There are two reminders:
+ * - expiry_reminder: the quote is still open to the customer (sent, viewed or negotiating) and
+ *   expires within the configured number of days
+ * - unread_reminder: the quote was sent to the customer from the edit page at least the configured
+ *   number of days ago and the customer has still not opened it
+ *
+ * Timing is set on the dashboard and the wording by the reminder templates (see
+ * notificationService.js). A reminder goes out on the channel the quote was last sent by, or
+ * otherwise by SMS, falling back to email. Each reminder is logged in quote_messages with its
+ * type and is sent at most once per quote; a failed send is retried on the next run, until
+ * MAX_ATTEMPTS sends of that reminder have failed.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const settingsService = require('./settingsService');
+const notificationService = require('./notificationService');
+const quoteStatusService = require('./quoteStatusService');
+const auditService = require('./auditService');
+
+/**
+ * The advisory lock held while reminders are sent, so overlapping runs cannot send twice.
+ */
+const REMINDER_LOCK_ID = 736201;
+
+/**
+ * Who reminders are sent by, in the message log and the audit log.
+ */
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * How many failed sends of a reminder a quote gets before it is no longer retried (e.g., the
+ * customer's mobile number is wrong). Staff can still send the quote from the edit page.
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Lists the reminders that are due. The unread reminder is not sent once the customer has had
+ * any reminder, and a quote due both only gets the expiry reminder. A reminder that has failed
+ * MAX_ATTEMPTS times is no longer due.
+ * @param {object} timing - The reminder timing.
+ * @param {number} timing.expiryDaysBefore - Days before expiry to remind (0 = off).
+ * @param {number} timing.unreadDaysAfter - Days after sending to remind if unread (0 = off).
+ * @returns {Promise<Array<{quote: object, reminderType: string}>>} The due reminders. Each quote
+ *   includes `last_channel`, the channel it was last sent by (if any).
+ */
+async function findDueReminders({ expiryDaysBefore, unreadDaysAfter }) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            WITH candidates AS (
+                SELECT q.*,
+                    (SELECT m.channel FROM quote_messages m
+                     WHERE m.quote_id = q.id AND m.status = 'sent'
+                     ORDER BY m.created_at DESC LIMIT 1) AS last_channel
+                FROM quotes q
+                WHERE q.status = ANY($3::text[])
+                  AND q.expires_at > NOW()
+            )
+            SELECT c.*, 'expiry_reminder' AS reminder_type
+            FROM candidates c
+            WHERE $1 > 0
+              AND c.expires_at <= NOW() + make_interval(days => $1)
+              AND NOT EXISTS (
+                  SELECT 1 FROM quote_messages m
+                  WHERE m.quote_id = c.id AND m.reminder_type = 'expiry_reminder' AND m.status = 'sent'
+              )
+              AND (
+                  SELECT COUNT(*) FROM quote_messages m
+                  WHERE m.quote_id = c.id AND m.reminder_type = 'expiry_reminder' AND m.status = 'failed'
+              ) < $4
+            UNION ALL
+            SELECT c.*, 'unread_reminder' AS reminder_type
+            FROM candidates c
+            WHERE $2 > 0
+              AND c.customer_viewed = 'unread'
+              AND EXISTS (
+                  SELECT 1 FROM quote_messages m
+                  WHERE m.quote_id = c.id AND m.reminder_type IS NULL AND m.status = 'sent'
+                    AND m.created_at <= NOW() - make_interval(days => $2)
+              )
+              AND NOT EXISTS (
+                  SELECT 1 FROM quote_messages m
+                  WHERE m.quote_id = c.id AND m.reminder_type IS NOT NULL AND m.status = 'sent'
+              )
+              AND (
+                  SELECT COUNT(*) FROM quote_messages m
+                  WHERE m.quote_id = c.id AND m.reminder_type = 'unread_reminder' AND m.status = 'failed'
+              ) < $4;
+        `;
+        const result = await client.query(query, [expiryDaysBefore, unreadDaysAfter, quoteStatusService.CUSTOMER_OPEN_STATUSES, MAX_ATTEMPTS]);
+
+        const expiring = new Set(result.rows.filter(row => row.reminder_type === 'expiry_reminder').map(row => row.id));
+        return result.rows
+            .filter(row => row.reminder_type === 'expiry_reminder' || !expiring.has(row.id))
+            .map(({ reminder_type, ...quote }) => ({ quote: quote, reminderType: reminder_type }));
+    } catch (error) {
+        logger.error('Error finding due reminders', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Picks the channel for a reminder: the one the quote was last sent by, else SMS, else email.
+ * @param {object} quote - The quote record (with `last_channel`).
+ * @returns {string|null} 'sms' or 'email', or null if the quote has no mobile or email.
+ */
+function _chooseChannel(quote) {
+    const preferred = [quote.last_channel, 'sms', 'email'].filter(Boolean);
+    return preferred.find(channel => notificationService.getRecipient(quote, channel)) || null;
+}
+
+/**
+ * Sends every reminder that is due. Does nothing if another run is already in progress.
+ * @param {string} baseUrl - The public address of the site (for quote links), e.g. "https://quotes.example.com".
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>} How many reminders were sent,
+ *   failed (retried next run, up to MAX_ATTEMPTS) or skipped (no mobile or email on the quote).
+ */
+async function sendDueReminders(baseUrl) {
+    const counts = { sent: 0, failed: 0, skipped: 0 };
+    const lockClient = await pool.connect();
+    try {
+        const { rows: [{ locked }] } = await lockClient.query('SELECT pg_try_advisory_lock($1) AS locked', [REMINDER_LOCK_ID]);
+        if (!locked) {
+            logger.warn('Another reminder run is in progress; skipping this one.');
+            return counts;
+        }
+
+        try {
+            const timing = {
+                expiryDaysBefore: await settingsService.getExpiryReminderDaysBefore(),
+                unreadDaysAfter: await settingsService.getUnreadReminderDaysAfter(),
+            };
+            const due = await findDueReminders(timing);
+            const templates = await notificationService.getTemplates();
+
+            for (const { quote, reminderType } of due) {
+                const channel = _chooseChannel(quote);
+                if (!channel) {
+                    counts.skipped++;
+                    continue;
+                }
+
+                try {
+                    const link = `${baseUrl.replace(/\/+$/, '')}/quote/${quote.short_id}`;
+                    const message = notificationService.buildMessage(quote, link, reminderType, channel, templates);
+                    const result = await notificationService.sendQuote(
+                        quote,
+                        { channel: channel, subject: message.subject, text: message.text },
+                        SYSTEM_ACTOR,
+                        { reminderType: reminderType }
+                    );
+                    await auditService.record({ actor: SYSTEM_ACTOR, ip: null }, 'quote_reminder_sent', {
+                        quoteId: quote.id,
+                        details: { type: reminderType, channel: channel, to: result.message.recipient, status: result.message.status }
+                    });
+                    counts[result.success ? 'sent' : 'failed']++;
+                } catch (error) {
+                    logger.error(`Error sending ${reminderType} for quote ${quote.quote_number}`, { error: error.message });
+                    counts.failed++;
+                }
+            }
+        } finally {
+            await lockClient.query('SELECT pg_advisory_unlock($1)', [REMINDER_LOCK_ID]);
+        }
+        return counts;
+    } finally {
+        lockClient.release();
+    }
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    findDueReminders,
+    sendDueReminders,
+};
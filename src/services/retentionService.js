@@ -0,0 +1,174 @@
+/**
+ * @file retentionService.js
+ * @description This service removes customer personal details once we no longer need them (run
+ * on a schedule by src/jobs/purgeData.js). A quote that has been closed (completed, declined,
+ * expired or cancelled) for longer than the `retention_days` setting is anonymised:
+ * - the customer's name, mobile, email and Zoho contact are removed from the quote
+ * - the SMS/email messages sent to the customer, and their login codes and attempts, are deleted
+ * - what the customer wrote (decline comment, negotiation messages) is removed
+ * - customer details are removed from the quote's revisions and audit log entries
+ *
+ * Its items, prices, totals, offers and status history are kept, so anonymised quotes still
+ * count in pricing reports. Login codes and attempts (which hold IP addresses) older than the
+ * retention period are deleted for every quote, including attempts on quotes that do not exist;
+ * the IP and short ID in the audit entries of those attempts are removed too.
+ *
+ * A dry run does the same work in a transaction and rolls it back, so its report shows exactly
+ * what a real run would touch.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const settingsService = require('./settingsService');
+const quoteStatusService = require('./quoteStatusService');
+const auditService = require('./auditService');
+
+/**
+ * The advisory lock held while purging, so overlapping runs cannot purge twice.
+ */
+const PURGE_LOCK_ID = 736202;
+
+/**
+ * The quote columns holding the customer's personal details.
+ */
+const CUSTOMER_FIELDS = ['customer_first_name', 'customer_surname', 'customer_mobile', 'customer_email', 'zoho_id'];
+
+/**
+ * Audit log `details` keys that can hold personal details: recipients, code destinations and
+ * what the customer wrote.
+ */
+const CUSTOMER_DETAIL_KEYS = ['to', 'destination', 'comment', 'message'];
+
+/**
+ * Anonymises the quotes past retention and deletes old login data.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.dryRun=false] - Work out what would be purged without changing anything.
+ * @returns {Promise<object|null>} The report: `dryRun`, `retentionDays`, `cutoff`, the `quotes`
+ *   anonymised (id, quote_number, status, closed_at) and how many rows were `deleted`
+ *   (messages, loginCodes, loginAttempts) and `redacted` (negotiationMessages, revisions,
+ *   auditEntries). Null if another run is in progress.
+ */
+async function purgeExpiredData({ dryRun = false } = {}) {
+    const retentionDays = await settingsService.getRetentionDays();
+    const closedStatuses = Object.keys(quoteStatusService.TRANSITIONS)
+        .filter(status => quoteStatusService.TRANSITIONS[status].length === 0);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [{ locked }] } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [PURGE_LOCK_ID]);
+        if (!locked) {
+            await client.query('ROLLBACK');
+            logger.warn('Another data purge is in progress; skipping this one.');
+            return null;
+        }
+
+        const { rows: [{ cutoff }] } = await client.query(
+            'SELECT NOW() - make_interval(days => $1) AS cutoff', [retentionDays]
+        );
+
+        const { rows: quotes } = await client.query(`
+            SELECT id, quote_number, status, COALESCE(status_changed_at, updated_at) AS closed_at
+            FROM quotes
+            WHERE anonymised_at IS NULL
+              AND status = ANY($1::text[])
+              AND COALESCE(status_changed_at, updated_at) < $2
+            ORDER BY closed_at
+            FOR UPDATE;
+        `, [closedStatuses, cutoff]);
+        const quoteIds = quotes.map(quote => quote.id);
+
+        await client.query(`
+            UPDATE quotes
+            SET customer_first_name = NULL,
+                customer_surname = NULL,
+                customer_mobile = NULL,
+                customer_email = NULL,
+                zoho_id = NULL,
+                decline_comment = NULL,
+                anonymised_at = NOW()
+            WHERE id = ANY($1::uuid[]);
+        `, [quoteIds]);
+
+        const messages = await client.query('DELETE FROM quote_messages WHERE quote_id = ANY($1::uuid[])', [quoteIds]);
+        const loginCodes = await client.query(
+            'DELETE FROM customer_login_codes WHERE quote_id = ANY($1::uuid[]) OR created_at < $2', [quoteIds, cutoff]
+        );
+        const loginAttempts = await client.query(
+            'DELETE FROM customer_login_attempts WHERE quote_id = ANY($1::uuid[]) OR created_at < $2', [quoteIds, cutoff]
+        );
+        const negotiationMessages = await client.query(
+            "UPDATE quote_negotiation_messages SET message = NULL WHERE quote_id = ANY($1::uuid[]) AND author = 'customer' AND message IS NOT NULL",
+            [quoteIds]
+        );
+        // Revisions are otherwise immutable; this allows redacting them in this transaction only
+        await client.query("SET LOCAL app.revision_redaction = 'on'");
+        const revisions = await client.query(
+            "UPDATE quote_revisions SET snapshot = jsonb_set(snapshot, '{quote}', (snapshot->'quote') - $2::text[]) WHERE quote_id = ANY($1::uuid[]) AND snapshot ? 'quote'",
+            [quoteIds, CUSTOMER_FIELDS]
+        );
+        // Audit entries are otherwise immutable; this allows redacting them in this transaction only
+        await client.query("SET LOCAL app.audit_redaction = 'on'");
+        const auditEntries = await client.query(`
+            UPDATE audit_log
+            SET before_values = before_values - $2::text[],
+                after_values = after_values - $2::text[],
+                details = details - $3::text[],
+                ip = CASE WHEN actor = 'customer' THEN NULL ELSE ip END
+            WHERE quote_id = ANY($1::uuid[])
+              AND (before_values ?| $2::text[] OR after_values ?| $2::text[] OR details ?| $3::text[]
+                   OR (actor = 'customer' AND ip IS NOT NULL));
+        `, [quoteIds, CUSTOMER_FIELDS, CUSTOMER_DETAIL_KEYS]);
+        // Customer logins on short IDs that were not found are audited without a quote
+        const unknownQuoteEntries = await client.query(`
+            UPDATE audit_log
+            SET ip = NULL,
+                details = details - 'shortId'
+            WHERE actor = 'customer'
+              AND quote_id IS NULL
+              AND created_at < $1
+              AND (ip IS NOT NULL OR details ? 'shortId');
+        `, [cutoff]);
+
+        const report = {
+            dryRun: dryRun,
+            retentionDays: retentionDays,
+            cutoff: cutoff,
+            quotes: quotes,
+            deleted: {
+                messages: messages.rowCount,
+                loginCodes: loginCodes.rowCount,
+                loginAttempts: loginAttempts.rowCount,
+            },
+            redacted: {
+                negotiationMessages: negotiationMessages.rowCount,
+                revisions: revisions.rowCount,
+                auditEntries: auditEntries.rowCount + unknownQuoteEntries.rowCount,
+            },
+        };
+
+        await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+        if (!dryRun) {
+            await auditService.record({ actor: 'system', ip: null }, 'data_purged', {
+                details: {
+                    retentionDays: retentionDays,
+                    quotes: quotes.map(quote => quote.quote_number),
+                    deleted: report.deleted,
+                    redacted: report.redacted,
+                }
+            });
+        }
+        return report;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error purging expired customer data', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    purgeExpiredData,
+};
@@ -64,6 +64,113 @@ async function getSpotNormalisationOffset() {
   }
 }
 
+/**
+ * Gets how long fetched spot prices are served from the price history before the
+ * provider is called again.
+ * @returns {Promise<number>} The cache TTL in seconds (0 disables caching)
+ */
+async function getSpotPriceCacheTtl() {
+  try {
+    const value = await getSetting('spot_price_cache_ttl_seconds');
+    const ttl = value !== null ? parseInt(value, 10) : 60;
+    return isNaN(ttl) ? 60 : ttl;
+  } catch (error) {
+    logger.error('Error fetching spot price cache TTL, using default 60 seconds', { error });
+    return 60;
+  }
+}
+
+/**
+ * Gets how far (in percent) a manually entered spot price may be from the last live price
+ * @returns {Promise<number>} The maximum deviation percentage (default 10)
+ */
+async function getSpotOverrideMaxDeviation() {
+  try {
+    const value = await getSetting('spot_override_max_deviation_percent');
+    const deviation = value !== null ? parseFloat(value) : 10;
+    return isNaN(deviation) ? 10 : deviation;
+  } catch (error) {
+    logger.error('Error fetching spot override max deviation, using default 10%', { error });
+    return 10;
+  }
+}
+
+/**
+ * Gets the default number of minutes a quote's prices are honoured (the price lock window)
+ * @returns {Promise<number>} The price lock window in minutes (default 30)
+ */
+async function getPriceLockMinutes() {
+  try {
+    const value = await getSetting('price_lock_minutes');
+    const minutes = value !== null ? parseInt(value, 10) : 30;
+    return isNaN(minutes) ? 30 : minutes;
+  } catch (error) {
+    logger.error('Error fetching price lock minutes, using default 30', { error });
+    return 30;
+  }
+}
+
+/**
+ * Gets how many days before a quote expires the customer is sent an expiry reminder
+ * @returns {Promise<number>} The number of days (default 2; 0 turns the reminder off)
+ */
+async function getExpiryReminderDaysBefore() {
+  try {
+    const value = await getSetting('expiry_reminder_days_before');
+    const days = value !== null ? parseInt(value, 10) : 2;
+    return isNaN(days) ? 2 : days;
+  } catch (error) {
+    logger.error('Error fetching expiry reminder days, using default 2', { error });
+    return 2;
+  }
+}
+
+/**
+ * Gets how many days after a quote is sent the customer is reminded if they have not opened it
+ * @returns {Promise<number>} The number of days (default 3; 0 turns the reminder off)
+ */
+async function getUnreadReminderDaysAfter() {
+  try {
+    const value = await getSetting('unread_reminder_days_after');
+    const days = value !== null ? parseInt(value, 10) : 3;
+    return isNaN(days) ? 3 : days;
+  } catch (error) {
+    logger.error('Error fetching unread reminder days, using default 3', { error });
+    return 3;
+  }
+}
+
+/**
+ * Gets how many days new quotes are valid for (each quote's expiry can then be extended)
+ * @returns {Promise<number>} The number of days (default 14)
+ */
+async function getQuoteValidDays() {
+  try {
+    const value = await getSetting('quote_valid_days');
+    const days = value !== null ? parseInt(value, 10) : 14;
+    return isNaN(days) ? 14 : days;
+  } catch (error) {
+    logger.error('Error fetching quote validity, using default 14 days', { error });
+    return 14;
+  }
+}
+
+/**
+ * Gets how many days a closed quote keeps its customer details before the retention job
+ * anonymises it
+ * @returns {Promise<number>} The number of days (default 14)
+ */
+async function getRetentionDays() {
+  try {
+    const value = await getSetting('retention_days');
+    const days = value !== null ? parseInt(value, 10) : 14;
+    return isNaN(days) ? 14 : days;
+  } catch (error) {
+    logger.error('Error fetching retention period, using default 14 days', { error });
+    return 14;
+  }
+}
+
 /**
  * Gets all settings
  * @returns {Promise<Object>} Object with all settings
@@ -95,5 +202,12 @@ module.exports = {
   getSetting,
   updateSetting,
   getSpotNormalisationOffset,
+  getSpotPriceCacheTtl,
+  getSpotOverrideMaxDeviation,
+  getPriceLockMinutes,
+  getExpiryReminderDaysBefore,
+  getUnreadReminderDaysAfter,
+  getQuoteValidDays,
+  getRetentionDays,
   getAllSettings
 };
@@ -0,0 +1,149 @@
+/**
+ * @file spotPriceHistoryService.js
+ * @description This service records every spot price fetch from the provider and serves
+ * recent fetches back as a cache. Each fetch stores one row per metal with the raw provider
+ * price, the normalisation offset applied and the resulting normalised price, so staff can
+ * answer "what was gold at when you quoted me?" long after the quote was made.
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Records a spot price fetch, one row per metal.
+ * @param {string} provider - The name of the provider that supplied the prices (e.g., 'metalsdev').
+ * @param {object} rawPrices - Raw per-gram NZD prices from the provider, keyed by metal (e.g., { gold: 150.12 }).
+ * @param {number} offsetPercent - The normalisation offset applied (e.g., 0.25 for 0.25%).
+ * @param {object} normalisedPrices - Normalised per-gram prices, keyed by metal.
+ * @returns {Promise<Date>} The timestamp recorded for the fetch.
+ */
+async function recordFetch(provider, rawPrices, offsetPercent, normalisedPrices) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const fetchedAt = new Date();
+        const insertQuery = `
+            INSERT INTO spot_price_history (metal, raw_price_gram_nzd, offset_percent, normalised_price_gram_nzd, provider, fetched_at)
+            VALUES ($1, $2, $3, $4, $5, $6);
+        `;
+        for (const metal of Object.keys(rawPrices)) {
+            await client.query(insertQuery, [metal, rawPrices[metal], offsetPercent, normalisedPrices[metal], provider, fetchedAt]);
+        }
+        await client.query('COMMIT');
+        return fetchedAt;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error recording spot price fetch', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Returns the raw prices of the most recent fetch, if it happened within the cache TTL
+ * and covers every requested metal.
+ * @param {number} maxAgeSeconds - The cache TTL in seconds.
+ * @param {Array<string>} metals - The metals that must be present (e.g., ['gold', 'silver']).
+ * @returns {Promise<{fetchedAt: Date, provider: string, rawPrices: object}|null>} The cached fetch, or null on a cache miss.
+ */
+async function getCachedFetch(maxAgeSeconds, metals) {
+    if (!maxAgeSeconds || maxAgeSeconds <= 0) {
+        return null;
+    }
+
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT DISTINCT ON (metal) metal, raw_price_gram_nzd, provider, fetched_at
+            FROM spot_price_history
+            WHERE fetched_at > NOW() - make_interval(secs => $1)
+            ORDER BY metal, fetched_at DESC;
+        `;
+        const result = await client.query(query, [maxAgeSeconds]);
+
+        const rawPrices = {};
+        let fetchedAt = null;
+        let provider = null;
+        result.rows.forEach(row => {
+            rawPrices[row.metal] = Number(row.raw_price_gram_nzd);
+            if (!fetchedAt || row.fetched_at < fetchedAt) {
+                fetchedAt = row.fetched_at;
+                provider = row.provider;
+            }
+        });
+
+        if (!metals.every(metal => rawPrices[metal] !== undefined)) {
+            return null;
+        }
+        return { fetchedAt, provider, rawPrices };
+    } catch (error) {
+        logger.error('Error reading cached spot prices', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Retrieves the price history for one metal over a time range, oldest first.
+ * @param {string} metal - The metal (e.g., 'gold').
+ * @param {Date} from - Start of the range.
+ * @param {Date} [to=new Date()] - End of the range.
+ * @param {number} [limit=2000] - Maximum number of rows to return.
+ * @returns {Promise<Array<object>>} The history rows.
+ */
+async function getHistory(metal, from, to = new Date(), limit = 2000) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT metal, raw_price_gram_nzd, offset_percent, normalised_price_gram_nzd, provider, fetched_at
+            FROM (
+                SELECT * FROM spot_price_history
+                WHERE metal = $1 AND fetched_at BETWEEN $2 AND $3
+                ORDER BY fetched_at DESC
+                LIMIT $4
+            ) recent
+            ORDER BY fetched_at ASC;
+        `;
+        const result = await client.query(query, [metal, from, to, limit]);
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching spot price history for ${metal}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Finds the prices that were in effect at a given moment: the latest fetch per metal
+ * at or before the timestamp.
+ * @param {Date} at - The moment to look up (e.g., when a quote was priced).
+ * @returns {Promise<Array<object>>} One history row per metal.
+ */
+async function getPricesAt(at) {
+    const client = await pool.connect();
+    try {
+        const query = `
+            SELECT DISTINCT ON (metal) metal, raw_price_gram_nzd, offset_percent, normalised_price_gram_nzd, provider, fetched_at
+            FROM spot_price_history
+            WHERE fetched_at <= $1
+            ORDER BY metal, fetched_at DESC;
+        `;
+        const result = await client.query(query, [at]);
+        return result.rows;
+    } catch (error) {
+        logger.error(`Error fetching spot prices at ${at}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    recordFetch,
+    getCachedFetch,
+    getHistory,
+    getPricesAt,
+};
@@ -0,0 +1,149 @@
+/**
+ * @file spotPriceOverrideService.js
+ * @description Manual spot prices for when the live feed is unavailable.
+ *
+ * Staff can enter per-gram prices for a single quote, or set a temporary global override
+ * (stored in the `spot_price_override` setting) that replaces the live feed for everyone until
+ * it expires or is cleared. Manual prices are final prices: the normalisation offset is NOT
+ * applied to them. Every manual price is checked against the last known good price from the
+ * spot price history so a typo (e.g., 1800 instead of 180) cannot slip into a quote.
+ */
+
+const logger = require('../utils/logger');
+const settingsService = require('./settingsService');
+const spotPriceHistoryService = require('./spotPriceHistoryService');
+const { METAL_GRAM_PRICE_KEYS } = require('../shared/pricing');
+
+/**
+ * The provider name recorded on quotes priced manually.
+ */
+const MANUAL_PROVIDER = 'manual';
+
+const OVERRIDE_SETTING_KEY = 'spot_price_override';
+
+const METALS = Object.keys(METAL_GRAM_PRICE_KEYS).map(metal => metal.toLowerCase());
+
+// Gold and silver must always be entered; platinum and palladium fall back to the last known good price.
+const REQUIRED_METALS = ['gold', 'silver'];
+
+/**
+ * Looks up the latest normalised per-gram price of each metal from the price history.
+ * @returns {Promise<object>} Prices keyed by metal (e.g., { gold: 150.12 }); empty if none recorded
+ */
+async function getLastKnownGoodPrices() {
+  try {
+    const rows = await spotPriceHistoryService.getPricesAt(new Date());
+    const prices = {};
+    rows.forEach(row => {
+      prices[row.metal] = Number(row.normalised_price_gram_nzd);
+    });
+    return prices;
+  } catch (error) {
+    logger.warn('Could not read last known good spot prices, skipping deviation check', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Validates manually entered per-gram prices against the last known good prices.
+ * @param {object} input - Prices keyed as gold_gram_nzd, silver_gram_nzd, etc. (strings or numbers)
+ * @returns {Promise<{error: string|null, prices: object|null}>} The validation error, or the
+ *   validated prices with `provider` set to 'manual' and `manual` set to true
+ */
+async function validateManualPrices(input = {}) {
+  const lastKnownGood = await getLastKnownGoodPrices();
+  const maxDeviation = await settingsService.getSpotOverrideMaxDeviation();
+  const prices = { provider: MANUAL_PROVIDER, manual: true };
+
+  for (const metal of METALS) {
+    const key = `${metal}_gram_nzd`;
+    const label = metal.charAt(0).toUpperCase() + metal.slice(1);
+    const lastPrice = lastKnownGood[metal];
+    const entered = input[key];
+
+    if (entered === undefined || entered === null || entered === '') {
+      if (REQUIRED_METALS.includes(metal)) {
+        return { error: `${label} price is required.`, prices: null };
+      }
+      if (!lastPrice) {
+        return { error: `${label} price is required (no previous live price recorded).`, prices: null };
+      }
+      prices[key] = lastPrice;
+      continue;
+    }
+
+    const price = parseFloat(entered);
+    if (isNaN(price) || price <= 0) {
+      return { error: `${label} price must be greater than zero.`, prices: null };
+    }
+
+    if (lastPrice) {
+      const deviation = Math.abs(price - lastPrice) / lastPrice * 100;
+      if (deviation > maxDeviation) {
+        return {
+          error: `${label} price $${price.toFixed(2)}/g is ${deviation.toFixed(1)}% away from the last live price ($${lastPrice.toFixed(2)}/g). The maximum allowed is ${maxDeviation}%.`,
+          prices: null
+        };
+      }
+    }
+    prices[key] = price;
+  }
+
+  return { error: null, prices: prices };
+}
+
+/**
+ * Returns the global override if one is set and has not expired.
+ * Errors are logged and treated as "no override" so the live feed is used instead.
+ * @returns {Promise<object|null>} The per-gram prices with `set_at` and `expires_at`, or null
+ */
+async function getActiveOverride() {
+  try {
+    const value = await settingsService.getSetting(OVERRIDE_SETTING_KEY);
+    if (!value) {
+      return null;
+    }
+
+    const override = JSON.parse(value);
+    if (!override.expires_at || new Date(override.expires_at) <= new Date()) {
+      return null;
+    }
+    return override;
+  } catch (error) {
+    logger.warn('Could not read spot price override, using live prices', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Sets a global override that replaces the live feed until it expires.
+ * The prices must already have been validated with validateManualPrices().
+ * @param {object} prices - Validated per-gram prices keyed as gold_gram_nzd, etc.
+ * @param {Date} expiresAt - When the override stops applying
+ * @returns {Promise<object>} The stored override
+ */
+async function setGlobalOverride(prices, expiresAt) {
+  const override = { set_at: new Date().toISOString(), expires_at: expiresAt.toISOString() };
+  METALS.forEach(metal => {
+    override[`${metal}_gram_nzd`] = prices[`${metal}_gram_nzd`];
+  });
+
+  await settingsService.updateSetting(OVERRIDE_SETTING_KEY, JSON.stringify(override));
+  return override;
+}
+
+/**
+ * Clears the global override so the live feed is used again.
+ * @returns {Promise<void>}
+ */
+async function clearGlobalOverride() {
+  await settingsService.updateSetting(OVERRIDE_SETTING_KEY, '');
+}
+
+module.exports = {
+  MANUAL_PROVIDER,
+  validateManualPrices,
+  getActiveOverride,
+  setGlobalOverride,
+  clearGlobalOverride
+};
@@ -0,0 +1,99 @@
+/**
+ * @file index.js
+ * @description Spot price provider registry with timeouts, retries and automatic failover.
+ *
+ * Each provider module exports `{ name, fetchPrices({ timeout, metals }) }` and resolves to
+ * raw per-gram NZD prices keyed by metal. Providers are tried in priority order; each one is
+ * retried before moving on to the next, and the first complete set of prices wins.
+ *
+ * CONFIGURATION (environment variables):
+ * - SPOT_PRICE_PROVIDERS   → Comma-separated priority order (default "metalsdev,metalpriceapi")
+ * - SPOT_PRICE_TIMEOUT_MS  → Per-request timeout in milliseconds (default 5000)
+ * - SPOT_PRICE_RETRIES     → Extra attempts per provider after the first failure (default 1)
+ *
+ * To add a provider, create a module in this folder and register it in PROVIDERS below.
+ */
+
+const logger = require('../../utils/logger');
+const metalsDevProvider = require('./metalsDevProvider');
+const metalPriceApiProvider = require('./metalPriceApiProvider');
+const stubProvider = require('./stubProvider');
+
+const PROVIDERS = {
+  [metalsDevProvider.name]: metalsDevProvider,
+  [metalPriceApiProvider.name]: metalPriceApiProvider,
+  [stubProvider.name]: stubProvider
+};
+
+const DEFAULT_PROVIDER_ORDER = 'metalsdev,metalpriceapi';
+
+/**
+ * Resolves the configured provider priority order, ignoring unknown names.
+ * @returns {Array<object>} Provider modules in priority order
+ */
+function getProviderOrder() {
+  const names = (process.env.SPOT_PRICE_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.filter(name => {
+    if (!PROVIDERS[name]) {
+      logger.warn(`Unknown spot price provider "${name}" in SPOT_PRICE_PROVIDERS, skipping`);
+      return false;
+    }
+    return true;
+  }).map(name => PROVIDERS[name]);
+}
+
+/**
+ * Checks that a provider returned a usable positive price for every metal.
+ * @param {object} rawPrices - Raw per-gram prices keyed by metal
+ * @param {Array<string>} metals - The metals that must be present
+ * @returns {boolean} True if every price is a positive number
+ */
+function isCompletePriceSet(rawPrices, metals) {
+  return metals.every(metal => Number.isFinite(rawPrices[metal]) && rawPrices[metal] > 0);
+}
+
+/**
+ * Fetches prices from the first provider that succeeds, in priority order.
+ * @param {Array<string>} metals - The metals to fetch (e.g., ['gold', 'silver'])
+ * @returns {Promise<{provider: string, rawPrices: object}>} The prices and the provider that supplied them
+ * @throws {Error} If every provider fails
+ */
+async function fetchWithFailover(metals) {
+  const timeout = parseInt(process.env.SPOT_PRICE_TIMEOUT_MS, 10) || 5000;
+  const configuredRetries = parseInt(process.env.SPOT_PRICE_RETRIES, 10);
+  const retries = isNaN(configuredRetries) ? 1 : Math.max(configuredRetries, 0);
+  const providers = getProviderOrder();
+
+  if (providers.length === 0) {
+    throw new Error('No spot price providers configured.');
+  }
+
+  for (const provider of providers) {
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      try {
+        logger.info(`Fetching live spot prices from ${provider.name} (attempt ${attempt})...`);
+        const rawPrices = await provider.fetchPrices({ timeout, metals });
+
+        if (!isCompletePriceSet(rawPrices, metals)) {
+          throw new Error(`Incomplete prices returned: ${JSON.stringify(rawPrices)}`);
+        }
+        return { provider: provider.name, rawPrices };
+      } catch (error) {
+        logger.warn(`Spot price provider ${provider.name} failed (attempt ${attempt})`, {
+          error: error.response ? error.response.data : error.message
+        });
+      }
+    }
+  }
+
+  throw new Error(`All spot price providers failed (${providers.map(p => p.name).join(', ')}).`);
+}
+
+module.exports = {
+  getProviderOrder,
+  fetchWithFailover
+};
@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+const TROY_OUNCE_IN_GRAMS = parseFloat(process.env.TROY_OUNCE_IN_GRAMS) || 31.1035;
+
+/**
+ * Maps metal names to the ISO 4217 codes used by metalpriceapi.com.
+ */
+const METAL_CODES = {
+  gold: 'XAU',
+  silver: 'XAG',
+  platinum: 'XPT',
+  palladium: 'XPD'
+};
+
+/**
+ * metalpriceapi.com spot price provider.
+ * Returns rates as troy ounces per NZD, which are converted to NZD per gram.
+ * Requires METALPRICEAPI_API_KEY.
+ */
+module.exports = {
+  name: 'metalpriceapi',
+
+  /**
+   * Fetches raw per-gram NZD prices.
+   * @param {object} options - Provider options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Array<string>} options.metals - Metals to return (e.g., ['gold', 'silver'])
+   * @returns {Promise<object>} Raw per-gram prices keyed by metal
+   */
+  async fetchPrices({ timeout, metals }) {
+    const response = await axios.get('https://api.metalpriceapi.com/v1/latest', {
+      timeout,
+      params: {
+        api_key: process.env.METALPRICEAPI_API_KEY,
+        base: 'NZD',
+        currencies: metals.map(metal => METAL_CODES[metal]).join(',')
+      }
+    });
+
+    if (!response.data.success) {
+      throw new Error(`metalpriceapi error: ${JSON.stringify(response.data.error)}`);
+    }
+
+    const rates = response.data.rates;
+    const rawPrices = {};
+    metals.forEach(metal => {
+      const ouncesPerNzd = rates[METAL_CODES[metal]];
+      rawPrices[metal] = ouncesPerNzd ? (1 / ouncesPerNzd) / TROY_OUNCE_IN_GRAMS : undefined;
+    });
+    return rawPrices;
+  }
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+/**
+ * metals.dev spot price provider.
+ * Returns per-gram NZD prices directly.
+ * Requires SPOT_PRICE_API_KEY.
+ */
+module.exports = {
+  name: 'metalsdev',
+
+  /**
+   * Fetches raw per-gram NZD prices.
+   * @param {object} options - Provider options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Array<string>} options.metals - Metals to return (e.g., ['gold', 'silver'])
+   * @returns {Promise<object>} Raw per-gram prices keyed by metal
+   */
+  async fetchPrices({ timeout, metals }) {
+    const response = await axios.get('https://api.metals.dev/v1/latest', {
+      timeout,
+      params: {
+        api_key: process.env.SPOT_PRICE_API_KEY,
+        currency: 'NZD',
+        unit: 'g'
+      }
+    });
+
+    const rates = response.data.metals;
+    const rawPrices = {};
+    metals.forEach(metal => {
+      rawPrices[metal] = rates[metal];
+    });
+    return rawPrices;
+  }
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', '..', 'config', 'spotPriceFixture.json');
+
+/**
+ * Local stub spot price provider for development and tests.
+ * Reads per-gram NZD prices from a JSON fixture (SPOT_PRICE_STUB_FILE, or
+ * src/config/spotPriceFixture.json) so quoting works without network access or API quota.
+ * The fixture is re-read on every call, so prices can be edited while the server runs.
+ */
+module.exports = {
+  name: 'stub',
+
+  /**
+   * Fetches raw per-gram NZD prices from the fixture file.
+   * @param {object} options - Provider options
+   * @param {Array<string>} options.metals - Metals to return (e.g., ['gold', 'silver'])
+   * @returns {Promise<object>} Raw per-gram prices keyed by metal
+   */
+  async fetchPrices({ metals }) {
+    const fixturePath = process.env.SPOT_PRICE_STUB_FILE || DEFAULT_FIXTURE;
+    const fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+
+    const rawPrices = {};
+    metals.forEach(metal => {
+      rawPrices[metal] = fixture[metal];
+    });
+    return rawPrices;
+  }
+};
@@ -0,0 +1,301 @@
+/**
+ * @file staffUserService.js
+ * @description This service manages staff accounts: individual logins with hashed passwords
+ * and a role that decides what each person may do in the admin area.
+ *
+ * Roles are ordered; each role can do everything the roles below it can:
+ * - dealer: create, edit and reprice quotes
+ * - manager: also change settings, the spot price override and the product catalogue (margins)
+ * - admin: also manage staff accounts
+ *
+ * Passwords are hashed with scrypt (Node's crypto module) using a random salt per user.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * The staff roles, lowest first, with their display labels.
+ */
+const ROLES = {
+    dealer: 'Dealer',
+    manager: 'Manager',
+    admin: 'Admin',
+};
+
+/**
+ * The minimum length of a staff password.
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+const KEY_LENGTH = 64;
+
+// Checked when no account matches the username, so a login takes as long whether or not the
+// username exists (no password matches it).
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Actor names used for customers and scheduled jobs in the audit log, revisions and status
+ * history (see middleware/auth.js getActor), so no staff account can have them.
+ */
+const RESERVED_USERNAMES = ['customer', 'system'];
+
+// The columns returned for a staff user (never the password hash).
+const USER_COLUMNS = 'id, username, role, active, last_login_at, created_at, updated_at';
+
+/**
+ * Checks whether a role is at least as senior as another.
+ * @param {string} role - The role held (e.g., the logged-in user's role).
+ * @param {string} requiredRole - The minimum role needed.
+ * @returns {boolean} True if `role` meets or exceeds `requiredRole`.
+ */
+function roleAtLeast(role, requiredRole) {
+    const levels = Object.keys(ROLES);
+    return levels.indexOf(role) >= levels.indexOf(requiredRole) && levels.includes(requiredRole);
+}
+
+/**
+ * Hashes a password for storage.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The hash, as "scrypt$<salt>$<key>" (hex).
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password - The plain-text password.
+ * @param {string} storedHash - The hash from hashPassword().
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, keyHex] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !keyHex) {
+        return false;
+    }
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validates a staff account form. Returns an error message, or null if valid.
+ * @param {object} input - The submitted values.
+ * @param {string} [input.username] - The username (required when creating).
+ * @param {string} [input.password] - The password (required when creating; optional when editing).
+ * @param {string} input.role - One of the ROLES keys.
+ * @param {boolean} isNew - Whether a new account is being created.
+ * @returns {string|null} The validation error, if any.
+ */
+function validateUser({ username, password, role }, isNew) {
+    if (isNew && (!username || !/^[a-zA-Z0-9._@-]{3,50}$/.test(username.trim()))) {
+        return 'Username must be 3-50 characters: letters, numbers, dots, dashes, underscores or @.';
+    }
+    if (isNew && RESERVED_USERNAMES.includes(username.trim().toLowerCase())) {
+        return `The username "${username.trim()}" is reserved. Please choose another.`;
+    }
+    if (!ROLES[role]) {
+        return 'Choose a valid role.';
+    }
+    if ((isNew || password) && (!password || password.length < MIN_PASSWORD_LENGTH)) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+}
+
+/**
+ * Checks a username and password. Inactive accounts cannot log in.
+ * @param {string} username - The submitted username.
+ * @param {string} password - The submitted password.
+ * @returns {Promise<object|null>} The user (without the password hash), or null if the login failed.
+ */
+async function authenticate(username, password) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            'SELECT * FROM staff_users WHERE LOWER(username) = LOWER($1)',
+            [(username || '').trim()]
+        );
+        const user = result.rows[0];
+        // The password is always checked, even for unknown or inactive accounts
+        const passwordMatches = await verifyPassword(password || '', user ? user.password_hash : DUMMY_PASSWORD_HASH);
+        if (!user || !user.active || !passwordMatches) {
+            return null;
+        }
+
+        const updated = await client.query(
+            `UPDATE staff_users SET last_login_at = NOW() WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+            [user.id]
+        );
+        return updated.rows[0];
+    } catch (error) {
+        logger.error('Error authenticating staff user', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Retrieves a staff user by ID.
+ * @param {string} id - The UUID of the user.
+ * @returns {Promise<object|null>} The user (without the password hash), or null if not found.
+ */
+async function getUserById(id) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(`SELECT ${USER_COLUMNS} FROM staff_users WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error fetching staff user ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Lists every staff user, active first, then by username.
+ * @returns {Promise<Array<object>>} The users (without password hashes).
+ */
+async function getUsers() {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(`SELECT ${USER_COLUMNS} FROM staff_users ORDER BY active DESC, username`);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error fetching staff users', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Creates a staff user.
+ * @param {object} user - The new user.
+ * @param {string} user.username - The username (must be unique, case-insensitive).
+ * @param {string} user.password - The plain-text password.
+ * @param {string} user.role - One of the ROLES keys.
+ * @returns {Promise<object|null>} The created user, or null if the username is taken.
+ */
+async function createUser({ username, password, role }) {
+    const client = await pool.connect();
+    try {
+        const passwordHash = await hashPassword(password);
+        const result = await client.query(
+            `INSERT INTO staff_users (username, password_hash, role)
+             VALUES ($1, $2, $3)
+             ON CONFLICT DO NOTHING
+             RETURNING ${USER_COLUMNS}`,
+            [username.trim(), passwordHash, role]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error creating staff user ${username}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Updates a staff user's role, active flag and (optionally) password.
+ * @param {string} id - The UUID of the user.
+ * @param {object} changes - The new values.
+ * @param {string} changes.role - One of the ROLES keys.
+ * @param {boolean} changes.active - Whether the user can log in.
+ * @param {string} [changes.password] - A new plain-text password (unchanged if omitted).
+ * @returns {Promise<object|null>} The updated user, or null if not found.
+ */
+async function updateUser(id, { role, active, password }) {
+    const client = await pool.connect();
+    try {
+        const passwordHash = password ? await hashPassword(password) : null;
+        const result = await client.query(
+            `UPDATE staff_users
+             SET role = $1, active = $2, password_hash = COALESCE($3, password_hash), updated_at = NOW()
+             WHERE id = $4
+             RETURNING ${USER_COLUMNS}`,
+            [role, active, passwordHash, id]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error updating staff user ${id}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Counts the active admins, so the last one cannot be demoted or deactivated.
+ * @returns {Promise<number>} The number of active admin accounts.
+ */
+async function countActiveAdmins() {
+    const client = await pool.connect();
+    try {
+        const result = await client.query("SELECT COUNT(*) AS count FROM staff_users WHERE role = 'admin' AND active");
+        return parseInt(result.rows[0].count, 10);
+    } catch (error) {
+        logger.error('Error counting admin users', { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Creates the first admin account from ADMIN_USERNAME/ADMIN_PASSWORD when there are no
+ * staff accounts yet, so a fresh install (or an upgrade from the shared login) can sign in.
+ * Called once at startup; does nothing once any account exists.
+ * @returns {Promise<void>}
+ */
+async function ensureBootstrapAdmin() {
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT COUNT(*) AS count FROM staff_users');
+        if (parseInt(result.rows[0].count, 10) > 0) {
+            return;
+        }
+    } finally {
+        client.release();
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        logger.warn('No staff accounts exist and ADMIN_PASSWORD is not set; nobody can log in to the admin area.');
+        return;
+    }
+    if (RESERVED_USERNAMES.includes(username.trim().toLowerCase())) {
+        logger.warn(`No staff accounts exist and ADMIN_USERNAME "${username}" is reserved; nobody can log in to the admin area.`);
+        return;
+    }
+
+    await createUser({ username: username, password: password, role: 'admin' });
+    logger.warn(`No staff accounts existed; created admin account "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD. Change its password.`);
+}
+
+module.exports = {
+    ROLES,
+    MIN_PASSWORD_LENGTH,
+    roleAtLeast,
+    hashPassword,
+    verifyPassword,
+    validateUser,
+    authenticate,
+    getUserById,
+    getUsers,
+    createUser,
+    updateUser,
+    countActiveAdmins,
+    ensureBootstrapAdmin,
+};
@@ -0,0 +1,202 @@
+/**
+ * @file zohoClient.js
+ * @description A small client for the Zoho CRM REST API (v2), used by zohoSyncService.js.
+ * It signs in with a long-lived refresh token (a "self client" in the Zoho API console),
+ * caches the short-lived access token it gets back, and signs in again once if Zoho rejects it.
+ *
+ * All requests go through one HTTP client, axios by default. Tests (or a local fake of the
+ * Zoho API) can swap it with setHttpClient(), or point ZOHO_API_URL and ZOHO_ACCOUNTS_URL at a
+ * local server.
+ *
+ * CONFIGURATION (environment variables):
+ * - ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET, ZOHO_REFRESH_TOKEN → Required; sync is off without them
+ * - ZOHO_API_URL        → The CRM API for your Zoho data centre (default https://www.zohoapis.com/crm/v2)
+ * - ZOHO_ACCOUNTS_URL   → The matching accounts server (default https://accounts.zoho.com)
+ * - ZOHO_TIMEOUT_MS     → Per-request timeout in milliseconds (default 10000)
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://www.zohoapis.com/crm/v2';
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.zoho.com';
+
+/**
+ * The HTTP client: anything with an axios-style `request(config)` that resolves to `{ status, data }`
+ * and rejects with `error.response` on a non-2xx status.
+ */
+let http = axios;
+
+/**
+ * The cached access token and when it stops working (ms since the epoch).
+ */
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+
+/**
+ * Replaces the HTTP client (e.g., with a fake in tests) and forgets the cached access token.
+ * @param {object} client - An axios-compatible client; pass axios to restore the default.
+ */
+function setHttpClient(client) {
+    http = client;
+    accessToken = null;
+    accessTokenExpiresAt = 0;
+}
+
+/**
+ * Checks whether the Zoho credentials are configured.
+ * @returns {boolean} True if the client ID, secret and refresh token are all set.
+ */
+function isConfigured() {
+    return Boolean(process.env.ZOHO_CLIENT_ID && process.env.ZOHO_CLIENT_SECRET && process.env.ZOHO_REFRESH_TOKEN);
+}
+
+/**
+ * Returns the per-request timeout.
+ * @returns {number} The timeout in milliseconds.
+ */
+function _timeout() {
+    return parseInt(process.env.ZOHO_TIMEOUT_MS, 10) || 10000;
+}
+
+/**
+ * Gets an access token, from the cache or by exchanging the refresh token.
+ * @returns {Promise<string>} The access token.
+ * @throws {Error} If Zoho is not configured or the exchange fails.
+ */
+async function _getAccessToken() {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+        return accessToken;
+    }
+    if (!isConfigured()) {
+        throw new Error('ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET and ZOHO_REFRESH_TOKEN must be set.');
+    }
+
+    const response = await http.request({
+        method: 'post',
+        url: `${(process.env.ZOHO_ACCOUNTS_URL || DEFAULT_ACCOUNTS_URL).replace(/\/+$/, '')}/oauth/v2/token`,
+        params: {
+            grant_type: 'refresh_token',
+            refresh_token: process.env.ZOHO_REFRESH_TOKEN,
+            client_id: process.env.ZOHO_CLIENT_ID,
+            client_secret: process.env.ZOHO_CLIENT_SECRET,
+        },
+        timeout: _timeout(),
+    });
+
+    // Zoho reports a bad refresh token as a 200 with an `error` field
+    const data = response.data || {};
+    if (!data.access_token) {
+        throw new Error(`Zoho sign-in failed: ${data.error || 'no access token returned'}`);
+    }
+    accessToken = data.access_token;
+    // Renew a minute early so a token never expires mid-request
+    accessTokenExpiresAt = Date.now() + ((Number(data.expires_in) || 3600) - 60) * 1000;
+    return accessToken;
+}
+
+/**
+ * Turns a failed request into an Error with Zoho's own message where there is one.
+ * @param {Error} error - The error from the HTTP client.
+ * @returns {Error} A readable error.
+ */
+function _describeError(error) {
+    const data = error.response && error.response.data;
+    if (data && (data.message || data.code)) {
+        return new Error(`Zoho API error ${error.response.status}: ${data.message || data.code}`);
+    }
+    return error;
+}
+
+/**
+ * Makes an authenticated request to the CRM API.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path below ZOHO_API_URL, e.g. "/Deals".
+ * @param {object} [options] - Query parameters and body.
+ * @param {object} [options.params] - The query parameters.
+ * @param {object} [options.data] - The JSON body.
+ * @returns {Promise<object|null>} The response body, or null for an empty response (204).
+ * @throws {Error} If the request fails.
+ */
+async function _request(method, path, { params, data } = {}) {
+    const send = async () => http.request({
+        method: method,
+        url: `${(process.env.ZOHO_API_URL || DEFAULT_API_URL).replace(/\/+$/, '')}${path}`,
+        params: params,
+        data: data,
+        timeout: _timeout(),
+        headers: { Authorization: `Zoho-oauthtoken ${await _getAccessToken()}` },
+    });
+
+    try {
+        let response;
+        try {
+            response = await send();
+        } catch (error) {
+            // The access token was revoked or has expired early: sign in again once
+            if (!error.response || error.response.status !== 401) {
+                throw error;
+            }
+            accessToken = null;
+            response = await send();
+        }
+        return response.status === 204 || !response.data ? null : response.data;
+    } catch (error) {
+        throw _describeError(error);
+    }
+}
+
+/**
+ * Returns the first record result of a create or update, failing if Zoho rejected it.
+ * @param {object} body - The response body ({ data: [{ code, details, message }] }).
+ * @returns {object} The record result.
+ * @throws {Error} If the record was not saved.
+ */
+function _recordResult(body) {
+    const result = body && Array.isArray(body.data) ? body.data[0] : null;
+    if (!result || result.code !== 'SUCCESS') {
+        throw new Error(`Zoho rejected the record: ${result ? result.message || result.code : 'no result returned'}`);
+    }
+    return result;
+}
+
+/**
+ * Searches contacts by phone number or email.
+ * @param {object} criteria - What to search by (one of them).
+ * @param {string} [criteria.phone] - A phone number (matched against all phone fields).
+ * @param {string} [criteria.email] - An email address.
+ * @returns {Promise<Array<object>>} The matching contact records (empty if none).
+ */
+async function searchContacts({ phone, email }) {
+    const params = phone ? { phone: phone } : { email: email };
+    const body = await _request('get', '/Contacts/search', { params: params });
+    return body && Array.isArray(body.data) ? body.data : [];
+}
+
+/**
+ * Creates a deal.
+ * @param {object} record - The deal fields (Zoho API names).
+ * @returns {Promise<string>} The new deal's ID.
+ */
+async function createDeal(record) {
+    const body = await _request('post', '/Deals', { data: { data: [record] } });
+    return _recordResult(body).details.id;
+}
+
+/**
+ * Updates a deal.
+ * @param {string} id - The Zoho deal ID.
+ * @param {object} record - The deal fields to change (Zoho API names).
+ * @returns {Promise<void>}
+ */
+async function updateDeal(id, record) {
+    const body = await _request('put', `/Deals/${encodeURIComponent(id)}`, { data: { data: [record] } });
+    _recordResult(body);
+}
+
+module.exports = {
+    setHttpClient,
+    isConfigured,
+    searchContacts,
+    createDeal,
+    updateDeal,
+};
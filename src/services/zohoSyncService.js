@@ -0,0 +1,315 @@
+/**
+ * @file zohoSyncService.js
+ * @description This service keeps Zoho CRM up to date with our quotes. A quote's `zoho_id` is
+ * the Zoho contact it belongs to; each such quote gets its own deal on that contact, holding the
+ * quote total, its stage (from the quote status) and whether the customer has viewed it.
+ *
+ * The routes call queueSync() whenever a quote is created, its total or lifecycle status changes
+ * (see quoteStatusService), or the customer first views it. That marks the quote as pending and
+ * pushes its current state straight away in the background. If Zoho cannot be reached the push is retried with a growing delay by
+ * src/jobs/syncZoho.js, until MAX_ATTEMPTS is reached and the quote is marked as failed (staff
+ * can then retry from the edit page). Because every push sends the whole current state, a retry
+ * or an extra push is harmless.
+ *
+ * Each quote's deal and sync status (pending, synced, failed) are kept in quote_zoho_sync and
+ * shown on the dashboard and edit page. Quotes without a zoho_id are not synced. Sync is off unless the Zoho
+ * credentials are configured (see zohoClient.js).
+ */
+
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const quoteService = require('./quoteService');
+const notificationService = require('./notificationService');
+const zohoClient = require('./zohoClient');
+
+/**
+ * The sync statuses, with their display labels.
+ */
+const SYNC_STATUSES = {
+    pending: 'Zoho sync pending',
+    synced: 'Synced to Zoho',
+    failed: 'Zoho sync failed',
+};
+
+/**
+ * How many times a push is tried before the quote is marked as failed.
+ */
+const MAX_ATTEMPTS = 6;
+
+/**
+ * Minutes to wait before each retry (the last one repeats).
+ */
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+
+/**
+ * The deal stage for each quote status. These are stages in Zoho's default sales pipeline.
+ */
+const DEAL_STAGES = {
+    draft: 'Qualification',
+    sent: 'Proposal/Price Quote',
+    viewed: 'Proposal/Price Quote',
+    negotiating: 'Negotiation/Review',
+    accepted: 'Closed Won',
+    booked: 'Closed Won',
+    completed: 'Closed Won',
+    declined: 'Closed Lost',
+    expired: 'Closed Lost',
+    cancelled: 'Closed Lost',
+};
+
+/**
+ * The most quotes one syncDue() run pushes.
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Checks whether Zoho sync is turned on.
+ * @returns {boolean} True if the Zoho credentials are configured.
+ */
+function isEnabled() {
+    return zohoClient.isConfigured();
+}
+
+/**
+ * Marks quotes as needing a push to Zoho. Quotes without a zoho_id are ignored. Never throws:
+ * a failure is logged instead, so the change that triggered it is not affected.
+ * @param {string|Array<string>} quoteIds - The UUID(s) of the quote(s) that changed.
+ * @param {string} reason - Why (for the log), e.g. 'created', 'viewed'.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.syncNow=true] - Push straight away in the background; otherwise
+ *   leave it to the sync job (for scripts that exit straight after).
+ * @returns {Promise<void>}
+ */
+async function queueSync(quoteIds, reason, { syncNow = true } = {}) {
+    const ids = [].concat(quoteIds);
+    if (!isEnabled() || ids.length === 0) {
+        return;
+    }
+
+    try {
+        const query = `
+            INSERT INTO quote_zoho_sync (quote_id, status, attempts, error, requested_at, next_sync_at)
+            SELECT id, 'pending', 0, NULL, clock_timestamp(), NOW()
+            FROM quotes
+            WHERE id = ANY($1::uuid[]) AND NULLIF(TRIM(zoho_id), '') IS NOT NULL
+            ON CONFLICT (quote_id) DO UPDATE
+            SET status = 'pending',
+                attempts = 0,
+                error = NULL,
+                requested_at = EXCLUDED.requested_at,
+                next_sync_at = EXCLUDED.next_sync_at
+            RETURNING quote_id;
+        `;
+        const result = await pool.query(query, [ids]);
+        if (result.rows.length > 0) {
+            logger.info(`Queued ${result.rows.length} quote(s) for Zoho sync (${reason}).`);
+        }
+        if (syncNow) {
+            result.rows.forEach(row => {
+                syncQuote(row.quote_id).catch(error => {
+                    logger.error(`Error syncing quote ${row.quote_id} to Zoho`, { error: error.message });
+                });
+            });
+        }
+    } catch (error) {
+        logger.error(`Error queueing Zoho sync (${reason})`, { error: error.message });
+    }
+}
+
+/**
+ * Builds the Zoho deal fields for a quote.
+ * @param {object} quote - The quote record (with totals).
+ * @returns {object} The deal fields (Zoho API names).
+ */
+function buildDealRecord(quote) {
+    const customerName = [quote.customer_first_name, quote.customer_surname].filter(Boolean).join(' ');
+    const viewed = quote.customer_viewed === 'read' && quote.customer_viewed_at
+        ? `Viewed by the customer on ${new Date(quote.customer_viewed_at).toLocaleString('en-NZ')}`
+        : 'Not yet viewed by the customer';
+    const lines = [
+        `Quote ${quote.quote_number}${customerName ? ` for ${customerName}` : ''}`,
+        `Status: ${quote.status}`,
+        viewed,
+    ];
+    if (process.env.APP_BASE_URL) {
+        lines.push(`Customer link: ${process.env.APP_BASE_URL.replace(/\/+$/, '')}/quote/${quote.short_id}`);
+    }
+
+    return {
+        Deal_Name: `Quote ${quote.quote_number}`,
+        Contact_Name: { id: quote.zoho_id.trim() },
+        Amount: Number(quote.totals && quote.totals.grandTotal) || 0,
+        Stage: DEAL_STAGES[quote.status] || DEAL_STAGES.sent,
+        // YYYY-MM-DD in New Zealand time
+        Closing_Date: notificationService.getQuoteExpiry(quote).toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' }),
+        Description: lines.join('\n'),
+    };
+}
+
+/**
+ * Pushes a quote's current state to its Zoho deal, creating the deal the first time.
+ * Skips the quote if another push for it is already running; that push leaves it pending if
+ * the quote changed meanwhile, so the change is not lost.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<boolean>} True if the quote is now synced.
+ */
+async function syncQuote(quoteId) {
+    const client = await pool.connect();
+    try {
+        const { rows: [{ locked }] } = await client.query(
+            "SELECT pg_try_advisory_lock(hashtext('zoho_sync:' || $1)) AS locked", [quoteId]
+        );
+        if (!locked) {
+            return false;
+        }
+
+        try {
+            // requested_at is read as text: a JS Date would drop the microseconds compared below
+            const { rows: [state] } = await client.query(
+                'SELECT deal_id, status, attempts, requested_at::text AS requested_at FROM quote_zoho_sync WHERE quote_id = $1',
+                [quoteId]
+            );
+            const quoteData = state && state.status ? await quoteService.getQuoteById(quoteId) : null;
+            if (!quoteData) {
+                return false;
+            }
+            const { quote } = quoteData;
+            if (!(quote.zoho_id || '').trim()) {
+                // The contact was removed from the quote after it was queued
+                await client.query('UPDATE quote_zoho_sync SET status = NULL, next_sync_at = NULL WHERE quote_id = $1', [quoteId]);
+                return false;
+            }
+
+            try {
+                const record = buildDealRecord(quote);
+                let dealId = state.deal_id;
+                if (dealId) {
+                    await zohoClient.updateDeal(dealId, record);
+                } else {
+                    dealId = await zohoClient.createDeal(record);
+                }
+
+                // Stay pending if the quote was queued again during the push
+                const query = `
+                    UPDATE quote_zoho_sync
+                    SET deal_id = $2,
+                        status = CASE WHEN requested_at IS NOT DISTINCT FROM $3::timestamptz THEN 'synced' ELSE 'pending' END,
+                        attempts = 0,
+                        error = NULL,
+                        synced_at = NOW(),
+                        next_sync_at = CASE WHEN requested_at IS NOT DISTINCT FROM $3::timestamptz THEN NULL ELSE NOW() END
+                    WHERE quote_id = $1;
+                `;
+                await client.query(query, [quoteId, dealId, state.requested_at]);
+                logger.info(`Quote ${quote.quote_number} synced to Zoho deal ${dealId}.`);
+                return true;
+            } catch (error) {
+                const attempts = state.attempts + 1;
+                const delay = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+                const query = `
+                    UPDATE quote_zoho_sync
+                    SET status = $2,
+                        attempts = $3,
+                        error = $4,
+                        next_sync_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(mins => $5) ELSE NULL END
+                    WHERE quote_id = $1;
+                `;
+                await client.query(query, [quoteId, attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', attempts, error.message, delay]);
+                logger.warn(`Zoho sync failed for quote ${quote.quote_number} (attempt ${attempts})`, { error: error.message });
+                return false;
+            }
+        } finally {
+            await client.query("SELECT pg_advisory_unlock(hashtext('zoho_sync:' || $1))", [quoteId]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Pushes every pending quote whose next attempt is due (run on a schedule by src/jobs/syncZoho.js).
+ * @returns {Promise<{synced: number, failed: number}>} How many quotes were synced, and how many
+ *   failed (to be retried later, or marked as failed after MAX_ATTEMPTS).
+ */
+async function syncDue() {
+    const counts = { synced: 0, failed: 0 };
+    if (!isEnabled()) {
+        return counts;
+    }
+
+    const query = `
+        SELECT quote_id FROM quote_zoho_sync
+        WHERE status = 'pending' AND next_sync_at <= NOW()
+        ORDER BY next_sync_at
+        LIMIT $1;
+    `;
+    const result = await pool.query(query, [BATCH_SIZE]);
+    for (const row of result.rows) {
+        counts[await syncQuote(row.quote_id) ? 'synced' : 'failed']++;
+    }
+    return counts;
+}
+
+/**
+ * Gets the sync state of a quote.
+ * @param {string} quoteId - The UUID of the quote.
+ * @returns {Promise<object|null>} The quote_zoho_sync row, or null if the quote was never queued.
+ */
+async function getSyncState(quoteId) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT * FROM quote_zoho_sync WHERE quote_id = $1', [quoteId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error(`Error fetching Zoho sync state for quote ${quoteId}`, { error });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Finds Zoho contacts by mobile and/or email, to fill in the create form.
+ * @param {object} criteria - What to search by (at least one).
+ * @param {string} [criteria.mobile] - The customer's mobile (E.164).
+ * @param {string} [criteria.email] - The customer's email.
+ * @returns {Promise<Array<{id: string, firstName: string, surname: string, mobile: string, email: string}>>}
+ *   The matching contacts, without duplicates.
+ */
+async function findContacts({ mobile, email }) {
+    const searches = [];
+    if (mobile) {
+        searches.push(zohoClient.searchContacts({ phone: mobile }));
+        // Zoho matches phone numbers as stored, and NZ mobiles are often stored as "021..."
+        if (mobile.startsWith('+64')) {
+            searches.push(zohoClient.searchContacts({ phone: `0${mobile.slice(3)}` }));
+        }
+    }
+    if (email) {
+        searches.push(zohoClient.searchContacts({ email: email }));
+    }
+
+    const contacts = new Map();
+    (await Promise.all(searches)).flat().forEach(contact => {
+        contacts.set(contact.id, {
+            id: contact.id,
+            firstName: contact.First_Name || '',
+            surname: contact.Last_Name || '',
+            mobile: contact.Mobile || contact.Phone || '',
+            email: contact.Email || '',
+        });
+    });
+    return [...contacts.values()];
+}
+
+module.exports = {
+    SYNC_STATUSES,
+    MAX_ATTEMPTS,
+    isEnabled,
+    queueSync,
+    buildDealRecord,
+    syncQuote,
+    syncDue,
+    getSyncState,
+    findContacts,
+};
@@ -0,0 +1,87 @@
+/**
+ * @file phone.js
+ * @description Normalises customer mobile numbers to E.164 (e.g., "+64211234567"), so the same
+ * number is stored the same way however it was typed ("021 123 4567", "+64 21 123 4567",
+ * "0064211234567", ...) and can be handed straight to an SMS sender:
+ * - createEditRoutes.js normalises the mobile when a quote is created or edited.
+ * - customerLoginCodeService.js normalises the number a login code is texted to.
+ * - create_edit_input_validation.js uses it (served at /js/shared/phone.js) to validate and
+ *   format the mobile as staff type it.
+ * - migrations/014_normalise_customer_mobiles.sql applies the same rules to existing quotes.
+ *
+ * Numbers without a country code are taken to be New Zealand mobiles (02x). International
+ * numbers must start with "+" or "00".
+ *
+ * The file is written as a UMD module so the exact same code runs in Node and the browser.
+ * In the browser the functions are exposed on `window.Phone`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Phone = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const NZ_COUNTRY_CODE = '64';
+
+    /**
+     * A New Zealand mobile without the country code or trunk 0: 2 then 7 to 9 digits.
+     */
+    const NZ_MOBILE_PATTERN = /^2\d{7,9}$/;
+
+    /**
+     * An E.164 number: "+", a country code that does not start with 0, 8 to 15 digits in all.
+     */
+    const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+    /**
+     * Normalises a mobile number to E.164.
+     * @param {string} input - The number as typed.
+     * @returns {{e164: string|null, error: string|null}} The E.164 number; null with no error if
+     *   the input is blank; or an error message if it is not a valid mobile number.
+     */
+    function normaliseMobile(input) {
+        const compact = String(input || '').trim().replace(/[\s\-.()]/g, '');
+        if (!compact) {
+            return { e164: null, error: null };
+        }
+
+        let international = null;
+        if (compact.startsWith('+')) {
+            international = compact.slice(1);
+        } else if (compact.startsWith('00')) {
+            international = compact.slice(2);
+        }
+
+        let nzNumber = null;
+        if (international !== null) {
+            if (international.startsWith(NZ_COUNTRY_CODE)) {
+                // "+64 021 ..." is a common mix of both formats: drop the trunk 0
+                nzNumber = international.slice(NZ_COUNTRY_CODE.length).replace(/^0/, '');
+            } else {
+                const e164 = `+${international}`;
+                return E164_PATTERN.test(e164)
+                    ? { e164: e164, error: null }
+                    : { e164: null, error: 'Please enter a valid international number, e.g. +61 412 345 678.' };
+            }
+        } else if (/^0/.test(compact)) {
+            nzNumber = compact.slice(1);
+        } else if (compact.startsWith(NZ_COUNTRY_CODE) && NZ_MOBILE_PATTERN.test(compact.slice(2).replace(/^0/, ''))) {
+            nzNumber = compact.slice(2).replace(/^0/, '');
+        } else {
+            nzNumber = compact;
+        }
+
+        if (!NZ_MOBILE_PATTERN.test(nzNumber)) {
+            return { e164: null, error: 'Please enter a valid NZ mobile (e.g. 021 123 4567) or an international number starting with +.' };
+        }
+        return { e164: `+${NZ_COUNTRY_CODE}${nzNumber}`, error: null };
+    }
+
+    return {
+        NZ_COUNTRY_CODE,
+        normaliseMobile,
+    };
+}));
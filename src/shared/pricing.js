@@ -0,0 +1,232 @@
+/**
+ * @file pricing.js
+ * @description The single pricing engine for quotes. Every per-item value and grand total
+ * shown anywhere in the application is produced by these functions:
+ * - quoteService.js uses them to calculate and persist the `totals` JSONB on a quote.
+ * - admin_create_edit.js uses them (served at /js/shared/pricing.js) to preview prices
+ *   while staff are typing, before anything has been saved.
+ *
+ * The file is written as a UMD module so the exact same code runs in Node and the browser.
+ * In the browser the functions are exposed on `window.Pricing`.
+ *
+ * Formula per item: (FineWeight * GramPrice * Quantity) * (1 - Percent / 100), never below zero,
+ * where FineWeight = GrossWeight * Fineness of the selected purity (e.g., 22ct = 0.91667).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Pricing = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Maps an item's metal type to the key holding its per-gram spot price.
+     */
+    const METAL_GRAM_PRICE_KEYS = {
+        Gold: 'gold_gram_nzd',
+        Silver: 'silver_gram_nzd',
+        Platinum: 'platinum_gram_nzd',
+        Palladium: 'palladium_gram_nzd',
+    };
+
+    /**
+     * Purities staff can select for an item, in display order.
+     * `fine` means the weight entered is already the pure metal content (e.g., .9999 bullion
+     * quoted by fine weight) and is the default for items saved before purity was captured.
+     */
+    const PURITY_OPTIONS = [
+        { value: 'fine', label: 'Pure (fine weight)', fineness: 1 },
+        { value: '24ct', label: '24ct', fineness: 0.999 },
+        { value: '22ct', label: '22ct', fineness: 0.91667 },
+        { value: '18ct', label: '18ct', fineness: 0.75 },
+        { value: '14ct', label: '14ct', fineness: 0.585 },
+        { value: '10ct', label: '10ct', fineness: 0.417 },
+        { value: '9ct', label: '9ct', fineness: 0.375 },
+        { value: '.9999', label: '.9999', fineness: 0.9999 },
+        { value: '.999', label: '.999', fineness: 0.999 },
+        { value: '.958', label: '.958 (Britannia)', fineness: 0.958 },
+        { value: '.925', label: '.925 (Sterling)', fineness: 0.925 },
+        { value: '.900', label: '.900 (Coin)', fineness: 0.9 },
+    ];
+
+    /**
+     * Rounds a value to whole cents.
+     * @param {number} value - The value to round.
+     * @returns {number} The value rounded to two decimal places.
+     */
+    function roundCurrency(value) {
+        return Math.round((Number(value) || 0) * 100) / 100;
+    }
+
+    /**
+     * Rounds a weight to the four decimal places stored in the database.
+     * @param {number} value - The weight in grams.
+     * @returns {number} The rounded weight.
+     */
+    function roundWeight(value) {
+        return Math.round((Number(value) || 0) * 10000) / 10000;
+    }
+
+    /**
+     * Returns the fineness (fraction of pure metal) for a purity value.
+     * Unknown or empty purities are treated as fine weight (fineness 1).
+     * @param {string} purity - A purity value from PURITY_OPTIONS (e.g., '18ct').
+     * @returns {number} The fineness between 0 and 1.
+     */
+    function getFineness(purity) {
+        const option = PURITY_OPTIONS.find(p => p.value === purity);
+        return option ? option.fineness : 1;
+    }
+
+    /**
+     * Returns the display label for a purity value.
+     * @param {string} purity - A purity value from PURITY_OPTIONS.
+     * @returns {string} The label, or the raw value if it is not a known purity.
+     */
+    function getPurityLabel(purity) {
+        const option = PURITY_OPTIONS.find(p => p.value === purity);
+        return option ? option.label : (purity || '');
+    }
+
+    /**
+     * Derives the pure metal content from a gross weight and purity.
+     * @param {number|string} grossWeight - The gross weight in grams.
+     * @param {string} purity - A purity value from PURITY_OPTIONS.
+     * @returns {number} The fine weight in grams.
+     */
+    function calculateFineWeight(grossWeight, purity) {
+        return roundWeight((parseFloat(grossWeight) || 0) * getFineness(purity));
+    }
+
+    /**
+     * Extracts the per-gram spot prices stored on a quote record.
+     * @param {object} quote - A row from the quotes table.
+     * @returns {object} Spot prices keyed the same way as metalsService.getSpotPrices().
+     */
+    function spotPricesFromQuote(quote) {
+        return {
+            gold_gram_nzd: Number(quote.spot_price_gold_gram_nzd) || 0,
+            silver_gram_nzd: Number(quote.spot_price_silver_gram_nzd) || 0,
+            platinum_gram_nzd: Number(quote.spot_price_platinum_gram_nzd) || 0,
+            palladium_gram_nzd: Number(quote.spot_price_palladium_gram_nzd) || 0,
+        };
+    }
+
+    /**
+     * Converts an item from either a database row (snake_case) or a form/DOM object
+     * (camelCase) into the numeric shape used by the calculations.
+     * @param {object} item - The item to normalise.
+     * Items without a gross weight (saved before purity was captured) are priced on their
+     * stored `weight`, which was always entered as fine weight.
+     * @returns {{id: (string|null), metalType: string, grossWeight: number, purity: string,
+     *   fineness: number, weight: number, quantity: number, percent: number}}
+     */
+    function normaliseItem(item) {
+        const rawGrossWeight = item.gross_weight !== undefined ? item.gross_weight : item.grossWeight;
+        const grossWeight = parseFloat(rawGrossWeight);
+        const purity = item.purity || 'fine';
+
+        const hasGrossWeight = !isNaN(grossWeight);
+        const weight = hasGrossWeight
+            ? calculateFineWeight(grossWeight, purity)
+            : roundWeight(parseFloat(item.weight) || 0);
+
+        return {
+            id: item.id || null,
+            metalType: item.metal_type || item.metalType || '',
+            grossWeight: hasGrossWeight ? roundWeight(grossWeight) : weight,
+            purity: hasGrossWeight ? purity : 'fine',
+            fineness: hasGrossWeight ? getFineness(purity) : 1,
+            weight: weight,
+            quantity: parseInt(item.quantity, 10) || 1,
+            percent: parseFloat(item.percent) || 0,
+        };
+    }
+
+    /**
+     * Returns the per-gram spot price for a metal type.
+     * @param {string} metalType - The metal type (e.g., 'Gold').
+     * @param {object} spotPrices - Per-gram spot prices.
+     * @returns {number} The price per gram, or 0 for an unknown metal.
+     */
+    function getGramPrice(metalType, spotPrices) {
+        const key = METAL_GRAM_PRICE_KEYS[metalType];
+        return key ? (Number(spotPrices[key]) || 0) : 0;
+    }
+
+    /**
+     * Calculates the price breakdown for a single item.
+     * @param {object} item - The item (database row or form values).
+     * @param {object} spotPrices - Per-gram spot prices.
+     * @returns {object} The item's inputs together with its spot price, base value and total.
+     */
+    function calculateItemPrice(item, spotPrices) {
+        const normalised = normaliseItem(item);
+        const spotPricePerGram = getGramPrice(normalised.metalType, spotPrices);
+        const baseValue = normalised.weight * spotPricePerGram * normalised.quantity;
+        const total = Math.max(0, baseValue * (1 - normalised.percent / 100));
+
+        return {
+            itemId: normalised.id,
+            metalType: normalised.metalType,
+            grossWeight: normalised.grossWeight,
+            purity: normalised.purity,
+            fineness: normalised.fineness,
+            weight: normalised.weight,
+            quantity: normalised.quantity,
+            percent: normalised.percent,
+            spotPricePerGram: spotPricePerGram,
+            baseValue: roundCurrency(baseValue),
+            total: roundCurrency(total),
+        };
+    }
+
+    /**
+     * Calculates the full totals breakdown for a quote, as stored in `quotes.totals`.
+     * @param {Array<object>} items - The quote's items.
+     * @param {object} spotPrices - Per-gram spot prices.
+     * @returns {{items: Array<object>, grandTotal: number, currency: string, calculatedAt: string}}
+     */
+    function calculateQuoteTotals(items, spotPrices) {
+        const itemTotals = (items || []).map(item => calculateItemPrice(item, spotPrices));
+        const grandTotal = itemTotals.reduce((sum, itemTotal) => sum + itemTotal.total, 0);
+
+        return {
+            items: itemTotals,
+            grandTotal: roundCurrency(grandTotal),
+            currency: 'NZD',
+            calculatedAt: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Looks up the stored breakdown for one item inside a quote's totals.
+     * @param {object} totals - The `totals` value of a quote.
+     * @param {string} itemId - The UUID of the quote item.
+     * @returns {object|null} The item's breakdown, or null if it is not present.
+     */
+    function findItemTotal(totals, itemId) {
+        if (!totals || !Array.isArray(totals.items)) {
+            return null;
+        }
+        return totals.items.find(itemTotal => itemTotal.itemId === itemId) || null;
+    }
+
+    return {
+        METAL_GRAM_PRICE_KEYS,
+        PURITY_OPTIONS,
+        roundCurrency,
+        roundWeight,
+        getFineness,
+        getPurityLabel,
+        calculateFineWeight,
+        normaliseItem,
+        spotPricesFromQuote,
+        getGramPrice,
+        calculateItemPrice,
+        calculateQuoteTotals,
+        findItemTotal,
+    };
+}));